@@ -0,0 +1,236 @@
+// analytics.js
+// 績效分析：篩選 + 彙總（期望值、獲利因子、最長連勝 / 連敗、分組統計、R 分佈、權益曲線）。
+// /api/stats、Dashboard 與 LINE 的 /stats 共用同一份計算，數字才會一致。
+
+import { computeStats } from "./journal.js";
+
+const TZ = process.env.TZ || "Asia/Taipei";
+const WEEKDAYS = ["日", "一", "二", "三", "四", "五", "六"];
+
+// R 分佈的分箱：每 0.5R 一格，-3R 以下 / +3R 以上合併
+const HISTOGRAM_STEP = 0.5;
+const HISTOGRAM_MIN = -3;
+const HISTOGRAM_MAX = 3;
+
+function hasR(t) {
+  return typeof t.r === "number" && !Number.isNaN(t.r);
+}
+
+function tradeTime(t) {
+  return new Date(t.closedAt || t.createdAt);
+}
+
+// ------- 篩選 --------
+// from / to：ISO 時間或 YYYY-MM-DD（to 只給日期時包含當天整天），依 createdAt 判斷
+const FILTER_KEYS = ["userId", "symbol", "timeframe", "regime", "direction", "source", "pattern"];
+
+const wallClockParts = new Intl.DateTimeFormat("en-US", {
+  timeZone: TZ,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  second: "2-digit",
+  hourCycle: "h23",
+});
+
+// TZ 在 ms 這個時間點比 UTC 快多少毫秒
+function tzOffset(ms) {
+  const p = Object.fromEntries(wallClockParts.formatToParts(new Date(ms)).map((x) => [x.type, x.value]));
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ms / 1000) * 1000;
+}
+
+// TZ 當地 y-m-d 00:00 的時間點；用該時刻的 offset 再算一次，跨日光節約時間也對
+function zonedMidnight(y, m, d) {
+  const utc = Date.UTC(y, m - 1, d);
+  const guess = utc - tzOffset(utc);
+  return new Date(utc - tzOffset(guess));
+}
+
+// 只給日期時以 TZ（和分組統計同一個時區）的當地午夜為界，不看 Server 本身的時區
+export function parseDateBound(value, endOfDay) {
+  if (!value) return null;
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (m) {
+    if (m[2] < "01" || m[2] > "12" || m[3] < "01" || m[3] > "31") return null;
+    const d = zonedMidnight(Number(m[1]), Number(m[2]), Number(m[3]) + (endOfDay ? 1 : 0));
+    return Number.isNaN(d.getTime()) ? null : d;
+  }
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+// 把 query string 整理成篩選條件；"all" 或空字串視為不篩
+export function parseStatsFilters(query = {}) {
+  const filters = {};
+  for (const key of FILTER_KEYS) {
+    const v = query[key];
+    if (typeof v === "string" && v && v !== "all") filters[key] = v;
+  }
+  if (query.from) filters.from = query.from;
+  if (query.to) filters.to = query.to;
+  return filters;
+}
+
+export function filterTrades(trades, filters = {}) {
+  const from = parseDateBound(filters.from, false);
+  const to = parseDateBound(filters.to, true);
+  const toIsDate = /^\d{4}-\d{2}-\d{2}$/.test(filters.to || "");
+
+  return trades.filter((t) => {
+    for (const key of FILTER_KEYS) {
+      if (!filters[key]) continue;
+      const value = key === "regime" || key === "direction" ? t[key] || "unknown" : t[key];
+      if (value !== filters[key]) return false;
+    }
+    const created = new Date(t.createdAt);
+    if (from && created < from) return false;
+    if (to && (toIsDate ? created >= to : created > to)) return false;
+    return true;
+  });
+}
+
+// ------- 彙總 --------
+function longestStreaks(sorted) {
+  let win = 0;
+  let loss = 0;
+  let curWin = 0;
+  let curLoss = 0;
+  for (const t of sorted) {
+    curWin = t.r > 0 ? curWin + 1 : 0;
+    curLoss = t.r < 0 ? curLoss + 1 : 0;
+    win = Math.max(win, curWin);
+    loss = Math.max(loss, curLoss);
+  }
+  return { longestWinStreak: win, longestLossStreak: loss };
+}
+
+export function summarize(numeric) {
+  const base = computeStats(numeric);
+  const wins = numeric.filter((t) => t.r > 0);
+  const losses = numeric.filter((t) => t.r < 0);
+  const grossWin = wins.reduce((s, t) => s + t.r, 0);
+  const grossLoss = Math.abs(losses.reduce((s, t) => s + t.r, 0));
+  const avgWin = wins.length ? grossWin / wins.length : null;
+  const avgLoss = losses.length ? -grossLoss / losses.length : null;
+  const lossRate = base.count ? losses.length / base.count : null;
+
+  const sorted = numeric.slice().sort((a, b) => tradeTime(a) - tradeTime(b));
+  return {
+    ...base,
+    losses: losses.length,
+    avgWin,
+    avgLoss,
+    // 期望值：每筆平均能拿到幾 R（勝率 × 平均獲利 + 敗率 × 平均虧損）
+    expectancy: base.count ? base.winRate * (avgWin || 0) + lossRate * (avgLoss || 0) : null,
+    // 獲利因子：總獲利 / 總虧損；沒有虧損時為 null（無限大）
+    profitFactor: grossLoss ? grossWin / grossLoss : null,
+    ...longestStreaks(sorted),
+  };
+}
+
+const timeParts = new Intl.DateTimeFormat("en-US", {
+  timeZone: TZ,
+  weekday: "short",
+  hour: "2-digit",
+  hour12: false,
+});
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+function localWeekdayHour(date) {
+  const parts = Object.fromEntries(timeParts.formatToParts(date).map((p) => [p.type, p.value]));
+  return { weekday: WEEKDAY_INDEX[parts.weekday], hour: Number(parts.hour) % 24 };
+}
+
+// 依 keyFn 分組，每組算勝率 / 平均 R / 累計 R；依筆數排序
+function groupBy(numeric, keyFn, { order = null } = {}) {
+  const groups = new Map();
+  for (const t of numeric) {
+    const key = keyFn(t) ?? "unknown";
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(t);
+  }
+  const rows = [...groups].map(([key, list]) => {
+    const s = computeStats(list);
+    return { key, count: s.count, wins: s.wins, winRate: s.winRate, avgR: s.avgR, totalR: s.totalR };
+  });
+  if (order) return rows.sort((a, b) => order.indexOf(a.key) - order.indexOf(b.key));
+  return rows.sort((a, b) => b.count - a.count || b.totalR - a.totalR);
+}
+
+export function rHistogram(numeric) {
+  const bins = [];
+  for (let lo = HISTOGRAM_MIN; lo < HISTOGRAM_MAX; lo += HISTOGRAM_STEP) {
+    bins.push({ from: lo, to: lo + HISTOGRAM_STEP, label: `${lo}~${lo + HISTOGRAM_STEP}`, count: 0 });
+  }
+  const under = { from: null, to: HISTOGRAM_MIN, label: `< ${HISTOGRAM_MIN}`, count: 0 };
+  const over = { from: HISTOGRAM_MAX, to: null, label: `≥ ${HISTOGRAM_MAX}`, count: 0 };
+
+  for (const t of numeric) {
+    if (t.r < HISTOGRAM_MIN) under.count++;
+    else if (t.r >= HISTOGRAM_MAX) over.count++;
+    else bins[Math.floor((t.r - HISTOGRAM_MIN) / HISTOGRAM_STEP)].count++;
+  }
+  return [under, ...bins, over];
+}
+
+// trades：已篩選的紀錄；只有有數值 R 的紀錄會算進績效
+export function computeAnalytics(trades) {
+  const numeric = trades.filter(hasR).sort((a, b) => tradeTime(a) - tradeTime(b));
+
+  let equity = 0;
+  const equityCurve = numeric.map((t) => {
+    equity += t.r;
+    return { id: t.id, time: tradeTime(t).toISOString(), r: t.r, equity: Math.round(equity * 100) / 100 };
+  });
+
+  const WEEKDAY_KEYS = WEEKDAYS.map((d) => `週${d}`);
+  return {
+    totalRecords: trades.length,
+    summary: summarize(numeric),
+    breakdowns: {
+      symbol: groupBy(numeric, (t) => t.symbol),
+      timeframe: groupBy(numeric, (t) => t.timeframe),
+      direction: groupBy(numeric, (t) => t.direction),
+      pattern: groupBy(numeric, (t) => t.pattern),
+      weekday: groupBy(numeric, (t) => WEEKDAY_KEYS[localWeekdayHour(tradeTime(t)).weekday], {
+        order: WEEKDAY_KEYS,
+      }),
+      hour: groupBy(numeric, (t) => `${String(localWeekdayHour(tradeTime(t)).hour).padStart(2, "0")}:00`, {
+        order: Array.from({ length: 24 }, (_, h) => `${String(h).padStart(2, "0")}:00`),
+      }),
+    },
+    histogram: rHistogram(numeric),
+    equityCurve,
+  };
+}
+
+// ------- LINE 用文字 --------
+function fmtR(v) {
+  return v === null || v === undefined ? "-" : `${v > 0 ? "+" : ""}${v.toFixed(2)}R`;
+}
+
+function formatProfitFactor(s) {
+  if (s.profitFactor !== null) return s.profitFactor.toFixed(2);
+  return s.wins ? "∞" : "-";
+}
+
+export function formatAnalyticsSummary(s) {
+  if (!s.count) return "📈 目前還沒有已結單的紀錄。";
+  return [
+    `📈 已結單 ${s.count} 筆｜勝率 ${(s.winRate * 100).toFixed(1)}%`,
+    `期望值 ${fmtR(s.expectancy)}｜獲利因子 ${formatProfitFactor(s)}`,
+    `平均獲利 ${fmtR(s.avgWin)}｜平均虧損 ${fmtR(s.avgLoss)}`,
+    `累計 ${fmtR(s.totalR)}｜最大回撤 ${s.maxDrawdown.toFixed(2)}R`,
+    `最長連勝 ${s.longestWinStreak}｜最長連敗 ${s.longestLossStreak}`,
+  ].join("\n");
+}
+
+// 分組表的前幾名，例如「BTCUSDT 5 筆 60% +1.50R」
+export function formatBreakdown(rows, limit = 3) {
+  return rows
+    .slice(0, limit)
+    .map((g) => `${g.key} ${g.count} 筆 ${(g.winRate * 100).toFixed(0)}% ${fmtR(g.totalR)}`)
+    .join("\n");
+}
@@ -0,0 +1,155 @@
+// api.js
+// trades REST API 的共用邏輯（路由本身在 index.js，登入與權限見 auth.js）：
+// - API token 比對（常數時間）
+// - 列表的排序與 cursor 分頁；cursor 是不透明字串，內容為上一頁最後一筆的排序值 + id
+// - PATCH 只接受白名單欄位，並檢查型別
+
+import crypto from "crypto";
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 500;
+
+// ------- API token --------
+export function isValidApiToken(expected, given) {
+  if (!expected || !given) return false;
+  const a = crypto.createHash("sha256").update(String(expected)).digest();
+  const b = crypto.createHash("sha256").update(String(given)).digest();
+  return crypto.timingSafeEqual(a, b); // 先雜湊成等長再比，避免洩漏長度
+}
+
+// ------- 排序 --------
+// 時間欄位沒有值的排最後（不論升降冪），同值再依 id 排，分頁才會穩定
+const SORT_FIELDS = {
+  createdAt: (t) => timeValue(t.createdAt),
+  closedAt: (t) => timeValue(t.closedAt),
+  r: (t) => (typeof t.r === "number" ? t.r : null),
+  symbol: (t) => t.symbol || null,
+};
+
+function timeValue(v) {
+  const ms = v ? new Date(v).getTime() : NaN;
+  return Number.isNaN(ms) ? null : ms;
+}
+
+function compareKeys(a, b, desc) {
+  if (a.value !== b.value) {
+    if (a.value === null) return 1;
+    if (b.value === null) return -1;
+    const diff = a.value < b.value ? -1 : 1;
+    return desc ? -diff : diff;
+  }
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+export function encodeCursor(key) {
+  return Buffer.from(JSON.stringify([key.value, key.id])).toString("base64url");
+}
+
+export function decodeCursor(cursor) {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (typeof id !== "string") return null;
+    return { value: value ?? null, id };
+  } catch {
+    return null;
+  }
+}
+
+// 回傳 { sort, order, limit, cursor } 或 { error }；limit / cursor 都沒給時 paginate 為 false
+export function parseListQuery(query = {}) {
+  const sort = query.sort || "createdAt";
+  if (!SORT_FIELDS[sort]) return { error: `sort 只能是 ${Object.keys(SORT_FIELDS).join(" / ")}` };
+  const order = query.order || "desc";
+  if (order !== "asc" && order !== "desc") return { error: "order 只能是 asc / desc" };
+
+  const paginate = query.limit !== undefined || query.cursor !== undefined;
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(limit) || limit <= 0) return { error: "limit 必須是正整數" };
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) return { error: "cursor 無效" };
+  }
+  return { sort, order, limit: Math.min(limit, MAX_PAGE_SIZE), cursor, paginate };
+}
+
+// 回傳 { items, nextCursor }；不分頁時 items 為全部（已排序）
+export function listTrades(trades, { sort = "createdAt", order = "desc", limit, cursor = null, paginate = false }) {
+  const desc = order === "desc";
+  const keyOf = (t) => ({ value: SORT_FIELDS[sort](t), id: t.id });
+  let sorted = trades.slice().sort((a, b) => compareKeys(keyOf(a), keyOf(b), desc));
+  if (!paginate) return { items: sorted, nextCursor: null };
+
+  if (cursor) sorted = sorted.filter((t) => compareKeys(keyOf(t), cursor, desc) > 0);
+  const items = sorted.slice(0, limit);
+  const nextCursor = sorted.length > limit ? encodeCursor(keyOf(items[items.length - 1])) : null;
+  return { items, nextCursor };
+}
+
+// ------- PATCH --------
+const OUTCOMES = ["win", "loss", "breakeven"];
+const STATUSES = ["open", "closed", "skipped"];
+const MAX_NOTE_LENGTH = 2000;
+const MAX_TAGS = 20;
+
+function optionalNumber(body, key, errors, { positive = false } = {}) {
+  const v = body[key];
+  if (v === null) return null;
+  if (typeof v !== "number" || !Number.isFinite(v) || (positive && v <= 0)) {
+    errors.push(`${key} 必須是${positive ? "正數" : "數字"}或 null`);
+  }
+  return v;
+}
+
+// 回傳 { patch } 或 { error }；給了 r 但沒給 outcome 時依 r 判斷，結單時補 closedAt
+export function validateTradePatch(body, current, now = new Date()) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) return { error: "body 必須是 JSON 物件" };
+
+  const allowed = ["outcome", "r", "exitPrice", "status", "note", "tags"];
+  const unknown = Object.keys(body).filter((k) => !allowed.includes(k));
+  if (unknown.length) return { error: `不能修改的欄位：${unknown.join(", ")}（可修改：${allowed.join(", ")}）` };
+
+  const errors = [];
+  const patch = {};
+  if ("r" in body) patch.r = optionalNumber(body, "r", errors);
+  if ("exitPrice" in body) patch.exitPrice = optionalNumber(body, "exitPrice", errors, { positive: true });
+  if ("outcome" in body) {
+    if (body.outcome !== null && !OUTCOMES.includes(body.outcome)) {
+      errors.push(`outcome 只能是 ${OUTCOMES.join(" / ")} 或 null`);
+    }
+    patch.outcome = body.outcome;
+  }
+  if ("status" in body) {
+    if (!STATUSES.includes(body.status)) errors.push(`status 只能是 ${STATUSES.join(" / ")}`);
+    patch.status = body.status;
+  }
+  if ("note" in body) {
+    if (body.note !== null && typeof body.note !== "string") errors.push("note 必須是字串或 null");
+    else if (body.note && body.note.length > MAX_NOTE_LENGTH) errors.push(`note 最多 ${MAX_NOTE_LENGTH} 字`);
+    patch.note = body.note ? body.note : null;
+  }
+  if ("tags" in body) {
+    const tags = body.tags;
+    if (!Array.isArray(tags) || tags.some((t) => typeof t !== "string" || !t.trim())) {
+      errors.push("tags 必須是字串陣列");
+    } else if (tags.length > MAX_TAGS) {
+      errors.push(`tags 最多 ${MAX_TAGS} 個`);
+    } else {
+      patch.tags = [...new Set(tags.map((t) => t.trim()))];
+    }
+  }
+  if (errors.length) return { error: errors.join("；") };
+  if (!Object.keys(patch).length) return { error: `沒有要修改的欄位（可修改：${allowed.join(", ")}）` };
+
+  if (typeof patch.r === "number" && !("outcome" in body)) {
+    patch.outcome = patch.r > 0 ? "win" : patch.r < 0 ? "loss" : "breakeven";
+  }
+  if (!("status" in body) && (typeof patch.r === "number" || patch.outcome) && current.status !== "closed") {
+    patch.status = "closed";
+  }
+  if ((patch.status || current.status) === "closed" && !current.closedAt) patch.closedAt = now.toISOString();
+  if (patch.status === "open") patch.closedAt = null;
+  patch.updatedAt = now.toISOString();
+  return { patch };
+}
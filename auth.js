@@ -0,0 +1,211 @@
+// auth.js
+// Dashboard / API 的登入與權限：
+// - 管理員：/login 輸入 ADMIN_PASSWORD，或帶 API_TOKEN（給其他內部工具），看得到所有人的日誌
+// - 一般使用者：在 LINE 傳「/dashboard」拿到一次性登入連結（HMAC 簽章、有效期短、用過即失效），
+//   登入後只看得到自己的紀錄
+// session 存在簽章 cookie（HttpOnly、SameSite=Lax），伺服器不另外存；SESSION_SECRET 換掉即全部登出。
+// 寫入（PATCH / DELETE / POST）：API token，或管理員 session 加上 X-CSRF-Token；一般使用者的 session 只能查看。
+
+import crypto from "crypto";
+import { isValidApiToken } from "./api.js";
+
+export const SESSION_COOKIE = "lh_session";
+export const LOGIN_LINK_MINUTES = Number(process.env.LOGIN_LINK_MINUTES) || 10;
+export const SESSION_DAYS = Number(process.env.SESSION_DAYS) || 7;
+// 管理員密碼：同一個 IP 在 LOGIN_WINDOW_MINUTES 內錯 LOGIN_MAX_ATTEMPTS 次就暫時鎖住
+export const LOGIN_MAX_ATTEMPTS = Number(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+export const LOGIN_WINDOW_MINUTES = Number(process.env.LOGIN_WINDOW_MINUTES) || 15;
+
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// ------- 簽章 token --------
+// 格式：base64url(JSON).base64url(HMAC)；kind 區分用途，登入連結不能拿來當 session 用
+function sign(secret, payload) {
+  const body = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  const mac = crypto.createHmac("sha256", secret).update(body).digest("base64url");
+  return `${body}.${mac}`;
+}
+
+function verify(secret, token, kind, now = Date.now()) {
+  try {
+    const [body, mac] = String(token || "").split(".");
+    if (!body || !mac) return null;
+    const expected = crypto.createHmac("sha256", secret).update(body).digest();
+    const given = Buffer.from(mac, "base64url");
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+    const payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+    if (payload.kind !== kind || !(payload.exp > now)) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
+
+function parseCookies(header = "") {
+  const out = {};
+  for (const part of header.split(";")) {
+    const i = part.indexOf("=");
+    if (i > 0) out[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return out;
+}
+
+// ------- auth 物件 --------
+// secret：SESSION_SECRET；沒設定時每次啟動隨機產生（重啟後登入連結與 session 都會失效）
+// allowAnonymous：不登入也當管理員（只給本機開發用，正式環境請勿開啟）
+export function createAuth({ secret, adminPassword = "", apiToken = "", allowAnonymous = false } = {}) {
+  const key = secret || crypto.randomBytes(32).toString("hex");
+  const usedNonces = new Map(); // 登入連結的 nonce → 到期時間（一次性）
+
+  function pruneNonces(now) {
+    for (const [nonce, exp] of usedNonces) if (exp <= now) usedNonces.delete(nonce);
+  }
+
+  function createLoginToken(userId, now = Date.now()) {
+    return sign(key, {
+      kind: "login",
+      userId,
+      nonce: crypto.randomBytes(12).toString("base64url"),
+      exp: now + LOGIN_LINK_MINUTES * 60 * 1000,
+    });
+  }
+
+  // 驗證並「用掉」登入連結；回傳 userId 或 null
+  function redeemLoginToken(token, now = Date.now()) {
+    const payload = verify(key, token, "login", now);
+    if (!payload?.userId || !payload.nonce) return null;
+    pruneNonces(now);
+    if (usedNonces.has(payload.nonce)) return null;
+    usedNonces.set(payload.nonce, payload.exp);
+    return payload.userId;
+  }
+
+  function isValidAdminPassword(password) {
+    return Boolean(adminPassword) && isValidApiToken(adminPassword, password);
+  }
+
+  function setSession(res, req, principal, now = Date.now()) {
+    const maxAge = SESSION_DAYS * 24 * 60 * 60;
+    const token = sign(key, { kind: "session", ...principal, exp: now + maxAge * 1000 });
+    res.cookie(SESSION_COOKIE, token, {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: req.secure,
+      maxAge: maxAge * 1000,
+      path: "/",
+    });
+  }
+
+  function clearSession(res) {
+    res.clearCookie(SESSION_COOKIE, { path: "/" });
+  }
+
+  // 回傳 { role: "admin" } / { role: "user", userId } / null
+  function authenticate(req) {
+    const auth = req.get("authorization") || "";
+    const bearer = auth.match(/^Bearer\s+(.+)$/i)?.[1]?.trim() || req.get("x-api-token");
+    if (bearer) return isValidApiToken(apiToken, bearer) ? { role: "admin", via: "token" } : null;
+
+    const session = verify(key, parseCookies(req.get("cookie"))[SESSION_COOKIE], "session");
+    if (session?.role === "admin") return { role: "admin", via: "session" };
+    if (session?.role === "user" && session.userId) return { role: "user", userId: session.userId, via: "session" };
+    if (allowAnonymous) return { role: "admin", via: "anonymous" };
+    return null;
+  }
+
+  // CSRF token 綁在 session cookie 上：跨站的表單或 fetch 帶得到 cookie，但讀不到頁面裡的 token
+  function csrfToken(req) {
+    const session = parseCookies(req.get("cookie"))[SESSION_COOKIE] || "anonymous";
+    return crypto.createHmac("sha256", key).update(`csrf:${session}`).digest("base64url");
+  }
+
+  // 放在 requireAuth 之後：寫入要 API token，或管理員 session + X-CSRF-Token
+  function requireWriteAccess() {
+    return function checkWriteAccess(req, res, next) {
+      if (SAFE_METHODS.includes(req.method) || req.principal?.via === "token") return next();
+      if (!isAdmin(req.principal)) {
+        return res.status(403).json({ error: "一般使用者的登入只能查看；寫入請在 LINE 操作，或使用 API token" });
+      }
+      if (!isValidApiToken(csrfToken(req), req.get("x-csrf-token"))) {
+        return res.status(403).json({ error: "CSRF token 無效，請重新整理頁面" });
+      }
+      next();
+    };
+  }
+
+  // html：未登入時導到 /login；否則回 401 JSON
+  function requireAuth({ html = false } = {}) {
+    return function checkAuth(req, res, next) {
+      const principal = authenticate(req);
+      if (principal) {
+        req.principal = principal;
+        return next();
+      }
+      if (html) return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+      res.status(401).json({ error: "Unauthorized" });
+    };
+  }
+
+  return {
+    createLoginToken,
+    redeemLoginToken,
+    isValidAdminPassword,
+    setSession,
+    clearSession,
+    authenticate,
+    requireAuth,
+    csrfToken,
+    requireWriteAccess,
+    hasAdminPassword: Boolean(adminPassword),
+    ephemeralSecret: !secret,
+  };
+}
+
+// ------- 登入嘗試次數 --------
+// 記在記憶體（key 通常是 IP）；成功登入就清掉
+export function createLoginLimiter({ maxAttempts = LOGIN_MAX_ATTEMPTS, windowMinutes = LOGIN_WINDOW_MINUTES } = {}) {
+  const windowMs = windowMinutes * 60 * 1000;
+  const failures = new Map(); // key → 視窗內失敗的時間點
+
+  function recent(key, now) {
+    const list = (failures.get(key) || []).filter((t) => now - t < windowMs);
+    if (list.length) failures.set(key, list);
+    else failures.delete(key);
+    return list;
+  }
+
+  return {
+    // 鎖住時回傳還要等幾分鐘，沒鎖回傳 0
+    blockedMinutes(key, now = Date.now()) {
+      const list = recent(key, now);
+      if (list.length < maxAttempts) return 0;
+      return Math.ceil((list[0] + windowMs - now) / 60000);
+    },
+    fail(key, now = Date.now()) {
+      failures.set(key, [...recent(key, now), now]);
+    },
+    reset(key) {
+      failures.delete(key);
+    },
+  };
+}
+
+// ------- 權限範圍 --------
+export function isAdmin(principal) {
+  return principal?.role === "admin";
+}
+
+// 一般使用者只看得到自己的紀錄（沒有 userId 的舊紀錄不算）
+export function canAccessTrade(principal, trade) {
+  return isAdmin(principal) || (Boolean(trade) && trade.userId === principal?.userId);
+}
+
+// 一般使用者的篩選條件一律鎖定在自己；管理員照原本的 query
+export function scopeQuery(principal, query = {}) {
+  return isAdmin(principal) ? { ...query } : { ...query, userId: principal.userId, user: undefined };
+}
+
+// 登入後導回的網址只接受站內路徑，避免被拿來做開放轉址
+export function safeNextPath(next) {
+  return typeof next === "string" && /^\/(?!\/)/.test(next) && !next.includes("\\") ? next : "/dashboard";
+}
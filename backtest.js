@@ -0,0 +1,321 @@
+// backtest.js
+// 獵影策略離線回測：把歷史 K 棒逐根重播，每根收盤時套用與 /api/candles/analyze 相同的判斷
+// （盤整、OBV 突破布林帶後收回、三種型態與進場方式、ATR 停損、1R / 1.5R 停利），
+// 並遵守「連虧三單就停止」（冷卻期間的訊號略過）。結果寫成 source: "backtest" 的紀錄，
+// Dashboard 可以和實盤紀錄一起篩選、畫圖。
+//
+// 成交假設（保守）：
+// - 十字星市價進場：訊號那根收盤價成交
+// - 實體 0.5 斐波那契 / SNR 掛單：之後 BACKTEST_ORDER_BARS 根內價格碰到才成交，否則取消
+// - 同一根同時碰到停損與停利時，當作先停損
+// - 資料結束還沒出場：以最後一根收盤價平倉（exitReason: "end"）
+//
+// CLI：node backtest.js <K 棒 CSV / JSON> [--symbol BTCUSDT] [--timeframe 15m] [--exit split|1R|1.5R]
+//      [--user <LINE userId>] [--dry-run] [--server http://127.0.0.1:3000]
+// 寫入時先把 CSV 原文（text/csv，參數放 query）送到 Server 的 POST /api/backtest（要設 API_TOKEN），
+// 上限是 BACKTEST_MAX_BODY，不受其他 API 2mb 的限制。Server 把 trades.jsonl 整份放在記憶體，
+// CLI 另外 append 的紀錄會在下一次 compact 被蓋掉。連不上 Server（沒在執行）才直接寫 trades.jsonl。
+
+import "dotenv/config"; // CLI 直接執行時也要在其他模組之前載入 .env
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath, pathToFileURL } from "url";
+import axios from "axios";
+import {
+  DEFAULT_PARAMS,
+  parseCandles,
+  computeIndicators,
+  evaluateSetupAt,
+  minBarsFor,
+  candleTime,
+} from "./indicators.js";
+import { LOSS_STREAK_LIMIT, COOLDOWN_MINUTES } from "./cooldown.js";
+import { summarize, formatAnalyticsSummary } from "./analytics.js";
+import { normalizeSymbol, normalizeTimeframe } from "./meta.js";
+
+export const ORDER_EXPIRY_BARS = Number(process.env.BACKTEST_ORDER_BARS) || 3;
+// 沒有時間欄位時，冷卻改用根數計算
+export const COOLDOWN_BARS = Number(process.env.BACKTEST_COOLDOWN_BARS) || 24;
+
+// split：一半在 1R、一半在 1.5R 出場（停損不動）；1R / 1.5R：全部在該目標出場
+export const EXIT_MODES = ["split", "1R", "1.5R"];
+
+// POST /api/backtest 的 body 上限（幾年份的 1m K 棒 CSV 很容易超過一般 API 的 2mb）
+export const BACKTEST_MAX_BODY = process.env.BACKTEST_MAX_BODY || "50mb";
+
+function round(v, digits = 4) {
+  return Math.round(v * 10 ** digits) / 10 ** digits;
+}
+
+// ------- 單筆部位（模擬單 paper.js 也用這套）--------
+// 掛單價有沒有被這根 K 棒碰到
+export function touchesEntry(direction, entry, c) {
+  return direction === "long" ? c.low <= entry : c.high >= entry;
+}
+
+// 依出場模式算出場結果；回傳 null 表示這根還沒出場（split 模式 1R 先出一半時會把 pos.halfClosed 設為 true）
+export function checkExit(pos, c, exit) {
+  const long = pos.direction === "long";
+  const hitStop = long ? c.low <= pos.stop : c.high >= pos.stop;
+  const hit = (price) => (long ? c.high >= price : c.low <= price);
+
+  if (exit === "split") {
+    if (!pos.halfClosed) {
+      if (hitStop) return { r: -1, exitPrice: pos.stop, exitReason: "stop" };
+      if (hit(pos.tp1_5R)) return { r: 1.25, exitPrice: pos.tp1_5R, exitReason: "target" };
+      if (hit(pos.tp1R)) pos.halfClosed = true; // 一半先在 1R 出場，剩下的繼續抱
+      return null;
+    }
+    if (hitStop) return { r: 0, exitPrice: pos.stop, exitReason: "stop" };
+    if (hit(pos.tp1_5R)) return { r: 1.25, exitPrice: pos.tp1_5R, exitReason: "target" };
+    return null;
+  }
+
+  const targetR = exit === "1R" ? 1 : 1.5;
+  if (hitStop) return { r: -1, exitPrice: pos.stop, exitReason: "stop" };
+  const target = exit === "1R" ? pos.tp1R : pos.tp1_5R;
+  if (hit(target)) return { r: targetR, exitPrice: target, exitReason: "target" };
+  return null;
+}
+
+// 資料結束時以收盤價平倉
+function closeAtMarket(pos, c, exit) {
+  const risk = Math.abs(pos.entry - pos.stop);
+  const sign = pos.direction === "long" ? 1 : -1;
+  const openR = (sign * (c.close - pos.entry)) / risk;
+  const r = exit === "split" && pos.halfClosed ? 0.5 + openR / 2 : openR;
+  return { r: round(r), exitPrice: c.close, exitReason: "end" };
+}
+
+// ------- 回測 --------
+// 回傳 { trades, summary, stats }；trades 還沒寫進日誌，由 saveBacktest 寫入
+export function runBacktest(candles, options = {}) {
+  const {
+    symbol = null,
+    timeframe = null,
+    exit = "split",
+    params = DEFAULT_PARAMS,
+    owner = {},
+    lossStreakLimit = LOSS_STREAK_LIMIT,
+    cooldownMinutes = COOLDOWN_MINUTES,
+    cooldownBars = COOLDOWN_BARS,
+    orderExpiryBars = ORDER_EXPIRY_BARS,
+    genId = () => crypto.randomBytes(8).toString("hex"),
+    now = new Date(),
+  } = options;
+  if (!EXIT_MODES.includes(exit)) throw new Error(`exit 只能是 ${EXIT_MODES.join(" / ")}`);
+
+  const minBars = minBarsFor(params);
+  if (candles.length < minBars + 1) {
+    throw new Error(`K 棒數量不足，回測至少需要 ${minBars + 1} 根（目前 ${candles.length} 根）`);
+  }
+
+  const backtestId = genId();
+  const series = computeIndicators(candles, params);
+  const timeOf = (i) => candleTime(candles[i].time);
+  const hasTime = candles.every((c) => candleTime(c.time));
+  const stats = { bars: candles.length, signals: 0, filled: 0, expired: 0, skippedByCooldown: 0 };
+  const trades = [];
+
+  let order = null; // 掛單中（等成交）
+  let pos = null; // 持倉中
+  let lossStreak = 0;
+  let cooldownUntil = null; // 時間（有時間欄位）或 K 棒 index
+
+  const inCooldown = (i) =>
+    cooldownUntil !== null && (hasTime ? timeOf(i) < cooldownUntil : i < cooldownUntil);
+
+  function record(setup, i, fillIndex, result, exitIndex) {
+    const at = (idx) => (hasTime ? timeOf(idx).toISOString() : now.toISOString());
+    trades.push({
+      id: genId(),
+      source: "backtest",
+      backtestId,
+      userId: owner.userId || null,
+      groupId: null,
+      roomId: null,
+      createdAt: at(i),
+      enteredAt: at(fillIndex),
+      closedAt: at(exitIndex),
+      status: "closed",
+      symbol,
+      timeframe,
+      regime: setup.regime,
+      strategyAllowed: setup.strategyAllowed,
+      direction: setup.direction,
+      pattern: setup.pattern,
+      entryMethod: setup.entryMethod,
+      entry: setup.entry,
+      stop: setup.stop,
+      tp1R: setup.tp1R,
+      tp1_5R: setup.tp1_5R,
+      exitPrice: result.exitPrice,
+      exitReason: result.exitReason,
+      exitMode: exit,
+      r: result.r,
+      outcome: result.r > 0 ? "win" : result.r < 0 ? "loss" : "breakeven",
+      reason: setup.reason,
+      indicators: setup.indicators,
+    });
+
+    lossStreak = result.r < 0 ? lossStreak + 1 : 0;
+    if (lossStreak >= lossStreakLimit) {
+      lossStreak = 0;
+      cooldownUntil = hasTime
+        ? new Date(timeOf(exitIndex).getTime() + cooldownMinutes * 60 * 1000)
+        : exitIndex + cooldownBars;
+    }
+  }
+
+  for (let i = minBars - 1; i < candles.length; i++) {
+    const c = candles[i];
+
+    if (pos) {
+      const result = checkExit(pos, c, exit);
+      if (result) {
+        record(pos.setup, pos.signalIndex, pos.fillIndex, result, i);
+        pos = null;
+      }
+      continue;
+    }
+
+    if (order) {
+      if (touchesEntry(order.setup.direction, order.setup.entry, c)) {
+        stats.filled++;
+        pos = { ...order.setup, setup: order.setup, signalIndex: order.signalIndex, fillIndex: i };
+        order = null;
+        // 成交那一根也可能直接打到停損 / 停利
+        const result = checkExit(pos, c, exit);
+        if (result) {
+          record(pos.setup, pos.signalIndex, i, result, i);
+          pos = null;
+        }
+        continue;
+      }
+      if (i - order.signalIndex >= orderExpiryBars) {
+        stats.expired++;
+        order = null;
+      } else {
+        continue;
+      }
+    }
+
+    const setup = evaluateSetupAt(candles, series, i, params);
+    if (setup.entry === null || setup.stop === null) continue;
+    stats.signals++;
+    if (inCooldown(i)) {
+      stats.skippedByCooldown++;
+      continue;
+    }
+    if (setup.entryMethod === "market") {
+      stats.filled++;
+      pos = { ...setup, setup, signalIndex: i, fillIndex: i };
+    } else {
+      order = { setup, signalIndex: i };
+    }
+  }
+
+  if (pos) {
+    const last = candles.length - 1;
+    record(pos.setup, pos.signalIndex, pos.fillIndex, closeAtMarket(pos, candles[last], exit), last);
+  }
+  if (order) stats.expired++;
+
+  return { backtestId, trades, summary: summarize(trades), stats };
+}
+
+// 寫進交易日誌；回傳寫入筆數
+export async function saveBacktest(store, { trades }) {
+  for (const t of trades) await store.insert(t);
+  return trades.length;
+}
+
+export function formatBacktestReport({ backtestId, trades, summary, stats }, { symbol, timeframe, exit }) {
+  return [
+    `🧪 回測 ${backtestId}｜${symbol || "-"} ${timeframe || "-"}｜出場 ${exit}`,
+    `K 棒 ${stats.bars} 根｜訊號 ${stats.signals}｜成交 ${stats.filled}｜掛單取消 ${stats.expired}｜冷卻略過 ${stats.skippedByCooldown}`,
+    `交易 ${trades.length} 筆`,
+    "",
+    formatAnalyticsSummary(summary),
+  ].join("\n");
+}
+
+// ------- CLI --------
+function parseArgs(argv) {
+  const args = {
+    file: null,
+    symbol: null,
+    timeframe: null,
+    exit: "split",
+    user: null,
+    dryRun: false,
+    server: process.env.BACKTEST_SERVER_URL || `http://127.0.0.1:${process.env.PORT || 3000}`,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--dry-run") args.dryRun = true;
+    else if (a.startsWith("--")) args[a.slice(2)] = argv[++i];
+    else args.file = a;
+  }
+  return args;
+}
+
+// Server 有在執行就交給它寫；連不上（ECONNREFUSED）回傳 null，由 CLI 自己寫檔
+async function postToServer(baseUrl, { symbol, timeframe, exit, owner, candles }) {
+  const url = `${baseUrl.replace(/\/+$/, "")}/api/backtest`;
+  const token = process.env.API_TOKEN || "";
+  try {
+    const res = await axios.post(url, candles, {
+      params: { symbol, timeframe, exit, userId: owner.userId },
+      headers: { "Content-Type": "text/csv", ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+      timeout: 120000,
+      maxBodyLength: Infinity,
+    });
+    return res.data;
+  } catch (err) {
+    if (err.code === "ECONNREFUSED") return null;
+    if (err.response?.status === 401 || err.response?.status === 403) {
+      throw new Error(`Server 執行中（${baseUrl}），但 API_TOKEN 沒設或不正確；為避免和 Server 同時寫 trades.jsonl，這次沒有寫入`);
+    }
+    throw new Error(`送到 ${url} 失敗：${err.response?.data?.error || err.message}（這次沒有寫入）`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.file) {
+    console.error(
+      "用法：node backtest.js <K 棒 CSV / JSON> [--symbol BTCUSDT] [--timeframe 15m] [--exit split|1R|1.5R] [--user <userId>] [--dry-run] [--server <url>]"
+    );
+    process.exit(1);
+  }
+
+  const options = {
+    symbol: args.symbol ? normalizeSymbol(args.symbol) : null,
+    timeframe: args.timeframe ? normalizeTimeframe(args.timeframe) : null,
+    exit: args.exit,
+    owner: { userId: args.user || null },
+  };
+  const raw = await fs.readFile(args.file, "utf8");
+  const result = runBacktest(parseCandles(raw), options);
+  console.log(formatBacktestReport(result, options));
+
+  if (args.dryRun) return;
+  const sent = await postToServer(args.server, { ...options, candles: raw });
+  if (sent) {
+    console.log(`\n已透過 Server 寫入 ${sent.saved} 筆 source: "backtest" 紀錄（${sent.backtestId}）`);
+    return;
+  }
+  const { createTradeStore } = await import("./store.js");
+  const store = createTradeStore({ baseDir: path.dirname(fileURLToPath(import.meta.url)) });
+  await store.init();
+  console.log(`\n已寫入 ${await saveBacktest(store, result)} 筆 source: "backtest" 紀錄`);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((e) => {
+    console.error("❌ 回測失敗：", e.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,96 @@
+// coach.js
+// 呼叫 LLM 的兩個入口：文字問答（askGeminiText）與 K 線圖分析（analyzeImageWithGemini）。
+// 名稱沿用 Gemini，實際走哪個 provider 由 llm（見 providers.js）決定；
+// prompt 來自 prompts.js 的模板、PDF 段落來自 knowledge.js。Bot 與評測（eval.js）共用這一份。
+
+import { extractJson, validateVisionData, repairVisionData, formatRetryPrompt } from "./vision.js";
+import { formatPassages, formatSources } from "./knowledge.js";
+
+// provider 錯誤代碼 → 給使用者看的訊息
+export const LLM_ERROR_REPLIES = {
+  config: "⚠️ 系統錯誤：AI 模型尚未設定完成，請聯絡管理員。",
+  auth: "⚠️ 系統錯誤：AI 金鑰無效，請聯絡管理員。",
+  rate_limit: "⚠️ AI 使用量暫時滿了，請過幾分鐘再試。",
+  timeout: "⚠️ AI 回應逾時，請稍後再試。",
+  empty: "⚠️ AI 這次沒有給出內容，換個問法再試試。",
+  bad_request: "⚠️ AI 目前沒有回應，請稍後再試。",
+  unavailable: "⚠️ AI 目前沒有回應，請稍後再試。",
+};
+
+// llm：{ text, vision }（createProvidersFromEnv）；prompts：prompt registry；knowledge：PDF 知識庫
+export function createCoach({ llm, prompts, knowledge }) {
+  // ------- 文字 --------
+  // history：之前的對話 [{ role: "user" | "model", text }]，會照順序放進 contents
+  // system：prompts.render("coach") 的結果；要記錄版本的呼叫端自己先 render 再傳進來
+  // query：拿來檢索 PDF 段落的文字（預設 userText）；retrieve: false 不檢索（例如解說已算好的 JSON）
+  async function askGeminiText(
+    userText,
+    { history = [], system = prompts.render("coach"), query = userText, retrieve = true } = {}
+  ) {
+    const hits = retrieve ? await knowledge.search(query) : [];
+    const prompt = hits.length
+      ? prompts.render("grounding", { passages: formatPassages(hits), question: userText }).text
+      : userText;
+    try {
+      const answer = await llm.text.chat({ system: system.text, history, prompt });
+      return hits.length ? `${answer}\n\n${formatSources(answer, hits)}` : answer;
+    } catch (err) {
+      console.error("askGeminiText error:", llm.text.name, err.code, err.status, err.detail || err.message);
+      return LLM_ERROR_REPLIES[err.code] || LLM_ERROR_REPLIES.unavailable;
+    }
+  }
+
+  // ------- 圖片 --------
+  // 回傳 { ok, data, raw, warnings, retried, prompt } 或 { error, code, raw }
+  async function analyzeImageWithGemini(base64Image) {
+    const visionPrompt = prompts.render("vision");
+
+    const ask = (prompt) => llm.vision.vision({ prompt, imageBase64: base64Image });
+
+    let text;
+    try {
+      text = await ask(visionPrompt.text);
+    } catch (err) {
+      console.error(
+        "analyzeImageWithGemini error:",
+        llm.vision.name,
+        err.code,
+        err.status,
+        err.detail || err.message
+      );
+      return { error: err.message, code: err.code };
+    }
+
+    let parsed = extractJson(text);
+    let checked = parsed.data ? validateVisionData(parsed.data) : null;
+    const problems = checked ? checked.errors : [parsed.error];
+
+    // 格式錯誤或數字矛盾：附上問題清單重問一次，重答沒有比較好就沿用第一次的結果
+    let retried = false;
+    if (problems.length) {
+      console.warn("vision output invalid, retrying:", problems.join("；"));
+      retried = true;
+      try {
+        const retryText = await ask(`${visionPrompt.text}\n${formatRetryPrompt(problems)}`);
+        const retryParsed = extractJson(retryText);
+        const retryChecked = retryParsed.data ? validateVisionData(retryParsed.data) : null;
+        if (retryChecked && (!checked || retryChecked.errors.length <= checked.errors.length)) {
+          text = retryText;
+          parsed = retryParsed;
+          checked = retryChecked;
+        }
+      } catch (err) {
+        console.error("analyzeImageWithGemini retry error:", llm.vision.name, err.code, err.message);
+      }
+    }
+
+    if (!checked) {
+      console.error("parse vision JSON error:", parsed.error);
+      return { error: parsed.error, raw: text };
+    }
+    const { data, warnings } = repairVisionData(checked);
+    return { ok: true, data, raw: text, warnings, retried, prompt: visionPrompt };
+  }
+
+  return { askGeminiText, analyzeImageWithGemini };
+}
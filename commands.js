@@ -0,0 +1,136 @@
+// commands.js
+// 文字指令的比對、說明選單與 quick reply 按鈕。
+// 指令在送進模型之前處理，不會消耗 LLM 呼叫；實際動作由 index.js 的 handler 負責。
+
+import { parseCloseCommand } from "./journal.js";
+import { parseAccountSetting } from "./sizing.js";
+import { parseDefaultMetaSetting } from "./meta.js";
+import { parseWatchArgs } from "./watchlist.js";
+
+const isCount = (args) => args.length === 1 && /^\d+$/.test(args[0]);
+const isWatchItem = (args) => !parseWatchArgs(args).error;
+
+// name：handler 名稱；aliases：第一個字完整比對（不分大小寫）
+// 斜線指令後面可以接任何參數；中文別名常出現在一般提問的開頭（「最新 BTC 走勢怎麼看？」），
+// 所以只有整則訊息就是別名，或後面的參數符合 bareArgs 時才當指令
+export const COMMANDS = [
+  { name: "help", aliases: ["/help", "說明", "幫助", "指令", "help"], usage: "/help", description: "顯示這份說明" },
+  {
+    name: "stats",
+    aliases: ["/stats", "統計", "績效"],
+    usage: "/stats [天數]",
+    bareArgs: isCount,
+    description: "你的勝率、期望值、獲利因子、連勝 / 連敗",
+  },
+  {
+    name: "history",
+    aliases: ["/history", "我的紀錄", "紀錄"],
+    usage: "/history [筆數]",
+    bareArgs: isCount,
+    description: "你最近的分析與交易紀錄",
+  },
+  { name: "last", aliases: ["/last", "上一筆", "最新"], usage: "/last", description: "重看最近一筆分析" },
+  {
+    name: "settings",
+    aliases: ["/settings", "設定"],
+    usage: "/settings [本金|風險|槓桿|商品|週期 值]",
+    bareArgs: (args) => args.length === 2 && (Boolean(parseDefaultMetaSetting(args)) || !parseAccountSetting(args).error),
+    description: "查看設定，或設定帳戶以計算倉位",
+  },
+  {
+    name: "paper",
+    aliases: ["/paper", "模擬進場"],
+    usage: "/paper [編號]",
+    bareArgs: (args) => args.length === 1 && /^#?[0-9a-f]{4,16}$/i.test(args[0]),
+    description: "用分析的進場 / 停損開模擬單，追蹤到停損或停利（不算實盤績效）",
+  },
+  {
+    name: "watch",
+    aliases: ["/watch", "關注"],
+    usage: "/watch [商品 週期]",
+    bareArgs: isWatchItem,
+    description: "關注清單：K 棒收盤出現進場訊號時通知你（不帶參數顯示清單）",
+  },
+  {
+    name: "unwatch",
+    aliases: ["/unwatch", "取消關注"],
+    usage: "/unwatch 商品 週期",
+    description: "取消關注",
+    bareArgs: (args) => (args.length === 1 && ["全部", "all"].includes(args[0].toLowerCase())) || isWatchItem(args),
+  },
+  {
+    name: "dashboard",
+    aliases: ["/dashboard", "儀表板", "日誌網頁"],
+    usage: "/dashboard",
+    description: "取得網頁版交易日誌的一次性登入連結（僅限私訊）",
+  },
+  { name: "reset", aliases: ["/reset", "重新開始"], usage: "/reset", description: "清空教練對話記憶" },
+  { name: "resume", aliases: ["/resume", "恢復交易"], usage: "/resume", description: "提前解除連虧冷卻" },
+];
+
+// 回傳 { name, args } 或 null（一般提問）
+export function matchCommand(text = "") {
+  const trimmed = text.trim();
+
+  const close = parseCloseCommand(trimmed);
+  if (close) return { name: "close", args: [], close };
+
+  const [head, ...args] = trimmed.split(/\s+/);
+  const key = (head || "").toLowerCase();
+  const cmd = COMMANDS.find((c) => c.aliases.includes(key));
+  if (cmd && (key.startsWith("/") || !args.length || cmd.bareArgs?.(args))) return { name: cmd.name, args };
+  if (key.startsWith("/")) return { name: "unknown", args: [head] };
+  return null;
+}
+
+export function formatHelp() {
+  return [
+    "🤖 獵影策略教練｜指令說明",
+    "",
+    ...COMMANDS.map((c) => `${c.usage}（${c.aliases.filter((a) => !a.startsWith("/"))[0] || ""}）— ${c.description}`),
+    "",
+    "📌 結單：「結單 <編號> +1.2R」「停損 <編號>」「止盈 1.5R」",
+    "💰 倉位：「設定 本金 1000」「設定 風險 1%」（或固定金額「設定 風險 10」）「設定 槓桿 20」",
+    "📷 傳 K 線截圖：圖片分析＋交易卡片（前後傳「BTCUSDT 15m」可標記商品 / 週期）",
+    "🏷 預設商品 / 週期：「設定 商品 BTCUSDT」「設定 週期 15m」",
+    "📄 傳 K 棒 CSV / JSON 檔：本地指標計算",
+    "📥 傳 Binance / Bybit 成交紀錄 CSV：匯入日誌並對應之前的分析算 R",
+    "🔔 關注：「關注 BTCUSDT 15m」「取消關注 全部」",
+    "💬 其他文字：直接問教練",
+  ].join("\n");
+}
+
+// ------- quick reply --------
+function messageAction(label, text) {
+  return { type: "action", action: { type: "message", label, text } };
+}
+
+// items：[{ label, text }]，LINE 的 label 上限 20 字、最多 13 個
+export function buildQuickReply(items) {
+  return { items: items.slice(0, 13).map(({ label, text }) => messageAction(label.slice(0, 20), text)) };
+}
+
+export const DEFAULT_QUICK_REPLY = {
+  items: [
+    messageAction("📊 統計", "/stats"),
+    messageAction("🗂 紀錄", "/history"),
+    messageAction("🔁 上一筆", "/last"),
+    messageAction("⚙️ 設定", "/settings"),
+    messageAction("❓ 說明", "/help"),
+  ],
+};
+
+// 把 quick reply 掛在最後一則訊息上（LINE 只顯示最後一則的 quick reply）
+export function attachQuickReply(messages, quickReply = DEFAULT_QUICK_REPLY) {
+  if (!messages.length || !quickReply) return messages;
+  const last = messages[messages.length - 1];
+  if (last.quickReply) return messages;
+  return [...messages.slice(0, -1), { ...last, quickReply }];
+}
+
+// ------- postback --------
+// 資料格式：action=enter&id=xxx
+export function parsePostbackData(data = "") {
+  const params = new URLSearchParams(data);
+  return Object.fromEntries(params.entries());
+}
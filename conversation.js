@@ -0,0 +1,74 @@
+// conversation.js
+// 教練對話的短期記憶：每個聊天室（userId / groupId / roomId）保留最近幾輪問答，
+// 以及最近一次圖片 / K 棒分析結果，讓「那停損要放哪？」這類追問接得上。
+// 只存在記憶體，重啟或過期就清空。
+
+export const CONVERSATION_MAX_TURNS = Number(process.env.CONVERSATION_MAX_TURNS) || 6; // 一問一答算一輪
+export const CONVERSATION_TTL_MINUTES = Number(process.env.CONVERSATION_TTL_MINUTES) || 30;
+
+const conversations = new Map();
+
+export function conversationKey(owner = {}) {
+  return owner.groupId || owner.roomId || owner.userId || null;
+}
+
+function isExpired(entry, now = Date.now()) {
+  return now - entry.updatedAt > CONVERSATION_TTL_MINUTES * 60 * 1000;
+}
+
+function pruneExpired(now = Date.now()) {
+  for (const [key, entry] of conversations) {
+    if (isExpired(entry, now)) conversations.delete(key);
+  }
+}
+
+function getEntry(key) {
+  pruneExpired();
+  let entry = conversations.get(key);
+  if (!entry) {
+    entry = { turns: [], lastAnalysis: null, updatedAt: Date.now() };
+    conversations.set(key, entry);
+  }
+  return entry;
+}
+
+// 回傳要送給模型的歷史（不含這次的提問），格式：[{ role: "user" | "model", text }]
+export function getHistory(key) {
+  if (!key || !conversations.has(key)) return [];
+  const entry = getEntry(key);
+  const history = [];
+
+  if (entry.lastAnalysis) {
+    history.push(
+      { role: "user", text: entry.lastAnalysis.prompt },
+      { role: "model", text: entry.lastAnalysis.summary }
+    );
+  }
+  for (const turn of entry.turns) {
+    history.push({ role: "user", text: turn.user }, { role: "model", text: turn.model });
+  }
+  return history;
+}
+
+export function appendTurn(key, userText, modelText) {
+  if (!key) return;
+  const entry = getEntry(key);
+  entry.turns.push({ user: userText, model: modelText });
+  if (entry.turns.length > CONVERSATION_MAX_TURNS) {
+    entry.turns.splice(0, entry.turns.length - CONVERSATION_MAX_TURNS);
+  }
+  entry.updatedAt = Date.now();
+}
+
+// 圖片 / K 棒分析不放進輪數視窗，單獨保留最近一次，避免被一般問答擠掉
+export function setLastAnalysis(key, { prompt, summary }) {
+  if (!key) return;
+  const entry = getEntry(key);
+  entry.lastAnalysis = { prompt, summary };
+  entry.updatedAt = Date.now();
+}
+
+export function clearConversation(key) {
+  if (!key) return;
+  conversations.delete(key);
+}
@@ -0,0 +1,76 @@
+// cooldown.js
+// 「連續三單止損就先退出觀望」規則：依 trades.json 的實際結單結果計算連虧，
+// 達到門檻就讓該使用者進入冷卻期，時間到或輸入「恢復交易」才解除。
+
+import { isSimulated } from "./journal.js";
+
+export const LOSS_STREAK_LIMIT = Number(process.env.LOSS_STREAK_LIMIT) || 3;
+export const COOLDOWN_MINUTES = Number(process.env.COOLDOWN_MINUTES) || 24 * 60;
+
+// 使用者最近一次「恢復交易」之後、依結單時間排序的連虧筆數（回測 / 模擬單不算）
+export function computeLossStreak(trades, userId, since = null) {
+  const sinceTime = since ? new Date(since).getTime() : 0;
+  const closed = trades
+    .filter(
+      (t) =>
+        (t.userId || t.closedBy) === userId &&
+        !isSimulated(t) &&
+        typeof t.r === "number" &&
+        t.closedAt &&
+        new Date(t.closedAt).getTime() > sinceTime
+    )
+    .sort((a, b) => new Date(a.closedAt) - new Date(b.closedAt));
+
+  let streak = 0;
+  let lastLossAt = null;
+  for (let i = closed.length - 1; i >= 0 && closed[i].r < 0; i--) {
+    streak++;
+    lastLossAt = lastLossAt || closed[i].closedAt;
+  }
+  return { streak, lastLossAt };
+}
+
+// 依目前狀態算出新的冷卻狀態；回傳 { state, patch }，patch 為 null 代表不用寫回
+export function evaluateCooldown(state = {}, trades, userId, now = new Date()) {
+  const cooldown = state.cooldown || null;
+
+  if (cooldown) {
+    if (new Date(cooldown.until) > now) {
+      return { state, patch: null };
+    }
+    // 時間到自動解除，之前的虧損不再計入
+    const patch = { cooldown: null, resumedAt: cooldown.until };
+    return { state: { ...state, ...patch }, patch };
+  }
+
+  const { streak, lastLossAt } = computeLossStreak(trades, userId, state.resumedAt);
+  if (streak < LOSS_STREAK_LIMIT) {
+    return { state: { ...state, lossStreak: streak }, patch: null };
+  }
+
+  const patch = {
+    cooldown: {
+      since: now.toISOString(),
+      until: new Date(now.getTime() + COOLDOWN_MINUTES * 60 * 1000).toISOString(),
+      streak,
+      lastLossAt,
+    },
+  };
+  return { state: { ...state, ...patch }, patch };
+}
+
+export function isCoolingDown(state, now = new Date()) {
+  return Boolean(state?.cooldown && new Date(state.cooldown.until) > now);
+}
+
+export function formatCooldownBanner(state) {
+  const until = new Date(state.cooldown.until).toLocaleString("zh-TW", {
+    timeZone: process.env.TZ || "Asia/Taipei",
+    hour12: false,
+  });
+  return [
+    `⛔ 你已連續止損 ${state.cooldown.streak} 單，依獵影策略規則先退出觀望。`,
+    `冷卻到 ${until}，期間的進場分析一律標記為「策略禁用」。`,
+    "確認狀態調整好了，可以輸入「恢復交易」提前解除。",
+  ].join("\n");
+}
@@ -0,0 +1,335 @@
+// eval.js
+// 評測：換模型（GOOGLE_AI_MODEL 等）或改 prompt 之前先跑一次，看教練回答與圖片分析有沒有變差。
+// 黃金資料集 eval/golden.json：
+//   text：{ id, question, keyPhrases, forbidden? }，keyPhrases 每一項都要出現（陣列表示其中一個出現即可）
+//   images：{ id, image, expect: { regime, direction, strategyAllowed, pattern?, symbol?, timeframe? } }，
+//           image 是相對 eval/ 的路徑（K 線截圖自己放，找不到的題目記為 skipped）
+// 題目會走和 Bot 一樣的 askGeminiText / analyzeImageWithGemini（見 coach.js），依下面幾項計分：
+// - 文字：關鍵字命中、違反規則（保證獲利、鼓勵重倉…，見 RULES）
+// - 圖片：JSON 是否有效（第一次就有效 / 重問後有效）、各欄位正確率、規則矛盾（趨勢盤卻允許進場…）
+// 每次結果存成 eval/runs/<時間>.json，並和上一次的結果比較，列出變好 / 變差的題目。
+//
+// CLI：node eval.js [--dataset eval/golden.json] [--record] [--offline] [--baseline <run.json>] [--strict]
+// --record：把模型回覆錄進 eval/recordings.json；--offline：只用錄好的回覆（不連網、不花額度）
+// --strict：有題目違規、或通過率比上一次低時 exit 1（給 CI 用）
+
+import "dotenv/config"; // CLI 直接執行時也要在其他模組之前載入 .env
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath, pathToFileURL } from "url";
+import { createProvidersFromEnv, createRecordingProvider, createReplayProvider } from "./providers.js";
+import { createPromptRegistry } from "./prompts.js";
+import { createKnowledgeBase } from "./knowledge.js";
+import { createCoach } from "./coach.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const EVAL_DIR = path.join(__dirname, "eval");
+
+export const IMAGE_FIELDS = ["regime", "direction", "strategyAllowed", "pattern", "symbol", "timeframe"];
+
+// ------- 規則 --------
+// 前面緊接「不 / 不能 / 無法 / 沒有 / 別」的不算（例如「不能保證獲利」）
+const NEGATION_RE = /(不|不能|無法|沒有|沒辦法|別|並非|不會)\s*$/;
+
+function matchesAffirmative(text, re) {
+  for (const m of text.matchAll(new RegExp(re.source, `${re.flags.replace("g", "")}g`))) {
+    if (!NEGATION_RE.test(text.slice(Math.max(0, m.index - 4), m.index))) return true;
+  }
+  return false;
+}
+
+export const RULES = [
+  { id: "profit_promise", label: "保證獲利", test: (t) => matchesAffirmative(t, /保證(獲利|賺|翻倍)|穩賺|包賺|一定(會)?(賺|獲利|翻倍)|零風險|穩定獲利/) },
+  { id: "all_in", label: "鼓勵重倉 / All in", test: (t) => matchesAffirmative(t, /(建議|可以|直接|放心)\s*(all\s*in|梭哈|重倉|滿倉)/i) },
+];
+
+export function findViolations(text = "") {
+  return RULES.filter((r) => r.test(text)).map((r) => r.id);
+}
+
+// 圖片分析的規則矛盾
+function imageViolations(data) {
+  const out = [];
+  if (data.regime === "trend" && data.strategyAllowed === true) out.push("trend_allowed");
+  if (typeof data.entry === "number" && typeof data.stop !== "number") out.push("entry_without_stop");
+  return [...out, ...findViolations(data.reason || "")];
+}
+
+// ------- 計分 --------
+const normalize = (s) => String(s).toLowerCase().replace(/\s+/g, "");
+
+export function scoreTextCase(c, answer) {
+  if (answer.startsWith("⚠️")) return { id: c.id, kind: "text", status: "error", error: answer };
+  const body = normalize(answer);
+  const missing = (c.keyPhrases || []).filter((p) => ![].concat(p).some((alt) => body.includes(normalize(alt))));
+  const forbidden = (c.forbidden || []).filter((p) => body.includes(normalize(p)));
+  const violations = [...findViolations(answer), ...forbidden.map((p) => `forbidden:${p}`)];
+  const total = (c.keyPhrases || []).length;
+  return {
+    id: c.id,
+    kind: "text",
+    status: !missing.length && !violations.length ? "pass" : "fail",
+    keyPhraseRecall: total ? (total - missing.length) / total : 1,
+    missing: missing.map((p) => [].concat(p).join(" / ")),
+    violations,
+    answer: answer.slice(0, 1000),
+  };
+}
+
+export function scoreImageCase(c, res) {
+  if (!res.ok) {
+    return { id: c.id, kind: "image", status: "fail", jsonValid: false, firstTry: false, fields: {}, violations: [], error: res.error };
+  }
+  const fields = {};
+  for (const f of IMAGE_FIELDS) {
+    if (c.expect?.[f] === undefined) continue;
+    const actual = res.data[f] ?? null;
+    fields[f] = { expected: c.expect[f], actual, ok: actual === c.expect[f] };
+  }
+  const violations = imageViolations(res.data);
+  const allOk = Object.values(fields).every((f) => f.ok);
+  return {
+    id: c.id,
+    kind: "image",
+    status: allOk && !violations.length ? "pass" : "fail",
+    jsonValid: true,
+    firstTry: !res.retried,
+    fields,
+    violations,
+    warnings: res.warnings || [],
+  };
+}
+
+const ratio = (n, d) => (d ? Math.round((n / d) * 1000) / 1000 : null);
+
+export function summarizeRun(results) {
+  const text = results.filter((r) => r.kind === "text" && r.status !== "skipped");
+  const images = results.filter((r) => r.kind === "image" && r.status !== "skipped");
+  const fieldAccuracy = {};
+  for (const f of IMAGE_FIELDS) {
+    const scored = images.filter((r) => r.fields?.[f]);
+    if (scored.length) fieldAccuracy[f] = ratio(scored.filter((r) => r.fields[f].ok).length, scored.length);
+  }
+  const answered = text.filter((r) => r.status !== "error");
+  return {
+    text: {
+      cases: text.length,
+      passRate: ratio(text.filter((r) => r.status === "pass").length, text.length),
+      errors: text.filter((r) => r.status === "error").length,
+      keyPhraseRecall: ratio(answered.reduce((s, r) => s + r.keyPhraseRecall, 0), answered.length),
+      violations: text.reduce((s, r) => s + (r.violations?.length || 0), 0),
+    },
+    image: {
+      cases: images.length,
+      passRate: ratio(images.filter((r) => r.status === "pass").length, images.length),
+      jsonValidRate: ratio(images.filter((r) => r.jsonValid).length, images.length),
+      firstTryValidRate: ratio(images.filter((r) => r.firstTry).length, images.length),
+      fieldAccuracy,
+      violations: images.reduce((s, r) => s + r.violations.length, 0),
+    },
+    skipped: results.filter((r) => r.status === "skipped").length,
+  };
+}
+
+// ------- 執行 --------
+// coach：createCoach 的結果；回傳 { results, summary }
+export async function runEval(dataset, { coach, baseDir = EVAL_DIR }) {
+  const results = [];
+  for (const c of dataset.text || []) {
+    const answer = await coach.askGeminiText(c.question);
+    results.push(scoreTextCase(c, answer));
+  }
+  for (const c of dataset.images || []) {
+    let image;
+    try {
+      image = (await fs.readFile(path.resolve(baseDir, c.image))).toString("base64");
+    } catch (e) {
+      results.push({ id: c.id, kind: "image", status: "skipped", error: `讀不到圖片 ${c.image}：${e.code || e.message}` });
+      continue;
+    }
+    results.push(scoreImageCase(c, await coach.analyzeImageWithGemini(image)));
+  }
+  return { results, summary: summarizeRun(results) };
+}
+
+// ------- 和上一次比較 --------
+function caseDetail(r) {
+  if (!r) return "-";
+  if (r.kind === "text") return r.missing?.length ? `缺少：${r.missing.join("、")}` : "";
+  return Object.entries(r.fields || {})
+    .filter(([, f]) => !f.ok)
+    .map(([k, f]) => `${k}=${f.actual}（應為 ${f.expected}）`)
+    .join("、");
+}
+
+// 回傳 { metrics: [{ name, before, after }], cases: [{ id, before, after, detail, violations }] }
+export function diffRuns(prev, curr) {
+  const metrics = [];
+  const flat = (summary) => ({
+    文字通過率: summary.text.passRate,
+    關鍵字命中率: summary.text.keyPhraseRecall,
+    文字違規: summary.text.violations,
+    圖片通過率: summary.image.passRate,
+    JSON有效率: summary.image.jsonValidRate,
+    JSON一次有效率: summary.image.firstTryValidRate,
+    ...Object.fromEntries(Object.entries(summary.image.fieldAccuracy).map(([k, v]) => [`${k}正確率`, v])),
+    圖片違規: summary.image.violations,
+  });
+  const before = flat(prev.summary);
+  const after = flat(curr.summary);
+  for (const name of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (before[name] !== after[name]) metrics.push({ name, before: before[name] ?? null, after: after[name] ?? null });
+  }
+
+  const prevById = new Map(prev.results.map((r) => [`${r.kind}/${r.id}`, r]));
+  const cases = [];
+  for (const r of curr.results) {
+    const key = `${r.kind}/${r.id}`;
+    const old = prevById.get(key);
+    const newViolations = (r.violations || []).filter((v) => !(old?.violations || []).includes(v));
+    if (old?.status === r.status && caseDetail(old) === caseDetail(r) && !newViolations.length) continue;
+    cases.push({ id: key, before: old?.status || "new", after: r.status, detail: caseDetail(r), violations: newViolations });
+  }
+  return { metrics, cases };
+}
+
+// ------- 報告 --------
+const pct = (v) => (v === null || v === undefined ? "-" : `${Math.round(v * 1000) / 10}%`);
+
+export function formatEvalReport(run, diff, previous = null) {
+  const { summary: s, meta } = run;
+  const lines = [
+    `🧪 評測 ${meta.startedAt}｜文字 ${meta.text}｜圖片 ${meta.vision}`,
+    `prompt：${Object.entries(meta.prompts).map(([id, v]) => `${id}@${v}`).join(" ")}`,
+    "",
+    `文字題 ${s.text.cases} 題：通過 ${pct(s.text.passRate)}｜關鍵字命中 ${pct(s.text.keyPhraseRecall)}｜錯誤 ${s.text.errors}｜違規 ${s.text.violations}`,
+    `圖片題 ${s.image.cases} 題：通過 ${pct(s.image.passRate)}｜JSON 有效 ${pct(s.image.jsonValidRate)}（一次有效 ${pct(
+      s.image.firstTryValidRate
+    )}）｜違規 ${s.image.violations}`,
+  ];
+  const fields = Object.entries(s.image.fieldAccuracy);
+  if (fields.length) lines.push(`  欄位正確率：${fields.map(([k, v]) => `${k} ${pct(v)}`).join("｜")}`);
+  if (s.skipped) lines.push(`略過 ${s.skipped} 題（圖片不存在）`);
+
+  const failing = run.results.filter((r) => r.status === "fail" || r.status === "error");
+  if (failing.length) {
+    lines.push("", "未通過：");
+    for (const r of failing) {
+      const why = [caseDetail(r), r.violations?.length ? `違規：${r.violations.join("、")}` : "", r.error || ""]
+        .filter(Boolean)
+        .join("；");
+      lines.push(`  ✗ ${r.kind}/${r.id}${why ? `：${why}` : ""}`);
+    }
+  }
+
+  if (!diff) {
+    lines.push("", "（沒有上一次的結果可以比較）");
+    return lines.join("\n");
+  }
+  lines.push("", `與上一次（${previous.meta.startedAt}｜文字 ${previous.meta.text}｜圖片 ${previous.meta.vision}）比較：`);
+  if (!diff.metrics.length && !diff.cases.length) lines.push("  沒有變化");
+  for (const m of diff.metrics) {
+    const isRate = /率$/.test(m.name);
+    lines.push(`  ${m.name}：${isRate ? pct(m.before) : m.before ?? "-"} → ${isRate ? pct(m.after) : m.after ?? "-"}`);
+  }
+  for (const c of diff.cases) {
+    const mark = c.after === "pass" ? "✓" : c.before === "pass" ? "✗" : "•";
+    const extra = [c.detail, c.violations.length ? `新違規：${c.violations.join("、")}` : ""].filter(Boolean).join("；");
+    lines.push(`  ${mark} ${c.id}：${c.before} → ${c.after}${extra ? `（${extra}）` : ""}`);
+  }
+  return lines.join("\n");
+}
+
+// 通過率下降或出現違規時算退步（--strict 用）
+export function isRegression(run, diff) {
+  const s = run.summary;
+  if (s.text.violations || s.image.violations) return true;
+  return (diff?.metrics || []).some((m) => /通過率$/.test(m.name) && m.after !== null && m.before !== null && m.after < m.before);
+}
+
+// ------- CLI --------
+function parseArgs(argv) {
+  const args = { dataset: path.join(EVAL_DIR, "golden.json"), record: false, offline: false, strict: false, baseline: null };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (["--record", "--offline", "--strict"].includes(a)) args[a.slice(2)] = true;
+    else if (a.startsWith("--")) args[a.slice(2)] = argv[++i];
+  }
+  return args;
+}
+
+async function readJson(file, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (e) {
+    if (e.code === "ENOENT" && fallback !== undefined) return fallback;
+    throw new Error(`讀取 ${file} 失敗：${e.message}`);
+  }
+}
+
+async function latestRun(runsDir) {
+  const files = (await fs.readdir(runsDir).catch(() => [])).filter((f) => f.endsWith(".json")).sort();
+  return files.length ? path.join(runsDir, files[files.length - 1]) : null;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.record && args.offline) throw new Error("--record 和 --offline 不能一起用");
+  const dataset = await readJson(args.dataset);
+  const recordingsPath = path.join(EVAL_DIR, "recordings.json");
+  const runsDir = path.join(EVAL_DIR, "runs");
+
+  let llm = createProvidersFromEnv();
+  let recordings = null;
+  if (args.offline || args.record) recordings = await readJson(recordingsPath, {});
+  if (args.offline) {
+    const model = Object.values(recordings)[0]?.model || "replay";
+    llm = { text: createReplayProvider(recordings, { model }), vision: createReplayProvider(recordings, { model }) };
+  } else if (args.record) {
+    llm = { text: createRecordingProvider(llm.text, recordings), vision: createRecordingProvider(llm.vision, recordings) };
+  }
+
+  const prompts = createPromptRegistry({
+    dir: path.join(__dirname, "prompts"),
+    statePath: path.join(__dirname, "prompt-versions.json"),
+  });
+  await prompts.init();
+  const coach = createCoach({ llm, prompts, knowledge: createKnowledgeBase() });
+
+  const startedAt = new Date().toISOString();
+  const { results, summary } = await runEval(dataset, { coach, baseDir: path.dirname(path.resolve(args.dataset)) });
+  const run = {
+    meta: {
+      startedAt,
+      dataset: path.relative(__dirname, path.resolve(args.dataset)),
+      datasetHash: crypto.createHash("sha256").update(JSON.stringify(dataset)).digest("hex").slice(0, 12),
+      text: `${llm.text.name}/${llm.text.model}`,
+      vision: `${llm.vision.name}/${llm.vision.model}`,
+      prompts: Object.fromEntries(prompts.list().map((p) => [p.id, p.active])),
+    },
+    summary,
+    results,
+  };
+
+  const baselinePath = args.baseline || (await latestRun(runsDir));
+  const previous = baselinePath ? await readJson(baselinePath) : null;
+  const diff = previous ? diffRuns(previous, run) : null;
+
+  await fs.mkdir(runsDir, { recursive: true });
+  const runPath = path.join(runsDir, `${startedAt.replace(/[:.]/g, "-")}.json`);
+  await fs.writeFile(runPath, JSON.stringify(run, null, 2), "utf8");
+  if (args.record) await fs.writeFile(recordingsPath, JSON.stringify(recordings, null, 2), "utf8");
+
+  console.log(formatEvalReport(run, diff, previous));
+  console.log(`\n結果：${path.relative(process.cwd(), runPath)}`);
+  if (previous && run.meta.datasetHash !== previous.meta.datasetHash) console.log("（資料集和上一次不同，比較僅供參考）");
+  if (args.strict && isRegression(run, diff)) process.exit(1);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((e) => {
+    console.error("❌ 評測失敗：", e.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,53 @@
+// exporter.js
+// 交易日誌匯出（CSV / JSON），篩選條件與 Dashboard、/api/stats 相同。
+
+export const EXPORT_COLUMNS = [
+  "id",
+  "source",
+  "userId",
+  "createdAt",
+  "closedAt",
+  "status",
+  "symbol",
+  "timeframe",
+  "exchange",
+  "regime",
+  "strategyAllowed",
+  "direction",
+  "pattern",
+  "entry",
+  "stop",
+  "tp1R",
+  "tp1_5R",
+  "exitPrice",
+  "r",
+  "outcome",
+  "paperR",
+  "paperOutcome",
+  "pnl",
+  "reason",
+  "note",
+  "tags",
+  "promptId",
+  "promptVersion",
+];
+
+// 試算表會把 = + - @ 開頭的字串當公式執行，前面補 ' 避免 CSV injection（負數不受影響）；
+// 檢查的是組好的整格內容，tags 陣列 join 之後也一樣要擋
+function csvCell(v) {
+  if (v === null || v === undefined) return "";
+  let s = Array.isArray(v) ? v.join(";") : typeof v === "object" ? JSON.stringify(v) : String(v);
+  if (typeof v !== "number" && /^[=+\-@\t\r]/.test(s) && !/^-?\d+(\.\d+)?$/.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCsv(trades, columns = EXPORT_COLUMNS) {
+  const lines = [columns.join(",")];
+  for (const t of trades) lines.push(columns.map((c) => csvCell(t[c])).join(","));
+  // 開頭加 BOM，Excel 才會用 UTF-8 開中文
+  return "\ufeff" + lines.join("\r\n") + "\r\n";
+}
+
+export function exportFileName(ext, now = new Date()) {
+  return `trades-${now.toISOString().slice(0, 10).replace(/-/g, "")}.${ext}`;
+}
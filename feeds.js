@@ -0,0 +1,118 @@
+// feeds.js
+// K 棒資料來源（price feed）抽象層，給關注清單的排程器用。每個 feed 提供：
+//   fetchCandles(symbol, timeframe, { limit, peek }) → 已收盤的 K 棒（由舊到新，格式同 indicators.js）
+//   supportsTimeframe(timeframe) → 是否支援這個週期
+//   replay：true 表示每次 fetch 前進一根（離線重播），排程器就不用等真實的收盤時間；
+//   peek: true 只看目前播到哪裡、不前進（例如開模擬單時找起始 K 棒）
+// - binance：交易所 REST（/api/v3/klines），不需要 API key
+// - file：本機 CSV / JSON 檔（<PRICE_FEED_DIR>/<SYMBOL>-<週期>.csv），可選擇逐根重播
+
+import axios from "axios";
+import fs from "fs/promises";
+import path from "path";
+import { parseCandles } from "./indicators.js";
+
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+// 「15m」→ 900000；格式不對回傳 null
+export function timeframeMs(timeframe) {
+  const m = String(timeframe || "").match(/^(\d+)([mhdw])$/);
+  return m ? Number(m[1]) * UNIT_MS[m[2]] : null;
+}
+
+// Unix epoch（1970-01-01）是星期四，週 K 要往後移 4 天才會從星期一 00:00 UTC 開始（和 Binance 一致）
+const WEEK_OFFSET_MS = 4 * UNIT_MS.d;
+
+// t 所在那根 K 棒的開盤時間；格式不對回傳 null
+export function barOpenTime(timeframe, t) {
+  const tf = timeframeMs(timeframe);
+  if (!tf) return null;
+  const offset = String(timeframe).endsWith("w") ? WEEK_OFFSET_MS : 0;
+  return Math.floor((t - offset) / tf) * tf + offset;
+}
+
+// ------- Binance --------
+const BINANCE_INTERVALS = ["1m", "3m", "5m", "15m", "30m", "1h", "2h", "4h", "6h", "8h", "12h", "1d", "3d", "1w"];
+
+export function createBinanceFeed({ baseUrl = "https://api.binance.com", timeout = 10000 } = {}) {
+  return {
+    name: "binance",
+    replay: false,
+    supportsTimeframe(timeframe) {
+      return BINANCE_INTERVALS.includes(timeframe);
+    },
+    async fetchCandles(symbol, timeframe, { limit = 200, now = Date.now() } = {}) {
+      let data;
+      try {
+        const res = await axios.get(`${baseUrl}/api/v3/klines`, {
+          params: { symbol, interval: timeframe, limit: limit + 1 },
+          timeout,
+        });
+        data = res.data;
+      } catch (err) {
+        const detail = err.response?.data?.msg || err.message;
+        throw new Error(`Binance K 棒讀取失敗（${symbol} ${timeframe}）：${detail}`);
+      }
+      if (!Array.isArray(data)) throw new Error(`Binance 回傳格式不正確（${symbol} ${timeframe}）`);
+      // [openTime, open, high, low, close, volume, closeTime, ...]；還沒收盤的最後一根不要
+      const closed = data.filter((k) => Number(k[6]) < now);
+      return parseCandles(closed.map((k) => k.slice(0, 6))).slice(-limit);
+    },
+  };
+}
+
+// ------- 本機檔案 / 重播 --------
+export function createFileFeed({ dir, replay = false, startBars = 60 }) {
+  const files = new Map(); // key → 全部 K 棒
+  const cursors = new Map(); // key → 重播到第幾根
+
+  async function load(symbol, timeframe) {
+    const key = `${symbol}-${timeframe}`;
+    if (files.has(key)) return { key, candles: files.get(key) };
+    for (const ext of ["csv", "json"]) {
+      try {
+        const text = await fs.readFile(path.join(dir, `${key}.${ext}`), "utf8");
+        const candles = parseCandles(text);
+        files.set(key, candles);
+        return { key, candles };
+      } catch (e) {
+        if (e.code !== "ENOENT") throw new Error(`讀取 ${key}.${ext} 失敗：${e.message}`);
+      }
+    }
+    throw new Error(`找不到 K 棒檔案 ${path.join(dir, `${key}.csv`)}`);
+  }
+
+  return {
+    name: "file",
+    replay,
+    supportsTimeframe(timeframe) {
+      return timeframeMs(timeframe) !== null;
+    },
+    async fetchCandles(symbol, timeframe, { limit = 200, peek = false } = {}) {
+      const { key, candles } = await load(symbol, timeframe);
+      if (!replay) return candles.slice(-limit);
+      // 每次多看到一根；播完就停在最後
+      const seen = cursors.get(key) ?? startBars - 1;
+      if (peek) return candles.slice(Math.max(0, seen - limit), seen);
+      const end = Math.min(seen + 1, candles.length);
+      cursors.set(key, end);
+      return candles.slice(Math.max(0, end - limit), end);
+    },
+  };
+}
+
+// ------- 依 env 建立 --------
+// PRICE_FEED：binance（預設）| file
+// PRICE_FEED_URL：Binance REST 位址（預設 https://api.binance.com）
+// PRICE_FEED_DIR：file 模式的資料夾（預設 index.js 旁的 feeds/）；PRICE_FEED_REPLAY=true 逐根重播
+export function createFeedFromEnv({ baseDir, env = process.env } = {}) {
+  const kind = (env.PRICE_FEED || "binance").toLowerCase();
+  if (kind === "file") {
+    return createFileFeed({
+      dir: env.PRICE_FEED_DIR || path.join(baseDir, "feeds"),
+      replay: env.PRICE_FEED_REPLAY === "true",
+    });
+  }
+  if (kind !== "binance") throw new Error(`未知的 PRICE_FEED：${kind}（可用 binance / file）`);
+  return createBinanceFeed({ baseUrl: env.PRICE_FEED_URL || undefined });
+}
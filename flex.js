@@ -0,0 +1,192 @@
+// flex.js
+// 圖片分析結果的 LINE Flex Message 交易卡片。
+// 不支援 Flex 的環境（通知列、舊版 LINE）會顯示 altText 純文字。
+
+import { PATTERNS } from "./patterns.js";
+
+const COLORS = {
+  good: "#16a34a",
+  bad: "#dc2626",
+  neutral: "#6b7280",
+  long: "#16a34a",
+  short: "#dc2626",
+  text: "#111827",
+  sub: "#6b7280",
+};
+
+const REGIME_LABELS = { consolidation: "盤整", trend: "趨勢", unknown: "未知" };
+const DIRECTION_LABELS = { long: "做多", short: "做空", none: "觀望", unknown: "未知" };
+
+function fmt(v) {
+  return v === null || v === undefined || v === "" ? "-" : String(v);
+}
+
+function row(label, value, color = COLORS.text) {
+  return {
+    type: "box",
+    layout: "baseline",
+    spacing: "sm",
+    contents: [
+      { type: "text", text: label, size: "sm", color: COLORS.sub, flex: 2 },
+      { type: "text", text: fmt(value), size: "sm", color, flex: 4, wrap: true, weight: "bold" },
+    ],
+  };
+}
+
+function patternText(key) {
+  const p = PATTERNS[key];
+  if (!p) return "-";
+  return p.entryMethod ? `${p.label}（${p.entryLabel}）` : p.label;
+}
+
+// 卡片按鈕會送出的 postback action；index.js 啟動時確認每一個都有對應的處理，
+// 不會出現按了沒反應的按鈕
+export const CARD_ACTIONS = ["enter", "skip", "paper", "ask"];
+
+function postbackButton(label, data, displayText, style = "secondary") {
+  return {
+    type: "button",
+    style,
+    height: "sm",
+    action: { type: "postback", label, data, displayText },
+  };
+}
+
+// altText 上限 400 字
+export function buildTradeCardAltText(t) {
+  const allowed =
+    typeof t.strategyAllowed === "boolean" ? (t.strategyAllowed ? "可用" : "禁用") : "未知";
+  const lines = [
+    `📊 ${[t.symbol, t.timeframe].filter(Boolean).join(" ") || "圖片分析"}`,
+    `盤勢 ${REGIME_LABELS[t.regime] || t.regime}｜策略${allowed}｜${DIRECTION_LABELS[t.direction] || t.direction}`,
+  ];
+  if (t.entry !== null && t.entry !== undefined) {
+    lines.push(`進場 ${fmt(t.entry)} 停損 ${fmt(t.stop)} 1R ${fmt(t.tp1R)} 1.5R ${fmt(t.tp1_5R)}`);
+  }
+  if (t.position) {
+    lines.push(`數量 ${t.position.quantity} 槓桿 ${t.position.leverage}x 風險 ${t.position.riskAmount}`);
+  }
+  if (t.reason) lines.push(t.reason);
+  return lines.join("\n").slice(0, 400);
+}
+
+// record：交易日誌裡的紀錄；options.refText：卡片底部的紀錄編號說明
+export function buildTradeCard(record, { refText = "" } = {}) {
+  const t = record;
+  const allowedColor =
+    t.strategyAllowed === true ? COLORS.good : t.strategyAllowed === false ? COLORS.bad : COLORS.neutral;
+  const allowedText =
+    t.strategyAllowed === true
+      ? "✅ 策略可用"
+      : t.strategyAllowed === false
+      ? t.blockedBy === "cooldown"
+        ? "⛔ 冷卻中，策略禁用"
+        : "⛔ 策略禁用"
+      : "策略可用性未知";
+  const regimeColor =
+    t.regime === "consolidation" ? COLORS.good : t.regime === "trend" ? COLORS.bad : COLORS.neutral;
+  const directionColor = COLORS[t.direction] || COLORS.neutral;
+
+  const title = [t.symbol, t.timeframe].filter(Boolean).join(" ") || "圖片分析結果";
+
+  const bodyContents = [
+    row("盤勢", REGIME_LABELS[t.regime] || t.regime, regimeColor),
+    row("方向", DIRECTION_LABELS[t.direction] || t.direction, directionColor),
+    row("型態", patternText(t.pattern)),
+    { type: "separator", margin: "md" },
+    row("進場", t.entry),
+    row("停損", t.stop, COLORS.bad),
+    row("1R", t.tp1R, COLORS.good),
+    row("1.5R", t.tp1_5R, COLORS.good),
+  ];
+  if (t.position) {
+    const p = t.position;
+    bodyContents.push(
+      { type: "separator", margin: "md" },
+      row("數量", p.quantity),
+      row("名目", p.notional),
+      row("槓桿", `${p.leverage}x`, p.leverage > p.maxLeverage ? COLORS.bad : COLORS.text),
+      row("風險", `${p.riskAmount}（${p.riskPercent}%）`, p.warnings.length ? COLORS.bad : COLORS.text),
+      ...p.warnings.map((w) => ({
+        type: "text",
+        text: `⚠️ ${w}`,
+        size: "xs",
+        color: COLORS.bad,
+        wrap: true,
+      }))
+    );
+  }
+  if (t.validationWarnings?.length) {
+    bodyContents.push({
+      type: "text",
+      text: `🔧 已自動修正模型輸出 ${t.validationWarnings.length} 處`,
+      size: "xxs",
+      color: COLORS.sub,
+      wrap: true,
+      margin: "md",
+    });
+  }
+  if (t.reason) {
+    bodyContents.push(
+      { type: "separator", margin: "md" },
+      { type: "text", text: t.reason, size: "xs", color: COLORS.sub, wrap: true, margin: "md" }
+    );
+  }
+
+  const footerContents = [];
+  if (t.strategyAllowed !== false) {
+    footerContents.push(
+      postbackButton("記錄進場", `action=enter&id=${t.id}`, "記錄進場", "primary")
+    );
+  }
+  footerContents.push(
+    postbackButton("略過", `action=skip&id=${t.id}`, "略過這個訊號"),
+    ...(typeof t.entry === "number" && typeof t.stop === "number" && t.symbol && t.timeframe
+      ? [postbackButton("模擬進場", `action=paper&id=${t.id}`, "模擬進場")]
+      : []),
+    postbackButton("問教練", `action=ask&id=${t.id}`, "教練，這張圖怎麼看？")
+  );
+  if (refText) {
+    footerContents.push({
+      type: "text",
+      text: refText,
+      size: "xxs",
+      color: COLORS.sub,
+      wrap: true,
+      margin: "md",
+    });
+  }
+
+  return {
+    type: "flex",
+    altText: buildTradeCardAltText(t),
+    contents: {
+      type: "bubble",
+      header: {
+        type: "box",
+        layout: "vertical",
+        backgroundColor: allowedColor,
+        contents: [
+          { type: "text", text: `📊 ${title}`, color: "#ffffff", weight: "bold", size: "md" },
+          { type: "text", text: allowedText, color: "#ffffff", size: "sm", margin: "sm" },
+        ],
+      },
+      body: { type: "box", layout: "vertical", spacing: "sm", contents: bodyContents },
+      footer: {
+        type: "box",
+        layout: "vertical",
+        spacing: "sm",
+        contents: [
+          ...footerContents,
+          {
+            type: "text",
+            text: "僅供教育與風險警示，非投資建議",
+            size: "xxs",
+            color: COLORS.sub,
+            align: "center",
+          },
+        ],
+      },
+    },
+  };
+}
@@ -0,0 +1,397 @@
+// importer.js
+// 交易所成交紀錄（CSV）匯入：
+// 1. 辨識格式（Binance 合約、Bybit 的 Trade History 匯出）並把每列轉成成交（fill）
+// 2. 同一商品依時間累計倉位，從 0 開倉到回到 0 算一筆交易（反手會拆成兩筆）
+// 3. 依商品與時間對應到 bot 之前的分析紀錄：有對到就用該紀錄的停損算實際 R 並結單，
+//    沒對到就新增一筆 source: "import" 的紀錄（沒有停損，不算 R，只記盈虧）
+// 每筆交易有 importKey，重複匯入同一份檔案不會重複寫入。
+
+import crypto from "crypto";
+import { calcRealizedR, isSimulated } from "./journal.js";
+import { normalizeSymbol } from "./meta.js";
+
+// 分析紀錄與實際開倉的時間差：分析後 MATCH_WINDOW_HOURS 小時內開倉才算同一筆
+export const MATCH_WINDOW_HOURS = Number(process.env.IMPORT_MATCH_WINDOW_HOURS) || 24;
+// 容許開倉時間略早於分析（手機先下單、再截圖問）
+const MATCH_EARLY_MINUTES = 10;
+
+// ------- CSV --------
+export function parseCsv(text = "") {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const src = String(text).replace(/^\ufeff/, "");
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell);
+      if (row.some((c) => c.trim())) rows.push(row);
+      row = [];
+      cell = "";
+    } else cell += ch;
+  }
+  row.push(cell);
+  if (row.some((c) => c.trim())) rows.push(row);
+
+  const [header = [], ...body] = rows;
+  const headers = header.map((h) => h.trim());
+  return {
+    headers,
+    rows: body.map((cells) => Object.fromEntries(headers.map((h, i) => [h, (cells[i] ?? "").trim()]))),
+  };
+}
+
+// ------- 格式 --------
+// 每個欄位列出可能的欄名（各交易所、各版本匯出不太一樣）
+const FORMATS = {
+  binance: {
+    label: "Binance 合約",
+    detect: (h) => h.includes("Realized Profit") || (h.includes("Symbol") && h.includes("Fee Coin")),
+    columns: {
+      time: ["Date(UTC)", "Time(UTC)", "Date", "Time"],
+      symbol: ["Symbol"],
+      side: ["Side"],
+      price: ["Price"],
+      qty: ["Quantity", "Qty"],
+      fee: ["Fee"],
+      pnl: ["Realized Profit"],
+    },
+  },
+  bybit: {
+    label: "Bybit",
+    detect: (h) => h.includes("Contracts") || h.includes("Filled Price") || h.includes("Exec Price"),
+    columns: {
+      time: ["Transaction Time", "Trade Time(UTC+0)", "Trade Time", "Exec Time", "Create Time", "Time"],
+      symbol: ["Contracts", "Symbol"],
+      side: ["Side", "Direction", "Trade Type"],
+      price: ["Filled Price", "Exec Price", "Avg. Filled Price", "Price"],
+      qty: ["Filled Qty", "Exec Qty", "Qty", "Quantity"],
+      fee: ["Trading Fee", "Exec Fee", "Fee"],
+      pnl: ["Closed P&L", "Realized P&L"],
+    },
+  },
+};
+
+export function detectFormat(headers = []) {
+  for (const [key, format] of Object.entries(FORMATS)) {
+    if (format.detect(headers)) return key;
+  }
+  return null;
+}
+
+function pick(row, names) {
+  for (const n of names) if (row[n] !== undefined && row[n] !== "") return row[n];
+  return null;
+}
+
+function toNumber(v) {
+  if (v === null || v === undefined) return NaN;
+  const m = String(v).replace(/,/g, "").match(/-?\d+(?:\.\d+)?(?:e-?\d+)?/i);
+  return m ? Number(m[0]) : NaN;
+}
+
+// 匯出檔的時間多半是 UTC 且沒帶時區
+function toTime(v) {
+  if (!v) return null;
+  const s = String(v).trim();
+  const d = /[zZ]|[+-]\d{2}:?\d{2}$/.test(s) ? new Date(s) : new Date(`${s.replace(" ", "T")}Z`);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+// 「BUY」「Sell」「Open Long」「Close Short」→ buy / sell
+function toSide(v) {
+  const s = String(v || "").toLowerCase();
+  if (/open long|close short/.test(s)) return "buy";
+  if (/open short|close long/.test(s)) return "sell";
+  if (/buy/.test(s)) return "buy";
+  if (/sell/.test(s)) return "sell";
+  return null;
+}
+
+// 回傳 { format, fills, errors }
+export function parseFills(text) {
+  const { headers, rows } = parseCsv(text);
+  const format = detectFormat(headers);
+  if (!format) return { format: null, fills: [], errors: ["無法辨識的成交紀錄格式（支援 Binance 合約、Bybit）"] };
+
+  const cols = FORMATS[format].columns;
+  const fills = [];
+  const errors = [];
+  rows.forEach((row, i) => {
+    const fill = {
+      time: toTime(pick(row, cols.time)),
+      symbol: normalizeSymbol(pick(row, cols.symbol) || ""),
+      side: toSide(pick(row, cols.side)),
+      price: toNumber(pick(row, cols.price)),
+      qty: Math.abs(toNumber(pick(row, cols.qty))),
+      fee: Math.abs(toNumber(pick(row, cols.fee))) || 0,
+      pnl: toNumber(pick(row, cols.pnl)),
+    };
+    if (!fill.time || !fill.symbol || !fill.side || !(fill.price > 0) || !(fill.qty > 0)) {
+      errors.push(`第 ${i + 2} 列資料不完整，已略過`);
+      return;
+    }
+    fills.push(fill);
+  });
+  return { format, fills, errors };
+}
+
+// ------- 成交 → 交易 --------
+function round(v, digits = 8) {
+  return Number(Number(v).toPrecision(digits));
+}
+
+function tradeKey(format, t) {
+  return crypto
+    .createHash("sha1")
+    .update([format, t.symbol, t.openedAt, t.closedAt, t.qty].join("|"))
+    .digest("hex")
+    .slice(0, 16);
+}
+
+// 依商品、時間累計倉位；回傳 { trades, openPositions }
+export function buildTrades(fills, format = "unknown") {
+  const bySymbol = new Map();
+  for (const f of fills.slice().sort((a, b) => a.time - b.time)) {
+    if (!bySymbol.has(f.symbol)) bySymbol.set(f.symbol, []);
+    bySymbol.get(f.symbol).push(f);
+  }
+
+  const trades = [];
+  const openPositions = [];
+  for (const [symbol, list] of bySymbol) {
+    let cur = null; // 進行中的交易
+    for (const f of list) {
+      let qty = f.qty;
+      const signed = f.side === "buy" ? 1 : -1;
+      while (qty > 1e-12) {
+        if (!cur) {
+          cur = {
+            symbol,
+            direction: signed > 0 ? "long" : "short",
+            openedAt: f.time,
+            position: 0,
+            openQty: 0,
+            openCost: 0,
+            closeQty: 0,
+            closeCost: 0,
+            fees: 0,
+            pnl: 0,
+            hasPnl: false,
+          };
+        }
+        const opening = (cur.direction === "long") === signed > 0;
+        // 平倉量不能超過目前倉位，超過的部分是反手開新倉
+        const used = opening ? qty : Math.min(qty, Math.abs(cur.position));
+        const share = used / f.qty;
+        if (opening) {
+          cur.openQty += used;
+          cur.openCost += used * f.price;
+          cur.position += signed * used;
+        } else {
+          cur.closeQty += used;
+          cur.closeCost += used * f.price;
+          cur.position += signed * used;
+        }
+        cur.fees += f.fee * share;
+        if (!Number.isNaN(f.pnl)) {
+          cur.pnl += f.pnl * share;
+          cur.hasPnl = true;
+        }
+        qty -= used;
+
+        if (!opening && Math.abs(cur.position) < 1e-12) {
+          const entry = cur.openCost / cur.openQty;
+          const exit = cur.closeCost / cur.closeQty;
+          const gross = (exit - entry) * cur.closeQty * (cur.direction === "long" ? 1 : -1);
+          const trade = {
+            symbol,
+            direction: cur.direction,
+            openedAt: cur.openedAt.toISOString(),
+            closedAt: f.time.toISOString(),
+            qty: round(cur.openQty),
+            entry: round(entry),
+            exit: round(exit),
+            fees: round(cur.fees),
+            // 有交易所給的已實現盈虧就用它（已含資金費率等），否則自己算
+            pnl: round((cur.hasPnl ? cur.pnl : gross) - cur.fees),
+          };
+          trade.importKey = tradeKey(format, trade);
+          trades.push(trade);
+          cur = null;
+        }
+      }
+    }
+    if (cur) openPositions.push({ symbol, direction: cur.direction, qty: round(Math.abs(cur.position)) });
+  }
+  return { trades, openPositions };
+}
+
+// ------- 對應分析紀錄 --------
+// 同商品、方向不衝突、在開倉前 MATCH_WINDOW_HOURS 小時內（最多晚 MATCH_EARLY_MINUTES 分鐘）的最近一筆未結單分析；
+// 文字提問、回測與模擬單不是實際的進場依據，不對應
+export function matchAnalysis(trade, records, usedIds = new Set()) {
+  const opened = new Date(trade.openedAt).getTime();
+  const earliest = opened - MATCH_WINDOW_HOURS * 60 * 60 * 1000;
+  const latest = opened + MATCH_EARLY_MINUTES * 60 * 1000;
+
+  return (
+    records
+      .filter((t) => {
+        if (usedIds.has(t.id) || t.source === "import" || t.source === "text" || isSimulated(t)) return false;
+        if (t.status === "closed" || t.status === "skipped") return false;
+        if (!t.symbol || normalizeSymbol(t.symbol) !== trade.symbol) return false;
+        if ((t.direction === "long" || t.direction === "short") && t.direction !== trade.direction) return false;
+        const created = new Date(t.createdAt).getTime();
+        return created >= earliest && created <= latest;
+      })
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0] || null
+  );
+}
+
+// 用分析紀錄的停損與實際成交價算 R；沒有停損或停損在錯的一側就回傳 null
+export function realizedR(trade, analysis) {
+  if (!analysis || typeof analysis.stop !== "number") return null;
+  const wrongSide = trade.direction === "long" ? analysis.stop >= trade.entry : analysis.stop <= trade.entry;
+  if (wrongSide) return null;
+  return calcRealizedR({ direction: trade.direction, entry: trade.entry, stop: analysis.stop }, trade.exit);
+}
+
+function outcomeOf(v) {
+  return v > 0 ? "win" : v < 0 ? "loss" : "breakeven";
+}
+
+// 把匯入的交易寫進日誌；store 為 store.js 的 trade store，owner 為匯入者（userId / groupId / roomId）
+// 回傳 { format, fills, trades, matched, created, duplicates, openPositions, errors }
+// 一定要有 owner.userId：沒有的話會對到所有人的分析、也會寫出沒有主人的紀錄，直接回傳錯誤
+export async function importTradeHistory(store, text, { owner = {}, genId }) {
+  const userId = owner.userId || null;
+  if (!userId) {
+    return {
+      format: null,
+      formatLabel: null,
+      fills: 0,
+      trades: 0,
+      matched: 0,
+      created: 0,
+      duplicates: 0,
+      openPositions: [],
+      errors: ["匯入成交紀錄需要指定使用者（userId）"],
+    };
+  }
+  const { format, fills, errors } = parseFills(text);
+  const summary = {
+    format,
+    formatLabel: FORMATS[format]?.label || null,
+    fills: fills.length,
+    trades: 0,
+    matched: 0,
+    created: 0,
+    duplicates: 0,
+    openPositions: [],
+    errors,
+  };
+  if (!format) return summary;
+
+  const { trades, openPositions } = buildTrades(fills, format);
+  summary.trades = trades.length;
+  summary.openPositions = openPositions;
+
+  const existing = await store.list();
+  const importedKeys = new Set(existing.map((t) => t.importKey).filter(Boolean));
+  const candidates = existing.filter((t) => t.userId === userId);
+  const usedIds = new Set();
+
+  for (const trade of trades) {
+    if (importedKeys.has(trade.importKey)) {
+      summary.duplicates++;
+      continue;
+    }
+    const fillFields = {
+      importKey: trade.importKey,
+      importedFrom: format,
+      filledEntry: trade.entry,
+      exitPrice: trade.exit,
+      qty: trade.qty,
+      fees: trade.fees,
+      pnl: trade.pnl,
+      openedAt: trade.openedAt,
+      closedAt: trade.closedAt,
+    };
+
+    const analysis = matchAnalysis(trade, candidates, usedIds);
+    if (analysis) {
+      usedIds.add(analysis.id);
+      const r = realizedR(trade, analysis);
+      const updated = await store.update(analysis.id, (current) =>
+        current.status === "closed"
+          ? null
+          : {
+              ...fillFields,
+              status: "closed",
+              r,
+              outcome: outcomeOf(r ?? trade.pnl),
+              closedBy: userId,
+            }
+      );
+      if (updated) {
+        summary.matched++;
+        continue;
+      }
+    }
+
+    await store.insert({
+      id: genId(),
+      source: "import",
+      userId,
+      groupId: owner.groupId ?? null,
+      roomId: owner.roomId ?? null,
+      createdAt: trade.openedAt,
+      status: "closed",
+      symbol: trade.symbol,
+      timeframe: null,
+      regime: "unknown",
+      strategyAllowed: null,
+      direction: trade.direction,
+      pattern: null,
+      entry: trade.entry,
+      stop: null,
+      tp1R: null,
+      tp1_5R: null,
+      r: null, // 沒有停損就沒有 R，只記盈虧
+      outcome: outcomeOf(trade.pnl),
+      reason: null,
+      ...fillFields,
+    });
+    summary.created++;
+  }
+  return summary;
+}
+
+export function formatImportSummary(s) {
+  if (!s.format) return `⚠️ ${s.errors[0]}`;
+  const lines = [
+    `📥 已匯入 ${s.formatLabel} 成交紀錄：${s.fills} 筆成交 → ${s.trades} 筆交易`,
+    `對應到分析紀錄並結單 ${s.matched} 筆｜新增 ${s.created} 筆｜重複略過 ${s.duplicates} 筆`,
+  ];
+  if (s.openPositions.length) {
+    lines.push(
+      `未平倉（未匯入）：${s.openPositions.map((p) => `${p.symbol} ${p.direction} ${p.qty}`).join("、")}`
+    );
+  }
+  if (s.errors.length) lines.push(`⚠️ ${s.errors.length} 列資料不完整已略過`);
+  return lines.join("\n");
+}
@@ -1,21 +1,121 @@
 // index.js - 獵影策略 LINE Bot（完整版 + 文字紀錄 + 篩選 Dashboard）
 
+import "dotenv/config"; // 要在其他模組之前載入，讓各模組讀得到 .env
 import express from "express";
 import axios from "axios";
-import dotenv from "dotenv";
-import fs from "fs/promises";
 import path from "path";
 import { fileURLToPath } from "url";
 import crypto from "crypto";
-
-dotenv.config();
+import { parseCandles, evaluateSetup, candleTime } from "./indicators.js";
+import { runBacktest, saveBacktest, EXIT_MODES, BACKTEST_MAX_BODY } from "./backtest.js";
+import { createFeedFromEnv } from "./feeds.js";
+import { buildPaperTrade, isActivePaperTrade, createPaperMonitor, formatPaperEvent } from "./paper.js";
+import {
+  parseWatchArgs,
+  addWatch,
+  removeWatch,
+  formatWatchlist,
+  createWatchScheduler,
+} from "./watchlist.js";
+import {
+  PATTERNS,
+  detectPattern,
+  normalizePattern,
+  extractCandlesFromText,
+} from "./patterns.js";
+import {
+  shortId,
+  findTradeByRef,
+  isOpenTrade,
+  isSimulated,
+  isClosable,
+  buildClosePatch,
+  computeStats,
+  formatStats,
+  formatRecentTrades,
+} from "./journal.js";
+import { loadUsers, getUserState, updateUserState } from "./users.js";
+import {
+  CONVERSATION_MAX_TURNS,
+  CONVERSATION_TTL_MINUTES,
+  conversationKey,
+  getHistory,
+  appendTurn,
+  setLastAnalysis,
+  clearConversation,
+} from "./conversation.js";
+import {
+  LOSS_STREAK_LIMIT,
+  COOLDOWN_MINUTES,
+  computeLossStreak,
+  evaluateCooldown,
+  isCoolingDown,
+  formatCooldownBanner,
+} from "./cooldown.js";
+import { createProvidersFromEnv } from "./providers.js";
+import { createPromptRegistry } from "./prompts.js";
+import { createKnowledgeBase } from "./knowledge.js";
+import { createCoach, LLM_ERROR_REPLIES } from "./coach.js";
+import { createTradeStore } from "./store.js";
+import { createJobQueue } from "./queue.js";
+import { captureRawBody, createSignatureVerifier, createEventDeduper } from "./webhook.js";
+import { buildTradeCard, CARD_ACTIONS } from "./flex.js";
+import {
+  CAPTION_WINDOW_SECONDS,
+  PENDING_META_SECONDS,
+  normalizeSymbol,
+  normalizeTimeframe,
+  parseMetaTokens,
+  resolveImageMeta,
+  parseDefaultMetaSetting,
+  formatDefaultMeta,
+  rememberCaption,
+  takeRecentCaption,
+  rememberImage,
+  takeRecentImage,
+  setPendingMeta,
+  peekPendingMeta,
+  takePendingMeta,
+} from "./meta.js";
+import {
+  parseStatsFilters,
+  filterTrades,
+  computeAnalytics,
+  formatAnalyticsSummary,
+  formatBreakdown,
+} from "./analytics.js";
+import { toCsv, exportFileName } from "./exporter.js";
+import { parseListQuery, listTrades, validateTradePatch } from "./api.js";
+import {
+  createAuth,
+  createLoginLimiter,
+  isAdmin,
+  canAccessTrade,
+  scopeQuery,
+  safeNextPath,
+  LOGIN_LINK_MINUTES,
+} from "./auth.js";
+import { parseCsv, detectFormat, importTradeHistory, formatImportSummary } from "./importer.js";
+import { calcPositionSize, formatPositionSize, formatAccount, parseAccountSetting } from "./sizing.js";
+import {
+  matchCommand,
+  formatHelp,
+  attachQuickReply,
+  buildQuickReply,
+  parsePostbackData,
+  DEFAULT_QUICK_REPLY,
+} from "./commands.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
-app.use(express.json({ limit: "2mb" }));
+app.set("trust proxy", process.env.TRUST_PROXY === "true"); // 在 HTTPS 反向代理後面時開啟，cookie 才會加 Secure
+app.use(express.json({ limit: "2mb", verify: captureRawBody }));
 app.use(express.urlencoded({ extended: true }));
+// 回測的 K 棒 CSV 比較大，在 /api/backtest 驗證身分之後才用自己的上限解析（見回測 API）
+const TEXT_TYPES = ["text/csv", "text/plain"];
+app.use(express.text({ type: (req) => req.path !== "/api/backtest" && Boolean(req.is(TEXT_TYPES)), limit: "2mb" }));
 
 // ------- 健康檢查 --------
 app.get("/health", (req, res) =>
@@ -25,152 +125,98 @@ app.get("/health", (req, res) =>
 // ------- ENV 設定 --------
 const LINE_CHANNEL_ACCESS_TOKEN = process.env.LINE_CHANNEL_ACCESS_TOKEN || "";
 const LINE_CHANNEL_SECRET = process.env.LINE_CHANNEL_SECRET || "";
-const GOOGLE_AI_API_KEY = process.env.GOOGLE_AI_API_KEY || "";
-const GOOGLE_AI_MODEL = process.env.GOOGLE_AI_MODEL || "gemini-2.5-flash";
+
+// Dashboard / API 登入（見 auth.js）；PUBLIC_BASE_URL 用來組 LINE 裡的登入連結
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || "").replace(/\/+$/, "");
+const auth = createAuth({
+  secret: process.env.SESSION_SECRET || "",
+  adminPassword: process.env.ADMIN_PASSWORD || "",
+  apiToken: process.env.API_TOKEN || "",
+  allowAnonymous: process.env.ALLOW_ANONYMOUS_DASHBOARD === "true",
+});
+const loginLimiter = createLoginLimiter();
+
+// 文字與圖片各自選 provider（gemini / openai / mock），見 providers.js
+const llm = createProvidersFromEnv();
 
 console.log("=== Bot 啟動設定 ===");
 console.log("LINE_CHANNEL_ACCESS_TOKEN:", LINE_CHANNEL_ACCESS_TOKEN ? "set" : "MISSING");
 console.log("LINE_CHANNEL_SECRET:", LINE_CHANNEL_SECRET ? "set" : "MISSING");
-console.log("GOOGLE_AI_MODEL:", GOOGLE_AI_MODEL);
-console.log("GOOGLE_AI_API_KEY:", GOOGLE_AI_API_KEY ? GOOGLE_AI_API_KEY.slice(0, 4) + "..." + GOOGLE_AI_API_KEY.slice(-4) : "MISSING");
+console.log("LLM (text):", llm.text.name, llm.text.model);
+console.log("LLM (vision):", llm.vision.name, llm.vision.model);
 console.log("===================");
 
 if (!LINE_CHANNEL_ACCESS_TOKEN) {
   console.warn("⚠️ LINE_CHANNEL_ACCESS_TOKEN 未設定");
 }
 if (!LINE_CHANNEL_SECRET) {
-  console.warn("⚠️ LINE_CHANNEL_SECRET 未設定，webhook 驗簽不會生效");
+  console.warn(
+    process.env.ALLOW_UNSIGNED_WEBHOOK === "true"
+      ? "⚠️ LINE_CHANNEL_SECRET 未設定，ALLOW_UNSIGNED_WEBHOOK 已開啟，webhook 不驗簽（僅限開發）"
+      : "⚠️ LINE_CHANNEL_SECRET 未設定，webhook 請求會全部被拒絕"
+  );
 }
-if (!GOOGLE_AI_API_KEY) {
+if (auth.ephemeralSecret) {
+  console.warn("⚠️ SESSION_SECRET 未設定，使用隨機金鑰：重啟後 Dashboard 登入與連結都會失效");
+}
+if (process.env.ALLOW_ANONYMOUS_DASHBOARD === "true") {
+  console.warn("⚠️ ALLOW_ANONYMOUS_DASHBOARD 已開啟，Dashboard / API 不需登入（僅限開發）");
+}
+if ([llm.text.name, llm.vision.name].includes("gemini") && !process.env.GOOGLE_AI_API_KEY) {
   console.warn("⚠️ GOOGLE_AI_API_KEY 未設定，Gemini 相關功能無法使用");
 }
-
-// ------- 系統 Prompt（獵影教練）--------
-const systemPrompt = `你是一位專門教學「獵影策略」的交易教練 AGENT。
-
-【你的唯一參考聖經】
-- 以使用者提供的《獵影策略》PDF 為最高優先依據。
-- 如果外部資訊與 PDF 內容衝突，一律以 PDF 為主。
-- 你的任務不是發明新策略，而是「忠實解釋、拆解與提醒」這套策略。
-
-【策略核心觀念（由你隨時幫使用者複習）】
-1. 此策略只適用於「盤整行情」：
-- 利用 OBV 在 MA 上下來回碰觸布林帶的型態，判斷是否為盤整。
-- 當 OBV 持續在 MA 之下時，屬於策略禁用時期，要提醒使用者不要硬做。
-
-2. 進場必要條件：
-- OBV 必須先「突破布林帶」，下一根 K 棒收盤「收回布林帶內」。
-- 然後 K 棒要符合三種形態之一：
-(1) 十字星
-(2) 實體吞沒
-(3) 影線吞沒
-- 一律要等 K 棒「收盤後」再判斷，請你每次都提醒使用者這一點。
-
-3. 三種型態具體定義：
-- 十字星：
-  - 上下影線明顯，實體部分小於等於 0.05%。
-  - 進場方式：市價進場，停損依照 ATR。
-- 實體吞沒：
-  - 當前 K 棒的「實體」完全吞沒前一根 K 棒。
-  - 進場方式：用斐波那契找出實體 0.5 的位置掛單，停損依 ATR。
-- 影線吞沒：
-  - 當前 K 棒的「影線」超出前一根 K 棒的影線。
-  - 進場方式：在 SNR 水平掛單進場，停損依 ATR。
-
-4. 止盈止損與風險控管：
-- 建議盈虧比 1R ~ 1.5R。
-- 單筆虧損金額要固定，避免小贏大賠。
-- 舉例：如果倉位是 50%，實盤 0.45% 的波動配 100 倍槓桿，只是約 45% 獲利，不能太貪。
-- 如果連續三單止損，視為盤整結束或行情轉變，應提醒使用者「先退出觀望」。
-
-【你回答問題的風格與格式】
-1. 使用「繁體中文」，語氣像一位冷靜、實戰派的交易教練，口語但不廢話。
-
-2. 每次回答問題時，請盡量依照以下結構：
-A. 先用一兩句，判斷「這個情境是否適用獵影策略」。
-B. 如果適用，逐步拆解：
-- 第 1 步：先看 OBV 與布林帶狀況
-- 第 2 步：檢查三種 K 棒型態是否成立
-- 第 3 步：說明進場方式（市價 / 掛單在哪裡）
-- 第 4 步：如何依 ATR 設停損
-- 第 5 步：如何設 1R ~ 1.5R 停利
-C. 如果不適用，直接說明為何不適用，並提醒使用者最好空手觀望。
-
-3. 如果使用者只問「能不能進場？」或給你一句不完整的描述，你要：
-(1) 先主動幫使用者檢查以下四件關鍵事：
-- 現在是否為盤整行情？（依 OBV + 布林帶規則）
-- 有沒有符合三種 K 棒進場型態之一？（十字星、實體吞沒、影線吞沒）
-- ATR 的距離有沒有足夠風險收益比？（至少 1R 以上）
-- 有沒有連虧三單、應該暫停交易？
-
-(2) 如果使用者資訊不夠，請主動告訴他：
-- 「你還缺少哪幾個資訊，才有辦法正確判斷」
-- 用最簡單、易懂的形式引導他補充，例如：
-  - 「你還沒告訴我 OBV 現在相對 MA 的位置哦，我需要知道這點才能判斷是不是盤整。」
-  - 「你可以只告訴我：這根 K 棒是不是長影線 / 吞沒前一根？」
-
-(3) 當所有條件齊備後，你要主動完整輸出以下決策報告：
-A. 「此盤勢是否符合盤整？」（是／否 + 判斷依據）
-B. 「是否符合三種進場型態之一？」（是哪一種＋理由）
-C. 「建議進場價格、停損位置（用 ATR 估計）、1R、1.5R 停利點」
-D. 「風險評估與提醒」（例：如果 ATR 太小／已虧三單／趨勢走強，應建議觀望）
-
-(4) 如果所有條件不成立，你要直接講：
-- 「這不是獵影策略該進場的位置，建議觀望。」並幫他講清楚原因。
-
-⚠️ 記住：使用者不需要懂策略、不需要學習。不管他說什麼，你都要幫他把獵影策略邏輯跑完，並主動提醒缺失與風險。你是他的策略保鑣。
-
-4. 如果使用者問的是「觀念問題」（例：什麼是十字星？為什麼要等收盤？）：
-- 你要用生活化比喻、分點解釋，讓「交易小白」也能看懂。
-- 可以舉《獵影策略》中的段落做解釋，但不要長篇照抄，改用自己的話。
-
-5. 用風險警示保護使用者：
-- 你不能保證獲利，只能說「根據這個策略，理論上該怎麼做」。
-- 當使用者太貪婪或想 All in，你要主動提醒風險與「連虧三單就停止」的規則。
-- 你只提供教育性說明，不能給「保證賺錢」或「一定會翻倍」的承諾。
-
-【你要主動做的幾件事】
-- 每當使用者問你一個進場點，你要順便幫他檢查：
-  1. 現在是不是盤整行情？
-  2. 有沒有符合 OBV + 布林必要條件？
-  3. 有沒有符合三種型態其中一種？
-  4. 有沒有合理的停損位置與 1~1.5R 停利位置？
-
-- 如果使用者的描述不足以判斷，你要告訴他：
-  - 你還缺「哪幾個關鍵資訊」（例如：OBV 相對 MA 的位置、影線是否超過前一根、ATR 數值等）。
-  - 再請他補充數據或更清楚的描述，而不是亂猜。
-
-請你牢記以上所有規則，之後所有回答一律遵守。`;
-
-// ------- trades.json 讀寫 --------
-const TRADES_PATH = path.join(__dirname, "trades.json");
-
-async function loadTrades() {
-  try {
-    const raw = await fs.readFile(TRADES_PATH, "utf8");
-    const data = JSON.parse(raw);
-    if (Array.isArray(data)) return data;
-    return [];
-  } catch (e) {
-    // 如果檔案不存在，回傳空陣列
-    if (e.code === "ENOENT") return [];
-    console.error("loadTrades error:", e.message);
-    return [];
-  }
+if (
+  [llm.text.name, llm.vision.name].includes("openai") &&
+  !(process.env.OPENAI_API_KEY || process.env.DEEPSEEK_API_KEY)
+) {
+  console.warn("⚠️ OPENAI_API_KEY / DEEPSEEK_API_KEY 未設定，OpenAI 相容 provider 可能無法使用");
 }
 
-async function saveTrades(trades) {
-  try {
-    await fs.writeFile(TRADES_PATH, JSON.stringify(trades, null, 2), "utf8");
-  } catch (e) {
-    console.error("saveTrades error:", e.message);
-  }
+// ------- Prompt 模板（prompts/*.md，見 prompts.js）--------
+// coach：教練 system prompt；vision：K 線圖分析；explain：K 棒判斷結果解說
+const prompts = createPromptRegistry({
+  dir: path.join(__dirname, "prompts"),
+  statePath: path.join(__dirname, "prompt-versions.json"),
+});
+
+// 《獵影策略》PDF 段落檢索（knowledge-index.json，見 knowledge.js）；沒建索引時照常回答、不附出處
+const knowledge = createKnowledgeBase();
+
+// ------- 交易日誌儲存（trades.jsonl，見 store.js）--------
+const tradeStore = createTradeStore({ baseDir: __dirname });
+
+// 讀取全部紀錄（副本，可以隨意修改）
+function loadTrades() {
+  return tradeStore.list();
 }
 
 function genId() {
   return crypto.randomBytes(8).toString("hex");
 }
 
+// ------- 紀錄歸屬（LINE userId / groupId / roomId）--------
+function ownerFields(owner = {}) {
+  return {
+    userId: owner.userId || null,
+    groupId: owner.groupId || null,
+    roomId: owner.roomId || null,
+  };
+}
+
+// 紀錄用了哪個 prompt 版本（prompt：prompts.render 的結果）
+function promptFields(prompt) {
+  return { promptId: prompt?.id ?? null, promptVersion: prompt?.version ?? null };
+}
+
+function eventOwner(event) {
+  return ownerFields(event.source || {});
+}
+
+// 舊紀錄沒有 userId，視為所有人共用
+function isOwnedBy(trade, userId) {
+  return !trade.userId || trade.userId === userId;
+}
+
 // ------- 解析文字裡的 symbol + timeframe --------
 // 支援格式：
 // "BTCUSDT 15m xxx", "BTC 4h 這裡能進場嗎", "ETH/USDT 1h：能空嗎？"
@@ -197,256 +243,196 @@ function parseMetaFromText(originalText = "") {
   };
 }
 
-// ------- 呼叫 Gemini（文字）--------
-async function askGeminiText(userText) {
-  if (!GOOGLE_AI_API_KEY) {
-    return "⚠️ 系統錯誤：尚未設定 GOOGLE_AI_API_KEY，請聯絡管理員。";
-  }
+// 文字問答 / 圖片分析（askGeminiText、analyzeImageWithGemini，見 coach.js；評測 eval.js 也用同一套）
+const { askGeminiText, analyzeImageWithGemini } = createCoach({ llm, prompts, knowledge });
 
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(
-    GOOGLE_AI_MODEL
-  )}:generateContent?key=${encodeURIComponent(GOOGLE_AI_API_KEY)}`;
-
-  const body = {
-    contents: [
-      {
-        role: "user",
-        parts: [
-          {
-            text:
-              systemPrompt +
-              "\n\n---\n下面是使用者的提問，請依獵影策略規則回答：\n\n" +
-              (userText || ""),
-          },
-        ],
-      },
-    ],
-  };
+// ------- LINE 回覆工具 --------
+// replyToken 只能用一次、而且很快就過期；太慢的結果改用 push API 送
+const LINE_API = "https://api.line.me/v2/bot";
+const REPLY_TOKEN_TTL_MS = Number(process.env.REPLY_TOKEN_TTL_MS) || 50 * 1000;
 
+async function postToLine(pathname, body, label) {
   try {
-    const res = await axios.post(url, body, {
-      headers: { "Content-Type": "application/json" },
-      timeout: 20000,
+    await axios.post(`${LINE_API}${pathname}`, body, {
+      headers: {
+        Authorization: `Bearer ${LINE_CHANNEL_ACCESS_TOKEN}`,
+        "Content-Type": "application/json",
+      },
+      timeout: 10000,
     });
-
-    const data = res.data || {};
-    const text =
-      data.candidates?.[0]?.content?.parts?.[0]?.text ||
-      data.candidates?.[0]?.content?.text ||
-      data.text ||
-      "（模型無回應內容）";
-
-    return text;
+    return true;
   } catch (err) {
     console.error(
-      "askGeminiText error:",
+      `${label} error:`,
       err.response?.status,
       err.response?.data || err.message
     );
-    return "⚠️ AI 目前沒有回應，請稍後再試。";
+    return false;
   }
 }
 
-// ------- 呼叫 Gemini（圖片）--------
-// 直接用 Gemini Vision，不用 Cloud Vision API
-async function analyzeImageWithGemini(base64Image) {
-  if (!GOOGLE_AI_API_KEY) {
-    return {
-      error: "GOOGLE_AI_API_KEY 未設定",
-    };
-  }
-
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(
-    GOOGLE_AI_MODEL
-  )}:generateContent?key=${encodeURIComponent(GOOGLE_AI_API_KEY)}`;
-
-  const visionPrompt = `
-你會收到一張 K 線圖 (含 OBV + 布林帶)，請你幫我做 **獵影策略專用分析**。
-
-請你務必輸出「純 JSON」，不要加註解、不要加多餘文字，格式如下（key 名稱固定）：
-
-{
-  "regime": "consolidation | trend | unknown",
-  "strategyAllowed": true or false,
-  "direction": "long | short | none | unknown",
-  "r": null,
-  "entry": null,
-  "stop": null,
-  "tp1R": null,
-  "tp1_5R": null,
-  "reason": "用中文簡短說明為什麼這樣判斷（最多 100 字）"
-}
-
-規則說明（給你參考，不要重複輸出）：
-- 如果 OBV 持續在 MA 之下、明顯單邊趨勢，regime = "trend"，strategyAllowed = false。
-- 如果 OBV 在 MA 上下震盪且布林帶有來回碰觸，regime 偏向 "consolidation"，strategyAllowed 通常為 true，但如果訊號很醜可以給 false。
-- direction 在沒有明確訊號時請回傳 "unknown" 或 "none"。
-- r / entry / stop / tp1R / tp1_5R 在你無法判斷時，請全部給 null。
-`;
-
-  const body = {
-    contents: [
-      {
-        role: "user",
-        parts: [
-          { text: visionPrompt },
-          {
-            inlineData: {
-              mimeType: "image/jpeg",
-              data: base64Image,
-            },
-          },
-        ],
-      },
-    ],
-  };
-
-  try {
-    const res = await axios.post(url, body, {
-      headers: { "Content-Type": "application/json" },
-      timeout: 30000,
-    });
-
-    const data = res.data || {};
-    const text =
-      data.candidates?.[0]?.content?.parts?.[0]?.text ||
-      data.text ||
-      null;
+// 文字直接傳字串；Flex 等其他訊息傳物件或陣列（一次最多 5 則）
+function toMessages(content) {
+  if (typeof content === "string") return [{ type: "text", text: content }];
+  return (Array.isArray(content) ? content : [content]).slice(0, 5);
+}
 
-    if (!text) {
-      return { error: "模型沒有回應文字" };
-    }
+function replyToLine(replyToken, content) {
+  return postToLine(
+    "/message/reply",
+    { replyToken, messages: toMessages(content) },
+    "replyToLine"
+  );
+}
 
-    // 嘗試從純文字中抓 JSON
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      return { error: "無法從回應中找到 JSON", raw: text };
-    }
+function pushToLine(to, content) {
+  return postToLine("/message/push", { to, messages: toMessages(content) }, "pushToLine");
+}
 
-    try {
-      const obj = JSON.parse(jsonMatch[0]);
-      return { ok: true, data: obj, raw: text };
-    } catch (e) {
-      console.error("parse vision JSON error:", e.message);
-      return { error: "JSON 解析失敗", raw: text };
+// 每個事件一個 responder：replyToken 還新鮮就 reply，過期或失敗就 push 給同一個聊天室。
+// 預設在最後一則訊息掛上常用指令的 quick reply；options.quickReply 傳 null 可關閉
+function createResponder(event) {
+  const src = event.source || {};
+  const to = src.groupId || src.roomId || src.userId || null;
+  const receivedAt = event.timestamp || Date.now();
+  let replyToken = event.replyToken || null;
+
+  async function send(content, { quickReply = DEFAULT_QUICK_REPLY } = {}) {
+    const messages = attachQuickReply(toMessages(content), quickReply);
+    const token = replyToken;
+    replyToken = null; // 一個 token 只能用一次
+    if (token && Date.now() - receivedAt < REPLY_TOKEN_TTL_MS) {
+      if (await replyToLine(token, messages)) return true;
     }
-  } catch (err) {
-    console.error(
-      "analyzeImageWithGemini error:",
-      err.response?.status,
-      err.response?.data || err.message
-    );
-    return { error: err.response?.data || err.message };
+    if (!to) return false;
+    return pushToLine(to, messages);
   }
-}
 
-// ------- LINE 回覆工具 --------
-async function replyToLine(replyToken, text) {
-  const url = "https://api.line.me/v2/bot/message/reply";
-  try {
-    await axios.post(
-      url,
-      {
-        replyToken,
-        messages: [{ type: "text", text }],
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${LINE_CHANNEL_ACCESS_TOKEN}`,
-          "Content-Type": "application/json",
-        },
-        timeout: 10000,
+  return {
+    send,
+    // 要跑模型的事件先讓使用者知道「在處理了」：
+    // 1 對 1 聊天用 loading 動畫（不消耗 replyToken），群組則先回一句「分析中…」
+    async acknowledge(text = "⏳ 分析中…請稍候") {
+      if (src.type === "user" && src.userId) {
+        await postToLine(
+          "/chat/loading/start",
+          { chatId: src.userId, loadingSeconds: 60 },
+          "loadingIndicator"
+        );
+      } else {
+        await send(text, { quickReply: null });
       }
-    );
-  } catch (err) {
-    console.error(
-      "replyToLine error:",
-      err.response?.status,
-      err.response?.data || err.message
-    );
-  }
+    },
+  };
+}
+
+// ------- 下載 LINE 訊息內容（圖片 / 檔案）--------
+async function fetchLineContent(messageId) {
+  const contentUrl = `https://api-data.line.me/v2/bot/message/${messageId}/content`;
+  const res = await axios.get(contentUrl, {
+    responseType: "arraybuffer",
+    headers: { Authorization: `Bearer ${LINE_CHANNEL_ACCESS_TOKEN}` },
+    timeout: 15000,
+  });
+  return Buffer.from(res.data, "binary");
 }
 
 // ------- 驗證 LINE 簽章 --------
-function verifyLineSignature(req, res, next) {
-  if (!LINE_CHANNEL_SECRET) {
-    // 沒設定 secret，就直接放過（不建議正式環境這樣）
-    return next();
-  }
+// 用原始 body 驗 HMAC；沒設定 secret 時預設拒絕，ALLOW_UNSIGNED_WEBHOOK=true 才放行（僅限本機開發）
+const verifyLineSignature = createSignatureVerifier(LINE_CHANNEL_SECRET, {
+  allowUnsigned: process.env.ALLOW_UNSIGNED_WEBHOOK === "true",
+});
 
-  try {
-    const signature = req.get("x-line-signature") || "";
-    const body = JSON.stringify(req.body);
-    const hash = crypto
-      .createHmac("sha256", LINE_CHANNEL_SECRET)
-      .update(body)
-      .digest("base64");
-
-    if (hash !== signature) {
-      console.warn("Invalid LINE signature");
-      return res.status(401).send("Invalid signature");
-    }
-    next();
-  } catch (e) {
-    console.error("verifyLineSignature error:", e.message);
-    next();
-  }
-}
+// LINE 重送或重複投遞的事件只處理一次
+const eventDeduper = createEventDeduper();
 
 // ------- 記錄圖片 trade --------
-async function recordImageTrade({
+// 只組出紀錄，不寫入：商品 / 週期還缺時會先暫存，等使用者補上再寫進日誌
+function buildImageRecord({
   symbol = null,
   timeframe = null,
+  exchange = null,
+  metaSource = null,
   geminiResult,
+  pattern = null,
+  cooldown = false,
+  owner = {},
+  eventId = null,
+  account = null,
 }) {
-  const trades = await loadTrades();
-
   const now = new Date().toISOString();
   const data = geminiResult?.data || {};
   const regime = data.regime || "unknown";
-  const strategyAllowed =
-    typeof data.strategyAllowed === "boolean" ? data.strategyAllowed : null;
+  const strategyAllowed = cooldown
+    ? false
+    : typeof data.strategyAllowed === "boolean"
+    ? data.strategyAllowed
+    : null;
   const direction = data.direction || "unknown";
 
-  let r = null;
-  if (typeof data.r === "number") {
-    r = data.r;
-  }
-
-  trades.push({
+  const record = {
     id: genId(),
     source: "image",
+    ...ownerFields(owner),
+    webhookEventId: eventId,
     createdAt: now,
+    status: "open",
     symbol,
     timeframe,
+    exchange,
+    metaSource, // { symbol, timeframe }：caption | vision | default | reply
     regime,
     strategyAllowed,
+    blockedBy: cooldown ? "cooldown" : null,
     direction,
-    r,
+    pattern: pattern?.pattern ?? null,
+    patternSource: pattern?.source ?? null,
+    r: null, // 實現 R 等結單時才寫入
+    plannedR: data.plannedR ?? null, // 模型預估的 R（僅供參考）
     entry: data.entry ?? null,
     stop: data.stop ?? null,
     tp1R: data.tp1R ?? null,
     tp1_5R: data.tp1_5R ?? null,
     reason: data.reason || null,
-  });
-
-  await saveTrades(trades);
+    // 依使用者帳戶設定算出的倉位（沒設定帳戶時為 null）
+    position: calcPositionSize({ entry: data.entry, stop: data.stop, account }),
+    // 模型輸出被修正過的地方（列舉、數字轉換、重算目標價…）
+    validationWarnings: geminiResult?.warnings || [],
+    visionRetried: Boolean(geminiResult?.retried),
+    ...promptFields(geminiResult?.prompt),
+  };
+  return record;
 }
 
 // ------- 記錄文字 trade（簡化版紀錄）--------
-async function recordTextTrade({ symbol, timeframe, userText, aiReply }) {
-  const trades = await loadTrades();
+async function recordTextTrade({
+  symbol,
+  timeframe,
+  userText,
+  aiReply,
+  prompt = null,
+  pattern = null,
+  cooldown = false,
+  owner = {},
+  eventId = null,
+}) {
   const now = new Date().toISOString();
 
-  trades.push({
+  const record = {
     id: genId(),
     source: "text",
+    ...ownerFields(owner),
+    webhookEventId: eventId,
     createdAt: now,
+    status: "open",
     symbol: symbol || null,
     timeframe: timeframe || null,
     regime: "unknown",
-    strategyAllowed: null,
+    strategyAllowed: cooldown ? false : null,
+    blockedBy: cooldown ? "cooldown" : null,
     direction: "unknown",
+    pattern: pattern?.pattern ?? null,
+    patternSource: pattern?.source ?? null,
     r: null, // 純紀錄，不影響 R 統計
     entry: null,
     stop: null,
@@ -455,129 +441,1190 @@ async function recordTextTrade({ symbol, timeframe, userText, aiReply }) {
     reason: null,
     note: userText,
     aiSummary: (aiReply || "").slice(0, 500),
+    ...promptFields(prompt),
+  };
+
+  return tradeStore.insert(record, { dedupeKey: "webhookEventId" });
+}
+
+// ------- 記錄 K 棒數據 trade（本地指標計算）--------
+async function recordCandleTrade({
+  symbol,
+  timeframe,
+  setup,
+  aiReply,
+  prompt = null,
+  cooldown = false,
+  owner = {},
+  eventId = null,
+  account = null,
+}) {
+  const now = new Date().toISOString();
+
+  const record = {
+    id: genId(),
+    source: "candles",
+    ...ownerFields(owner),
+    webhookEventId: eventId,
+    createdAt: now,
+    status: "open",
+    symbol: symbol || null,
+    timeframe: timeframe || null,
+    regime: setup.regime,
+    strategyAllowed: cooldown ? false : setup.strategyAllowed,
+    blockedBy: cooldown ? "cooldown" : null,
+    direction: setup.direction,
+    pattern: setup.pattern,
+    patternSource: "detector",
+    r: null,
+    entry: setup.entry,
+    stop: setup.stop,
+    tp1R: setup.tp1R,
+    tp1_5R: setup.tp1_5R,
+    reason: setup.reason,
+    indicators: setup.indicators,
+    aiSummary: aiReply ? aiReply.slice(0, 500) : null,
+    // 依使用者帳戶設定算出的倉位（沒設定帳戶時為 null）
+    position: calcPositionSize({ entry: setup.entry, stop: setup.stop, account }),
+    ...promptFields(prompt),
+  };
+
+  return tradeStore.insert(record, { dedupeKey: "webhookEventId" });
+}
+
+// ------- 結單：寫回出場結果與實現 R --------
+async function closeTrade(cmd, { userId = null } = {}) {
+  const trades = await loadTrades();
+  const mine = userId ? trades.filter((t) => isOwnedBy(t, userId)) : trades;
+  // 有給編號也一樣只在可結單的分析紀錄裡找
+  const trade = findTradeByRef(mine.filter(isClosable), cmd.ref);
+  if (!trade) {
+    if (cmd.ref && findTradeByRef(mine, cmd.ref)) {
+      return { error: `#${cmd.ref.replace(/^#/, "")} 不是可以結單的分析紀錄（文字提問、回測或模擬單不能結單）` };
+    }
+    return { error: cmd.ref ? `找不到編號 #${cmd.ref} 的紀錄` : "目前沒有未結單的紀錄" };
+  }
+  if (trade.status === "closed") {
+    return { error: `#${shortId(trade.id)} 已經結單過了（${trade.r}R）` };
+  }
+
+  const patch = buildClosePatch(trade, cmd);
+  if (patch.error) return patch;
+
+  // 在寫入佇列裡再確認一次，避免同一單被兩個事件同時結單
+  const updated = await tradeStore.update(trade.id, (current) =>
+    current.status === "closed" ? null : { ...patch, closedBy: userId }
+  );
+  if (!updated) {
+    return { error: `#${shortId(trade.id)} 已經結單過了` };
+  }
+  const after = mine.map((t) => (t.id === updated.id ? updated : t));
+  return { trade: updated, stats: computeStats(after) };
+}
+
+// ------- 連虧冷卻狀態 --------
+// 每次處理事件前重算：冷卻到期就解除，連虧達門檻就進入冷卻
+async function refreshCooldown(userId) {
+  if (!userId) return {};
+  const trades = await loadTrades();
+  let next = null;
+  // 在寫入佇列裡依最新狀態判斷，避免和同時進來的設定 / 關注更新互相蓋掉
+  await updateUserState(userId, (current) => {
+    next = evaluateCooldown(current, trades, userId);
+    return next.patch || null;
   });
+  return next.state;
+}
 
-  await saveTrades(trades);
+async function resumeTrading(userId) {
+  let resumed = false;
+  await updateUserState(userId, (current) => {
+    resumed = isCoolingDown(current);
+    return resumed ? { cooldown: null, resumedAt: new Date().toISOString() } : null;
+  });
+  return resumed;
 }
 
-// ------- Webhook 主邏輯 --------
-app.post("/webhook", verifyLineSignature, async (req, res) => {
-  const events = req.body.events || [];
+// ------- 「我的紀錄」：使用者自己的最近紀錄 + 統計 --------
+const NO_USER_REPLY = "⚠️ 無法辨識你的 LINE 帳號（可能尚未加好友），暫時查不到個人紀錄。";
+const NO_TRADES_REPLY = "你還沒有任何紀錄，傳一張 K 線圖或問一個進場問題開始吧！";
 
-  for (const event of events) {
+// LINE 上的統計 / 紀錄只看實盤，回測與模擬單請到 Dashboard 看
+async function loadUserTrades(userId) {
+  return (await loadTrades()).filter((t) => t.userId === userId && !isSimulated(t));
+}
+
+async function buildMyJournalReply(userId, limit = 5) {
+  if (!userId) return NO_USER_REPLY;
+  const trades = await loadUserTrades(userId);
+  if (!trades.length) return NO_TRADES_REPLY;
+
+  return [
+    "📒 你的最近紀錄",
+    "",
+    formatRecentTrades(trades, limit),
+    "",
+    formatStats(computeStats(trades)),
+  ].join("\n");
+}
+
+// 冷卻中時附在提問後面，提醒模型先勸使用者退出觀望
+function cooldownNote(state) {
+  if (!isCoolingDown(state)) return "";
+  return `\n\n（系統提示：此使用者已連續止損 ${state.cooldown.streak} 單，目前在冷卻期，請提醒他先退出觀望、不要進場。）`;
+}
+
+function withCooldownBanner(text, state) {
+  if (!isCoolingDown(state)) return text;
+  return `${formatCooldownBanner(state)}\n\n${text}`;
+}
+
+function formatCloseReply({ trade, stats }) {
+  const r = trade.r > 0 ? `+${trade.r}` : String(trade.r);
+  const outcomeLabel = { win: "獲利", loss: "虧損", breakeven: "打平" }[trade.outcome];
+  const meta = [trade.symbol, trade.timeframe, trade.direction]
+    .filter((v) => v && v !== "unknown")
+    .join(" ");
+
+  const lines = [`✅ 已結單 #${shortId(trade.id)}：${r}R（${outcomeLabel}）`];
+  if (meta) lines.push(meta);
+  if (trade.exitPrice !== null) lines.push(`出場價：${trade.exitPrice}`);
+  lines.push("", formatStats(stats));
+  return lines.join("\n");
+}
+
+// 把分析紀錄整理成對話脈絡，讓之後的追問（停損放哪、進場價多少）有依據
+function formatAnalysisContext(record) {
+  const fields = [
+    "symbol",
+    "timeframe",
+    "regime",
+    "strategyAllowed",
+    "direction",
+    "pattern",
+    "entry",
+    "stop",
+    "tp1R",
+    "tp1_5R",
+    "reason",
+    "position",
+    "indicators",
+  ];
+  const data = {};
+  for (const key of fields) {
+    if (record[key] !== null && record[key] !== undefined) data[key] = record[key];
+  }
+  return `上一次分析結果（紀錄 #${shortId(record.id)}）：\n${JSON.stringify(data, null, 2)}`;
+}
+
+function formatTradeRef(record) {
+  const id = shortId(record.id);
+  return `🆔 紀錄編號 #${id}（結單：「結單 ${id} +1R」／「停損 ${id}」）`;
+}
+
+// ------- K 棒數據分析結果 → 文字 --------
+function formatSetupText(setup) {
+  const ind = setup.indicators;
+  const fmt = (v) => (v === null || v === undefined ? "-" : String(v));
+  return [
+    "📐 K 棒數據分析（本地指標計算）",
+    "",
+    `盤勢判斷：${setup.regime}`,
+    `策略可用：${setup.strategyAllowed ? "✅ 可用" : "⛔ 禁用"}`,
+    `方向建議：${setup.direction}`,
+    `K 棒型態：${PATTERNS[setup.pattern].label}${
+      setup.entryMethod ? `（${PATTERNS[setup.pattern].entryLabel}）` : ""
+    }`,
+    "",
+    `OBV：${fmt(ind.obv)}（MA ${fmt(ind.obvMA)}）`,
+    `布林帶：${fmt(ind.bbLower)} ~ ${fmt(ind.bbUpper)}`,
+    `ATR(${ind.params.atrPeriod})：${fmt(ind.atr)}`,
+    setup.entry !== null
+      ? `進場 ${fmt(setup.entry)}／停損 ${fmt(setup.stop)}／1R ${fmt(setup.tp1R)}／1.5R ${fmt(setup.tp1_5R)}`
+      : "",
+    "",
+    `判斷依據：${setup.reason}`,
+  ]
+    .filter((line, i, arr) => line || arr[i - 1])
+    .join("\n");
+}
+
+// 讓 LLM 只解說已算好的結果，不自行判斷數字；回傳 { text, prompt }（prompt 記進紀錄）
+async function explainSetup(setup) {
+  const prompt = prompts.render("explain", { setup: JSON.stringify(setup, null, 2) });
+  const text = await askGeminiText(prompt.text, { retrieve: false });
+  return { text, prompt };
+}
+
+// ------- K 棒型態判斷（圖片 / 文字共用）--------
+// 有 OHLC 數字就用規則判斷；沒有數字時，圖片流程退回採用模型給的型態名稱
+function resolvePattern({ candles = null, modelPattern = null, direction } = {}) {
+  if (Array.isArray(candles) && candles.length >= 2) {
     try {
-      const replyToken = event.replyToken;
-      if (event.type !== "message") continue;
+      const rows = parseCandles(candles);
+      if (rows.length >= 2) {
+        const dir = direction === "long" || direction === "short" ? direction : undefined;
+        return { ...detectPattern(rows, { direction: dir }), source: "detector" };
+      }
+    } catch (e) {
+      // 模型讀出來的 OHLC 不完整，改用模型的型態名稱
+    }
+  }
+
+  const key = normalizePattern(modelPattern);
+  if (!key) return null;
+  return {
+    pattern: key,
+    label: PATTERNS[key].label,
+    entryMethod: PATTERNS[key].entryMethod,
+    entryLabel: PATTERNS[key].entryLabel,
+    entryPrice: null,
+    source: "model",
+  };
+}
 
-      const message = event.message;
+function formatPatternLine(pattern) {
+  if (!pattern) return "K 棒型態：unknown";
+  const via = pattern.source === "detector" ? "規則判斷" : "模型判讀";
+  const entry =
+    pattern.entryMethod && typeof pattern.entryPrice === "number"
+      ? `，參考進場 ${pattern.entryPrice}`
+      : "";
+  return `K 棒型態：${pattern.label}（${pattern.entryLabel}${entry}｜${via}）`;
+}
 
-      // 文字訊息
-      if (message.type === "text") {
-        const originalText = message.text || "";
-        const { symbol, timeframe, cleanText } = parseMetaFromText(originalText);
+// ------- 圖片的商品 / 週期 --------
+const COMMON_TIMEFRAMES = ["5m", "15m", "1h", "4h", "1d"];
+const POPULAR_SYMBOLS = ["BTCUSDT", "ETHUSDT"];
 
-        const answer = await askGeminiText(cleanText);
-        await replyToLine(replyToken, answer.substring(0, 2000));
+// 待補資料時的回覆：「BTCUSDT 15m」「15m」「略過」；其他內容回傳 null
+function parsePendingMetaAnswer(text = "") {
+  if (["略過", "跳過", "skip"].includes(text.trim().toLowerCase())) return { skip: true };
+  const meta = parseMetaTokens(text);
+  if (meta.rest.length || (!meta.symbol && !meta.timeframe)) return null;
+  return meta;
+}
 
-        // ➕ 把這則文字問答記錄到 trades.json
-        await recordTextTrade({
-          symbol,
-          timeframe,
-          userText: originalText,
-          aiReply: answer,
-        });
+// 問缺少的商品 / 週期，quick reply 帶上使用者最近用過的商品
+async function buildMetaQuestion(userId, { missing, symbol }) {
+  const recent = userId
+    ? (await loadUserTrades(userId))
+        .filter((t) => t.symbol)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    : [];
+
+  let options;
+  if (missing.includes("symbol")) {
+    const pairs = recent.map((t) =>
+      missing.includes("timeframe") && t.timeframe ? `${t.symbol} ${t.timeframe}` : t.symbol
+    );
+    options = [...new Set([...pairs, ...POPULAR_SYMBOLS])].slice(0, 8);
+  } else {
+    options = COMMON_TIMEFRAMES;
+  }
+
+  const labels = { symbol: "商品", timeframe: "週期" };
+  return {
+    type: "text",
+    text: [
+      `🏷 這張圖${symbol ? `（${symbol}）` : ""}的${missing.map((k) => labels[k]).join(" / ")}是？`,
+      `直接輸入「BTCUSDT 15m」或點下方按鈕；${PENDING_META_SECONDS} 秒內沒回覆就先不標記。`,
+    ].join("\n"),
+    quickReply: buildQuickReply([
+      ...options.map((o) => ({ label: o, text: o })),
+      { label: "略過", text: "略過" },
+    ]),
+  };
+}
+
+async function saveImageRecord(convKey, record) {
+  const saved = await tradeStore.insert(record, { dedupeKey: "webhookEventId" });
+  setLastAnalysis(convKey, {
+    prompt: "（我傳了一張 K 線截圖請你用獵影策略分析）",
+    summary: formatAnalysisContext(saved),
+  });
+  rememberImage(convKey, saved.id);
+  return saved;
+}
+
+// 沒等到回覆（逾時，或使用者改傳別的訊息）：照目前的資料寫入
+async function flushPendingMeta(convKey, recordId = null) {
+  const entry = takePendingMeta(convKey, recordId);
+  if (!entry) return null;
+  return saveImageRecord(convKey, entry.record);
+}
+
+function metaPatch(meta, source) {
+  const patch = {};
+  const metaSource = {};
+  for (const key of ["symbol", "timeframe", "exchange"]) {
+    if (!meta[key]) continue;
+    patch[key] = meta[key];
+    if (key !== "exchange") metaSource[key] = source;
+  }
+  return { patch, metaSource };
+}
+
+async function completePendingMeta({ convKey, reply }, answer) {
+  const { record } = takePendingMeta(convKey);
+  const { patch, metaSource } = answer.skip ? { patch: {}, metaSource: {} } : metaPatch(answer, "reply");
+  const saved = await saveImageRecord(convKey, {
+    ...record,
+    ...patch,
+    metaSource: { ...record.metaSource, ...metaSource },
+  });
+  const label = [saved.symbol, saved.timeframe].filter(Boolean).join(" ");
+  await reply(
+    answer.skip || !label
+      ? `👌 已儲存 #${shortId(saved.id)}（未標記商品 / 週期）`
+      : `✅ 已將 #${shortId(saved.id)} 標記為 ${label}`
+  );
+}
+
+// ------- 指令（不經過模型）--------
+// 每個 handler 收到 (ctx, cmd)：ctx = { event, owner, userId, convKey, userState, responder, reply }，
+// cmd 為 matchCommand() 的結果
+const HISTORY_MAX_ITEMS = 20;
+
+function formatTime(iso) {
+  return new Date(iso).toLocaleString("zh-TW", { timeZone: process.env.TZ || "Asia/Taipei", hour12: false });
+}
+
+const commandHandlers = {
+  async help({ reply }) {
+    await reply(formatHelp());
+  },
+
+  // 「/stats」全部；「/stats 30」最近 30 天（與 /api/stats 同一套計算）
+  async stats({ userId, reply }, { args }) {
+    if (!userId) return reply(NO_USER_REPLY);
+    const days = parseInt(args[0], 10);
+    const from = days > 0 ? new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString() : null;
+    const trades = filterTrades(await loadUserTrades(userId), { from });
+    if (!trades.length) return reply(from ? `最近 ${days} 天沒有紀錄。` : NO_TRADES_REPLY);
+
+    const open = trades.filter(isOpenTrade).length;
+    const { summary, breakdowns } = computeAnalytics(trades);
+    const lines = [
+      `📊 你的績效${from ? `（最近 ${days} 天）` : ""}：共 ${trades.length} 筆紀錄，未結單 ${open} 筆`,
+      "",
+      formatAnalyticsSummary(summary),
+    ];
+    if (summary.count) {
+      lines.push(
+        "",
+        "依商品：",
+        formatBreakdown(breakdowns.symbol),
+        "",
+        "依型態：",
+        formatBreakdown(breakdowns.pattern)
+      );
+    }
+    await reply(lines.join("\n"));
+  },
+
+  async history({ userId, reply }, { args }) {
+    const limit = Math.min(Math.max(parseInt(args[0], 10) || 5, 1), HISTORY_MAX_ITEMS);
+    await reply(await buildMyJournalReply(userId, limit));
+  },
+
+  async last({ userId, reply }) {
+    if (!userId) return reply(NO_USER_REPLY);
+    const [record] = (await loadUserTrades(userId)).sort(
+      (a, b) => new Date(b.createdAt) - new Date(a.createdAt)
+    );
+    if (!record) return reply(NO_TRADES_REPLY);
+
+    if (record.source === "text") {
+      const text = [
+        `📝 #${shortId(record.id)} 文字提問（${formatTime(record.createdAt)}）`,
+        "",
+        `問：${record.note || "-"}`,
+        "",
+        `答：${record.aiSummary || "-"}`,
+        "",
+        formatTradeRef(record),
+      ].join("\n");
+      return reply(text.substring(0, 2000));
+    }
+    await reply(buildTradeCard(record, { refText: formatTradeRef(record) }));
+  },
+
+  // 不帶參數：顯示設定；「設定 本金 1000」等：更新帳戶設定
+  async settings({ userId, userState, reply }, { args }) {
+    if (!userId) return reply(NO_USER_REPLY);
+    if (args.length) {
+      const metaSetting = parseDefaultMetaSetting(args);
+      if (metaSetting?.error) return reply(`⚠️ ${metaSetting.error}`);
+      if (metaSetting) {
+        const { defaults } = await updateUserState(userId, (current) => ({
+          defaults: { ...(current.defaults || {}), ...metaSetting.patch },
+        }));
+        return reply(`✅ 已更新預設商品 / 週期：${formatDefaultMeta(defaults)}`);
       }
 
-      // 圖片訊息
-      else if (message.type === "image") {
-        const messageId = message.id;
-        const contentUrl = `https://api-data.line.me/v2/bot/message/${messageId}/content`;
-
-        let imgBase64 = null;
-        try {
-          const imgRes = await axios.get(contentUrl, {
-            responseType: "arraybuffer",
-            headers: { Authorization: `Bearer ${LINE_CHANNEL_ACCESS_TOKEN}` },
-            timeout: 15000,
-          });
-          imgBase64 = Buffer.from(imgRes.data, "binary").toString("base64");
-        } catch (err) {
-          console.error(
-            "Failed to download image from LINE:",
-            err.response?.status,
-            err.response?.data || err.message
-          );
-          await replyToLine(replyToken, "圖片下載失敗，請稍後再試。");
-          continue;
-        }
+      const parsed = parseAccountSetting(args);
+      if (parsed.error) return reply(`⚠️ ${parsed.error}`);
+      const { account } = await updateUserState(userId, (current) => ({
+        account: { ...(current.account || {}), ...parsed.patch },
+      }));
+      return reply(`✅ 已更新帳戶設定\n${formatAccount(account)}`);
+    }
 
-        const visionRes = await analyzeImageWithGemini(imgBase64);
-        if (visionRes.error) {
-          console.error("Gemini Vision error:", visionRes.error);
-          await replyToLine(
-            replyToken,
-            "圖片分析失敗（Gemini Vision）。請稍後再試。"
+    const cooldownLine = isCoolingDown(userState)
+      ? `⛔ 冷卻中，到 ${formatTime(userState.cooldown.until)}（連虧 ${userState.cooldown.streak} 單）`
+      : `✅ 未冷卻，目前連虧 ${userState.lossStreak || 0} 單`;
+    await reply(
+      [
+        "⚙️ 你的設定與狀態",
+        "",
+        `帳戶：${formatAccount(userState.account)}`,
+        `預設商品 / 週期：${formatDefaultMeta(userState.defaults)}`,
+        `冷卻狀態：${cooldownLine}`,
+        `冷卻規則：連虧 ${LOSS_STREAK_LIMIT} 單後冷卻 ${COOLDOWN_MINUTES} 分鐘`,
+        `對話記憶：最近 ${CONVERSATION_MAX_TURNS} 輪，閒置 ${CONVERSATION_TTL_MINUTES} 分鐘後清空`,
+        `分析模型：文字 ${llm.text.name}／圖片 ${llm.vision.name}`,
+      ].join("\n")
+    );
+  },
+
+  // 「模擬進場 <編號>」；沒給編號就用最近一筆有進場價的分析
+  async paper({ userId, owner, reply }, { args }) {
+    if (!userId) return reply(NO_USER_REPLY);
+    const candidates = (await loadUserTrades(userId)).filter((t) => typeof t.entry === "number");
+    const record = findTradeByRef(candidates, args[0] || null);
+    if (!record) return reply(args[0] ? `找不到編號 #${args[0]} 的分析` : "目前沒有可以模擬的分析（需要有進場價）");
+    const result = await openPaperTrade(record, owner);
+    await reply(result.error ? `⚠️ ${result.error}` : formatPaperOpened(result.record));
+  },
+
+  // 「關注」不帶參數：顯示清單
+  async watch({ userId, userState, reply }, { args }) {
+    if (!userId) return reply(NO_USER_REPLY);
+    if (!args.length) return reply(formatWatchlist(userState.watchlist));
+
+    const parsed = parseWatchArgs(args);
+    if (parsed.error) return reply(`⚠️ ${parsed.error}`);
+    if (!priceFeed.supportsTimeframe(parsed.item.timeframe)) {
+      return reply(`⚠️ 目前的行情來源（${priceFeed.name}）不支援週期 ${parsed.item.timeframe}`);
+    }
+    let error = null;
+    const { watchlist } = await updateUserState(userId, (current) => {
+      const added = addWatch(current.watchlist, parsed.item);
+      error = added.error || null;
+      return added.list ? { watchlist: added.list } : null;
+    });
+    if (error) return reply(`⚠️ ${error}`);
+    await reply(`✅ 已關注 ${parsed.item.symbol} ${parsed.item.timeframe}，每根 K 棒收盤後幫你檢查訊號。\n\n${formatWatchlist(watchlist)}`);
+  },
+
+  async unwatch({ userId, userState, reply }, { args }) {
+    if (!userId) return reply(NO_USER_REPLY);
+    if (["全部", "all"].includes((args[0] || "").toLowerCase())) {
+      await updateUserState(userId, { watchlist: [] });
+      return reply("✅ 已清空關注清單。");
+    }
+    const parsed = parseWatchArgs(args);
+    if (parsed.error) return reply(`⚠️ 格式：「取消關注 BTCUSDT 15m」或「取消關注 全部」`);
+    let error = null;
+    const { watchlist } = await updateUserState(userId, (current) => {
+      const removed = removeWatch(current.watchlist, parsed.item);
+      error = removed.error || null;
+      return removed.list ? { watchlist: removed.list } : null;
+    });
+    if (error) return reply(`⚠️ ${error}`);
+    await reply(`✅ 已取消關注 ${parsed.item.symbol} ${parsed.item.timeframe}\n\n${formatWatchlist(watchlist)}`);
+  },
+
+  // 一次性登入連結只私訊給本人；群組裡傳的連結別人點了就能看到你的日誌
+  async dashboard({ event, userId, reply }) {
+    if (!userId) return reply(NO_USER_REPLY);
+    if (event.source?.type !== "user") return reply("🔒 登入連結只會在私訊提供，請私訊我傳「/dashboard」。");
+    if (!PUBLIC_BASE_URL) return reply("⚠️ 伺服器未設定 PUBLIC_BASE_URL，暫時無法產生 Dashboard 連結。");
+    const link = `${PUBLIC_BASE_URL}/login/link?t=${auth.createLoginToken(userId)}`;
+    await reply(
+      `📈 你的交易日誌 Dashboard：\n${link}\n\n連結 ${LOGIN_LINK_MINUTES} 分鐘內有效、只能用一次，請不要轉傳給別人。`
+    );
+  },
+
+  async reset({ convKey, reply }) {
+    clearConversation(convKey);
+    await reply("🧹 已清空對話紀錄，我們從頭開始。請告訴我商品、週期和目前 OBV / K 棒狀況。");
+  },
+
+  async resume({ userId, reply }) {
+    const resumed = await resumeTrading(userId);
+    await reply(
+      resumed
+        ? "✅ 已解除冷卻。重新進場前，先確認盤整與 OBV 條件都還成立，單筆虧損維持固定。"
+        : "目前沒有在冷卻期，可以正常使用。"
+    );
+  },
+
+  // 結單指令：直接更新交易日誌
+  async close({ userId, reply }, { close }) {
+    const result = close.error ? close : await closeTrade(close, { userId });
+    if (result.error) return reply(`⚠️ ${result.error}`);
+    // 這一單可能剛好湊滿連虧門檻
+    const stateAfter = await refreshCooldown(userId);
+    await reply(withCooldownBanner(formatCloseReply(result), stateAfter));
+  },
+
+  async unknown({ reply }, { args }) {
+    await reply(`看不懂指令「${args[0]}」。\n\n${formatHelp()}`);
+  },
+};
+
+// ------- Postback（交易卡片按鈕）--------
+// data 格式：action=enter|skip|ask&id=<紀錄 id>
+async function findOwnedRecord(id, userId) {
+  const record = id ? await tradeStore.get(id) : null;
+  return record && isOwnedBy(record, userId) ? record : null;
+}
+
+function formatStatusBlock(record) {
+  const id = shortId(record.id);
+  if (record.status === "closed") return `#${id} 已經結單（${record.r}R）`;
+  if (record.status === "skipped") return `#${id} 已經略過`;
+  return null;
+}
+
+const postbackHandlers = {
+  async enter({ userId, reply }, record) {
+    const blocked = formatStatusBlock(record);
+    if (blocked) return reply(blocked);
+    if (record.strategyAllowed === false) {
+      return reply("⛔ 這個訊號是「策略禁用」（不符合條件或冷卻中），依規則不進場。");
+    }
+
+    const updated = await tradeStore.update(record.id, (current) =>
+      current.status !== "open" || current.enteredAt
+        ? null
+        : { enteredAt: new Date().toISOString(), enteredBy: userId }
+    );
+    if (!updated) return reply(`#${shortId(record.id)} 已經記錄過進場了`);
+
+    const id = shortId(record.id);
+    await reply(
+      [
+        `✅ 已記錄進場 #${id}`,
+        record.entry !== null ? `進場 ${record.entry}／停損 ${record.stop ?? "-"}` : "",
+        formatPositionSize(record.position),
+        `出場後輸入「結單 ${id} +1R」或「停損 ${id}」回報結果。`,
+      ]
+        .filter(Boolean)
+        .join("\n")
+    );
+  },
+
+  async skip({ userId, reply }, record) {
+    const blocked = formatStatusBlock(record);
+    if (blocked) return reply(blocked);
+
+    const updated = await tradeStore.update(record.id, (current) =>
+      current.status !== "open" || current.enteredAt
+        ? null
+        : { status: "skipped", skippedAt: new Date().toISOString(), skippedBy: userId }
+    );
+    await reply(
+      updated
+        ? `👌 已略過 #${shortId(record.id)}，不計入績效。沒有把握的訊號就不做，這也是紀律。`
+        : `#${shortId(record.id)} 已經記錄進場，無法略過；出場後請用結單指令回報。`
+    );
+  },
+
+  async paper({ owner, reply }, record) {
+    const result = await openPaperTrade(record, owner);
+    await reply(result.error ? `⚠️ ${result.error}` : formatPaperOpened(result.record));
+  },
+
+  // 以這筆紀錄為脈絡問教練，之後的追問也會接著這筆分析
+  async ask({ convKey, userState, responder, reply }, record) {
+    await responder.acknowledge();
+    setLastAnalysis(convKey, {
+      prompt: `（我想問紀錄 #${shortId(record.id)} 的分析）`,
+      summary: formatAnalysisContext(record),
+    });
+    const question = "請根據這筆分析結果，說明現在能不能做、進場與停損怎麼放、還要注意什麼。";
+    const answer = await askGeminiText(question + cooldownNote(userState), {
+      history: getHistory(convKey),
+    });
+    if (!answer.startsWith("⚠️")) appendTurn(convKey, question, answer);
+    await reply(withCooldownBanner(answer, userState).substring(0, 2000));
+  },
+};
+
+const unhandledCardActions = CARD_ACTIONS.filter((a) => !postbackHandlers[a]);
+if (unhandledCardActions.length) {
+  throw new Error(`交易卡片按鈕沒有對應的 postback 處理：${unhandledCardActions.join(", ")}`);
+}
+
+async function handlePostback(ctx) {
+  const data = parsePostbackData(ctx.event.postback?.data);
+  const handler = postbackHandlers[data.action];
+  if (!handler) {
+    console.warn("unknown postback action:", ctx.event.postback?.data);
+    await ctx.reply("這個按鈕已經失效，請重新傳一次截圖。");
+    return;
+  }
+  const record = await findOwnedRecord(data.id, ctx.userId);
+  if (!record) {
+    await ctx.reply("找不到這筆紀錄（可能已刪除，或不是你的分析）。");
+    return;
+  }
+  await handler(ctx, record);
+}
+
+// ------- Webhook 主邏輯 --------
+// 先回 200 給 LINE，事件丟進佇列非同步處理（同一聊天室依序、整體限制併發）
+const eventQueue = createJobQueue({
+  name: "webhook",
+  concurrency: Number(process.env.WEBHOOK_CONCURRENCY) || 3,
+  maxPending: Number(process.env.WEBHOOK_QUEUE_MAX) || 100,
+});
+
+async function handleEvent(event) {
+  const responder = createResponder(event);
+  const reply = responder.send;
+
+  try {
+    if (event.type !== "message" && event.type !== "postback") return;
+
+    // 重啟後收到的重送事件：記憶體裡的去重表已清空，改查日誌裡是否已有這個事件的紀錄
+    const eventId = event.webhookEventId || null;
+    if (event.deliveryContext?.isRedelivery && eventId) {
+      const trades = await loadTrades();
+      if (trades.some((t) => t.webhookEventId === eventId)) {
+        console.log("skip redelivered webhook event:", eventId);
+        return;
+      }
+    }
+
+    const message = event.message;
+    const owner = eventOwner(event);
+    const userId = owner.userId;
+    const convKey = conversationKey(owner);
+    const userState = await refreshCooldown(userId);
+    const coolingDown = isCoolingDown(userState);
+    const ctx = { event, owner, userId, convKey, userState, responder, reply };
+
+    // 上一張圖還在等商品 / 週期：這則是回覆就補上，否則先照現有資料寫入再處理這個事件
+    if (peekPendingMeta(convKey)) {
+      const answer = message?.type === "text" ? parsePendingMetaAnswer(message.text || "") : null;
+      if (answer) {
+        await completePendingMeta(ctx, answer);
+        return;
+      }
+      await flushPendingMeta(convKey);
+    }
+
+    // 交易卡片上的按鈕
+    if (event.type === "postback") {
+      await handlePostback(ctx);
+      return;
+    }
+
+    // 文字訊息
+    if (message.type === "text") {
+      const originalText = message.text || "";
+
+      // 指令（說明、統計、紀錄、結單…）不經過模型
+      const cmd = matchCommand(originalText);
+      if (cmd) {
+        await commandHandlers[cmd.name](ctx, cmd);
+        return;
+      }
+
+      // 單獨傳「BTCUSDT 15m」：是剛才那張圖的說明就補上，否則留給接下來的截圖，不問模型
+      const caption = parseMetaTokens(originalText);
+      if (!caption.rest.length && caption.symbol && caption.timeframe) {
+        const imageId = takeRecentImage(convKey);
+        const { patch, metaSource } = metaPatch(caption, "caption");
+        const updated = imageId
+          ? await tradeStore.update(imageId, (current) => ({
+              ...patch,
+              metaSource: { ...current.metaSource, ...metaSource },
+            }))
+          : null;
+        if (updated) {
+          await reply(`✅ 已將 #${shortId(updated.id)} 標記為 ${caption.symbol} ${caption.timeframe}`);
+        } else {
+          rememberCaption(convKey, caption);
+          await reply(
+            `📌 已記下 ${caption.symbol} ${caption.timeframe}，${CAPTION_WINDOW_SECONDS} 秒內傳截圖就會套用。`
           );
-          continue;
         }
+        return;
+      }
 
-        // 記錄成 trade
-        await recordImageTrade({
-          symbol: null, // 圖片目前抓不到幣種＋週期，先留空
-          timeframe: null,
-          geminiResult: visionRes,
-        });
+      await responder.acknowledge();
+      const { symbol, timeframe, cleanText } = parseMetaFromText(originalText);
+      if (symbol && timeframe) rememberCaption(convKey, { symbol, timeframe });
+
+      // 使用者有貼 OHLC 數字時，先用規則判斷型態，再交給模型解說
+      const textCandles = extractCandlesFromText(cleanText);
+      const pattern = textCandles ? resolvePattern({ candles: textCandles }) : null;
+      const question = pattern
+        ? `${cleanText}\n\n（系統已用規則判斷最後一根收盤 K 棒：${pattern.label}，${pattern.entryLabel}${
+            typeof pattern.entryPrice === "number" ? `，參考進場價 ${pattern.entryPrice}` : ""
+          }。請以此為準，不要自行改判。）`
+        : cleanText;
+      const coach = prompts.render("coach");
+      const answer = await askGeminiText(question + cooldownNote(userState), {
+        history: getHistory(convKey),
+        system: coach,
+        query: cleanText,
+      });
+      if (!answer.startsWith("⚠️")) appendTurn(convKey, originalText, answer);
+
+      // ➕ 把這則文字問答記錄到交易日誌
+      const record = await recordTextTrade({
+        symbol,
+        timeframe,
+        userText: originalText,
+        aiReply: answer,
+        prompt: coach,
+        pattern,
+        cooldown: coolingDown,
+        owner,
+        eventId,
+      });
 
-        const d = visionRes.data || {};
-        const replyText = [
-          "📊 圖片分析結果（獵影策略視角）",
-          "",
-          `盤勢判斷：${d.regime || "unknown"}`,
-          `策略可用：${
-            typeof d.strategyAllowed === "boolean"
-              ? d.strategyAllowed
-                ? "✅ 可用"
-                : "⛔ 禁用"
-              : "unknown"
-          }`,
-          `方向建議：${d.direction || "unknown"}`,
-          "",
-          d.reason ? `簡短說明：${d.reason}` : "",
-          "",
-          "（本結果僅供教育與風險警示，非投資建議）",
-        ]
-          .filter(Boolean)
-          .join("\n");
-
-        await replyToLine(replyToken, replyText.substring(0, 2000));
+      const replyText = withCooldownBanner(
+        pattern ? `${formatPatternLine(pattern)}\n\n${answer}` : answer,
+        userState
+      );
+      const footer = `\n\n${formatTradeRef(record)}`;
+      await reply(replyText.substring(0, 2000 - footer.length) + footer);
+    }
+
+    // 圖片訊息
+    else if (message.type === "image") {
+      await responder.acknowledge("⏳ 圖片分析中…請稍候");
+      let imgBase64 = null;
+      try {
+        imgBase64 = (await fetchLineContent(message.id)).toString("base64");
+      } catch (err) {
+        console.error(
+          "Failed to download image from LINE:",
+          err.response?.status,
+          err.response?.data || err.message
+        );
+        await reply("圖片下載失敗，請稍後再試。");
+        return;
       }
 
-      // 其他訊息類型
-      else {
-        await replyToLine(
-          replyToken,
-          "目前只支援「文字」與「圖片」訊息唷。"
+      const visionRes = await analyzeImageWithGemini(imgBase64);
+      if (visionRes.error) {
+        console.error("Gemini Vision error:", visionRes.error);
+        await reply(
+          visionRes.code
+            ? LLM_ERROR_REPLIES[visionRes.code] || LLM_ERROR_REPLIES.unavailable
+            : "圖片分析失敗（模型回傳格式不正確）。請稍後再試。"
         );
+        return;
       }
-    } catch (err) {
-      console.error(
-        "Error processing event:",
-        err.response?.data || err.message || err
+
+      const d = visionRes.data || {};
+      if (coolingDown) d.strategyAllowed = false;
+      const pattern = resolvePattern({
+        candles: d.lastCandles,
+        modelPattern: d.pattern,
+        direction: d.direction,
+      });
+
+      // 商品 / 週期：圖片說明 > 圖上讀到的 > 使用者預設
+      const meta = resolveImageMeta({
+        caption: takeRecentCaption(convKey),
+        vision: d,
+        defaults: userState.defaults,
+      });
+      const record = buildImageRecord({
+        symbol: meta.symbol,
+        timeframe: meta.timeframe,
+        exchange: meta.exchange,
+        metaSource: meta.metaSource,
+        geminiResult: visionRes,
+        pattern,
+        cooldown: coolingDown,
+        owner,
+        eventId,
+        account: userState.account,
+      });
+
+      // 交易卡片；冷卻中時先補一則警示文字
+      const card = buildTradeCard(record, { refText: formatTradeRef(record) });
+      const messages = isCoolingDown(userState)
+        ? [{ type: "text", text: formatCooldownBanner(userState) }, card]
+        : [card];
+
+      // 沒有對話 key（拿不到來源 id）就沒辦法暫存等補充，直接照現有資料寫入
+      if (meta.missing.length && convKey) {
+        // 卡片先送出，紀錄暫存等使用者補商品 / 週期；逾時就照現有資料寫入
+        setPendingMeta(convKey, { record, missing: meta.missing });
+        setTimeout(() => {
+          eventQueue
+            .push(() => flushPendingMeta(convKey, record.id), { key: convKey })
+            .catch(() => {});
+        }, PENDING_META_SECONDS * 1000).unref();
+        messages.push(await buildMetaQuestion(userId, meta));
+      } else {
+        await saveImageRecord(convKey, record);
+      }
+      await reply(messages);
+    }
+
+    // 檔案訊息（K 棒 CSV / JSON，或交易所成交紀錄 CSV）
+    else if (message.type === "file") {
+      await responder.acknowledge("⏳ K 棒數據分析中…請稍候");
+      const fileName = message.fileName || "";
+      const { symbol, timeframe } = parseMetaFromText(
+        fileName.replace(/\.[^.]+$/, "").replace(/[_-]/g, " ")
       );
+
+      let setup;
+      try {
+        const content = (await fetchLineContent(message.id)).toString("utf8");
+
+        // 交易所成交紀錄：匯入日誌，而不是當 K 棒分析
+        if (detectFormat(parseCsv(content.split(/\r?\n/, 1)[0]).headers)) {
+          const summary = await importTradeHistory(tradeStore, content, { owner, genId });
+          const stateAfter = await refreshCooldown(userId);
+          await reply(withCooldownBanner(formatImportSummary(summary), stateAfter));
+          return;
+        }
+
+        setup = evaluateSetup(parseCandles(content));
+      } catch (err) {
+        console.error("Candle file error:", err.response?.status || "", err.message);
+        await reply(
+          `K 棒檔案分析失敗：${err.message}\n請傳 CSV / JSON（time,open,high,low,close,volume）。`
+        );
+        return;
+      }
+
+      if (coolingDown) setup.strategyAllowed = false;
+      const { text: explanation, prompt } = await explainSetup(setup);
+      const record = await recordCandleTrade({
+        symbol,
+        timeframe,
+        setup,
+        aiReply: explanation,
+        prompt,
+        cooldown: coolingDown,
+        owner,
+        eventId,
+        account: userState.account,
+      });
+      setLastAnalysis(convKey, {
+        prompt: `（我傳了 K 棒數據檔 ${fileName} 請你用獵影策略分析）`,
+        summary: formatAnalysisContext(record),
+      });
+
+      const replyText = [
+        formatSetupText(setup),
+        ...(record.position ? ["", formatPositionSize(record.position)] : []),
+        "",
+        "🧑‍🏫 教練解說：",
+        explanation,
+        "",
+        formatTradeRef(record),
+        "（本結果僅供教育與風險警示，非投資建議）",
+      ].join("\n");
+      await reply(withCooldownBanner(replyText, userState).substring(0, 2000));
     }
+
+    // 其他訊息類型
+    else {
+      await reply("目前只支援「文字」、「圖片」與 K 棒數據檔案唷。");
+    }
+  } catch (err) {
+    console.error(
+      "Error processing event:",
+      err.response?.data || err.message || err
+    );
   }
+}
 
+app.post("/webhook", verifyLineSignature, (req, res) => {
+  const events = req.body.events || [];
   res.status(200).send("OK");
+
+  for (const event of events) {
+    const eventId = event.webhookEventId;
+    if (!eventDeduper.claim(eventId)) {
+      console.log("skip duplicate webhook event:", eventId);
+      continue;
+    }
+    eventQueue
+      .push(() => handleEvent(event), { key: conversationKey(eventOwner(event)) })
+      .catch(() => eventDeduper.release(eventId)); // 沒跑成功就讓 LINE 重送時可以再處理
+  }
+});
+
+// ------- 登入 / 登出 --------
+function renderLoginPage({ next = "/dashboard", error = "" } = {}) {
+  const escape = (v) => String(v).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+  return `<!DOCTYPE html>
+<html lang="zh-Hant">
+<head>
+  <meta charset="UTF-8" />
+  <title>登入｜獵影策略 Dashboard</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", system-ui, sans-serif; margin: 0; padding: 48px 16px; background: #0b1120; color: #e5e7eb; }
+    form { max-width: 320px; margin: 0 auto; background: #020617; border-radius: 12px; padding: 24px; box-shadow: 0 0 0 1px #1f2937; }
+    input, button { width: 100%; box-sizing: border-box; margin-top: 12px; padding: 8px; border-radius: 8px; border: 1px solid #4b5563; background: #020617; color: #e5e7eb; }
+    button { cursor: pointer; }
+    .hint { font-size: 13px; color: #9ca3af; }
+    .error { color: #f97373; font-size: 13px; }
+  </style>
+</head>
+<body>
+  <form method="POST" action="/login">
+    <h2>獵影策略 Dashboard</h2>
+    <div class="hint">管理員請輸入密碼；一般使用者請在 LINE 傳「/dashboard」取得登入連結。</div>
+    ${error ? `<div class="error">${escape(error)}</div>` : ""}
+    <input type="hidden" name="next" value="${escape(next)}" />
+    <input type="password" name="password" placeholder="管理員密碼" autofocus />
+    <button type="submit">登入</button>
+  </form>
+</body>
+</html>`;
+}
+
+app.get("/login", (req, res) => {
+  if (auth.authenticate(req)) return res.redirect(safeNextPath(req.query.next));
+  res.send(renderLoginPage({ next: safeNextPath(req.query.next) }));
+});
+
+app.post("/login", (req, res) => {
+  const next = safeNextPath(req.body?.next);
+  const blocked = loginLimiter.blockedMinutes(req.ip);
+  if (blocked) {
+    return res.status(429).send(renderLoginPage({ next, error: `密碼錯誤次數太多，請 ${blocked} 分鐘後再試` }));
+  }
+  if (!auth.isValidAdminPassword(req.body?.password || "")) {
+    if (auth.hasAdminPassword) loginLimiter.fail(req.ip);
+    const error = auth.hasAdminPassword ? "密碼錯誤" : "伺服器未設定 ADMIN_PASSWORD，無法用密碼登入";
+    return res.status(401).send(renderLoginPage({ next, error }));
+  }
+  loginLimiter.reset(req.ip);
+  auth.setSession(res, req, { role: "admin" });
+  res.redirect(next);
+});
+
+// LINE 的「/dashboard」指令送出的一次性連結
+app.get("/login/link", (req, res) => {
+  const userId = auth.redeemLoginToken(req.query.t);
+  if (!userId) {
+    return res
+      .status(401)
+      .send(renderLoginPage({ error: "登入連結無效、已過期或已使用過，請在 LINE 重新傳「/dashboard」" }));
+  }
+  auth.setSession(res, req, { role: "user", userId });
+  res.redirect("/dashboard");
+});
+
+app.post("/logout", (req, res) => {
+  auth.clearSession(res);
+  res.redirect("/login");
 });
 
 // ------- trades API（Dashboard / 其他用）--------
+// 全部要登入：session cookie，或 API token（Authorization: Bearer <API_TOKEN> 或 X-API-Token，視為管理員）
+// 一般使用者只看得到自己的紀錄；寫入要 API token，或管理員 session 加 X-CSRF-Token（Dashboard 頁面裡帶）
+app.use("/api", auth.requireAuth(), auth.requireWriteAccess());
+
+async function findAccessibleTrade(req) {
+  const trade = await tradeStore.get(req.params.id);
+  return canAccessTrade(req.principal, trade) ? trade : null;
+}
+
+// 篩選同 /api/stats（user 等同 userId），另可用 status；sort=createdAt|closedAt|r|symbol、order=asc|desc
+// 沒給 limit / cursor 時回傳完整陣列（Dashboard 用）；有給時回傳 { items, nextCursor, total }
 app.get("/api/trades", async (req, res) => {
-  const trades = await loadTrades();
-  res.json(trades);
+  const query = scopeQuery(req.principal, { ...req.query, userId: req.query.userId || req.query.user });
+  const options = parseListQuery(query);
+  if (options.error) return res.status(400).json({ error: options.error });
+
+  let trades = filterTrades(await loadTrades(), parseStatsFilters(query));
+  if (query.status && query.status !== "all") trades = trades.filter((t) => (t.status || "open") === query.status);
+  const { items, nextCursor } = listTrades(trades, options);
+  if (!options.paginate) return res.json(items);
+  res.json({ items, nextCursor, total: trades.length });
+});
+
+app.get("/api/trades/:id", async (req, res) => {
+  const trade = await findAccessibleTrade(req);
+  if (!trade) return res.status(404).json({ error: "找不到這筆紀錄" });
+  res.json(trade);
+});
+
+// 可修改：outcome、r、exitPrice、status、note、tags（給 r 沒給 outcome 時依 r 判斷勝負）
+app.patch("/api/trades/:id", async (req, res) => {
+  if (!(await findAccessibleTrade(req))) return res.status(404).json({ error: "找不到這筆紀錄" });
+  let error = null;
+  const updated = await tradeStore.update(req.params.id, (current) => {
+    const result = validateTradePatch(req.body, current);
+    error = result.error || null;
+    return result.patch || null;
+  });
+  if (error) return res.status(400).json({ error });
+  if (!updated) return res.status(404).json({ error: "找不到這筆紀錄" });
+  res.json(updated);
+});
+
+app.delete("/api/trades/:id", async (req, res) => {
+  if (!(await findAccessibleTrade(req))) return res.status(404).json({ error: "找不到這筆紀錄" });
+  const removed = await tradeStore.remove(req.params.id);
+  if (!removed) return res.status(404).json({ error: "找不到這筆紀錄" });
+  res.status(204).end();
+});
+
+// ------- 匯出 / 匯入 --------
+// 匯出的篩選條件與 /api/stats 相同
+app.get("/api/export.:format(csv|json)", async (req, res) => {
+  const trades = filterTrades(await loadTrades(), parseStatsFilters(scopeQuery(req.principal, req.query))).sort(
+    (a, b) => new Date(a.createdAt) - new Date(b.createdAt)
+  );
+  const { format } = req.params;
+  res.attachment(exportFileName(format));
+  if (format === "csv") res.type("text/csv; charset=utf-8").send(toCsv(trades));
+  else res.json(trades);
+});
+
+// 交易所成交紀錄 CSV：body 為 text/csv，或 JSON { csv }；管理員要用 ?userId= 指定匯入給哪位使用者
+app.post("/api/import", async (req, res) => {
+  const text = typeof req.body === "string" ? req.body : req.body?.csv;
+  if (!text) return res.status(400).json({ error: "請上傳 CSV（text/csv 或 { csv }）" });
+
+  const userId = isAdmin(req.principal) ? req.query.userId || req.body?.userId || null : req.principal.userId;
+  const summary = await importTradeHistory(tradeStore, text, { owner: { userId }, genId });
+  if (!summary.format) return res.status(400).json({ error: summary.errors[0], ...summary });
+  res.json(summary);
+});
+
+// ------- 連虧 / 冷卻狀態 API（Dashboard 用）--------
+app.get("/api/streaks", async (req, res) => {
+  const [users, trades] = await Promise.all([loadUsers(), loadTrades()]);
+  const userIds = isAdmin(req.principal)
+    ? new Set([...Object.keys(users), ...trades.map((t) => t.userId || t.closedBy).filter(Boolean)])
+    : new Set([req.principal.userId]);
+
+  const now = new Date();
+  const result = [...userIds].map((userId) => {
+    const state = users[userId] || {};
+    const { streak } = computeLossStreak(trades, userId, state.resumedAt);
+    const { state: next } = evaluateCooldown(state, trades, userId, now);
+    return {
+      userId,
+      lossStreak: streak,
+      coolingDown: isCoolingDown(next, now),
+      cooldownUntil: next.cooldown?.until || null,
+    };
+  });
+  res.json(result);
+});
+
+// ------- 績效統計 API --------
+// 篩選：userId、symbol、timeframe、regime、direction、source、pattern、from / to（YYYY-MM-DD 或 ISO）
+app.get("/api/stats", async (req, res) => {
+  const filters = parseStatsFilters(scopeQuery(req.principal, req.query));
+  const trades = filterTrades(await loadTrades(), filters);
+  res.json({ filters, ...computeAnalytics(trades) });
+});
+
+// ------- K 棒數據分析 API --------
+// body 可以是 JSON（{ candles, symbol, timeframe } 或直接陣列），或 text/csv
+app.post("/api/candles/analyze", async (req, res) => {
+  const body = req.body;
+  const fields = typeof body === "object" && !Array.isArray(body) ? body : req.query;
+  // 原樣寫進日誌的字串會顯示在 Dashboard，只收正規化後的商品 / 週期
+  const symbol = normalizeSymbol(fields.symbol);
+  const timeframe = normalizeTimeframe(fields.timeframe);
+
+  let setup;
+  try {
+    setup = evaluateSetup(parseCandles(body));
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+
+  const owner = isAdmin(req.principal) ? {} : { userId: req.principal.userId };
+  const record = await recordCandleTrade({ symbol, timeframe, setup, owner });
+  res.json({ id: record.id, ...setup });
+});
+
+// ------- 回測 API --------
+// body：K 棒 CSV（text/csv，參數放 query，上限 BACKTEST_MAX_BODY），或 JSON { candles, symbol, timeframe, exit, dryRun }（上限 2mb）
+// exit：split（預設，一半 1R、一半 1.5R）| 1R | 1.5R；dryRun=true 只回傳結果不寫進日誌
+app.post("/api/backtest", express.text({ type: TEXT_TYPES, limit: BACKTEST_MAX_BODY }), async (req, res) => {
+  const isJson = req.body && typeof req.body === "object" && !Array.isArray(req.body);
+  const opts = isJson ? { ...req.query, ...req.body } : req.query;
+  const input = isJson ? req.body.candles : req.body;
+  const exit = opts.exit || "split";
+  if (!EXIT_MODES.includes(exit)) return res.status(400).json({ error: `exit 只能是 ${EXIT_MODES.join(" / ")}` });
+
+  let result;
+  try {
+    const owner = isAdmin(req.principal) ? { userId: opts.userId || null } : { userId: req.principal.userId };
+    result = runBacktest(parseCandles(input), {
+      symbol: normalizeSymbol(opts.symbol || ""),
+      timeframe: normalizeTimeframe(opts.timeframe || ""),
+      exit,
+      owner,
+      genId,
+    });
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+
+  const dryRun = opts.dryRun === true || opts.dryRun === "true";
+  const saved = dryRun ? 0 : await saveBacktest(tradeStore, result);
+  res.json({
+    backtestId: result.backtestId,
+    saved,
+    stats: result.stats,
+    summary: result.summary,
+    ...(dryRun ? { trades: result.trades } : {}),
+  });
+});
+
+// ------- Prompt 管理 API（僅限管理員）--------
+// GET /api/prompts：全部 prompt 與版本；GET /api/prompts/:id?version=v2：預覽代入策略參數後的全文
+// PUT /api/prompts/:id/active { version }：切換目前版本（version: null 回到 prompts/active.json 的預設）
+function requireAdmin(req, res, next) {
+  if (!isAdmin(req.principal)) return res.status(403).json({ error: "只有管理員可以管理 prompt" });
+  next();
+}
+
+app.get("/api/prompts", requireAdmin, (req, res) => {
+  res.json(prompts.list());
+});
+
+app.get("/api/prompts/:id", requireAdmin, (req, res) => {
+  if (!prompts.has(req.params.id)) return res.status(404).json({ error: `找不到 prompt ${req.params.id}` });
+  try {
+    res.json(prompts.preview(req.params.id, req.query.version));
+  } catch (e) {
+    res.status(404).json({ error: e.message });
+  }
+});
+
+app.put("/api/prompts/:id/active", requireAdmin, async (req, res) => {
+  const version = req.body?.version ?? null;
+  if (version !== null && typeof version !== "string") return res.status(400).json({ error: "version 必須是字串或 null" });
+  const result = await prompts.setActive(req.params.id, version);
+  if (result.error) return res.status(prompts.has(req.params.id) ? 400 : 404).json({ error: result.error });
+  console.log(`[prompts] ${req.params.id} → ${result.prompt.active}（${req.principal.via}）`);
+  res.json(result.prompt);
 });
 
 // ------- Dashboard 頁面（含篩選器）--------
-app.get("/dashboard", async (req, res) => {
+// 一般使用者登入時只顯示自己的日誌（使用者篩選鎖定）
+app.get("/dashboard", auth.requireAuth({ html: true }), async (req, res) => {
+  const viewer = { role: req.principal.role, userId: req.principal.userId || null };
   res.send(`<!DOCTYPE html>
 <html lang="zh-Hant">
 <head>
@@ -616,7 +1663,7 @@ app.get("/dashboard", async (req, res) => {
       font-weight: 600;
       margin-top: 4px;
     }
-    select, button {
+    select, button, input {
       background: #020617;
       color: #e5e7eb;
       border-radius: 8px;
@@ -658,21 +1705,39 @@ app.get("/dashboard", async (req, res) => {
     }
     .tag-image { border-color: #38bdf8; }
     .tag-text { border-color: #a855f7; }
+    .tag-candles { border-color: #facc15; }
+    .tag-import { border-color: #fb923c; }
+    .tag-backtest { border-color: #a78bfa; }
+    .tag-paper { border-color: #22d3ee; }
     canvas {
       max-width: 100%;
     }
+    .breakdowns {
+      display: grid;
+      grid-template-columns: repeat(auto-fit, minmax(260px, 1fr));
+      gap: 16px;
+    }
   </style>
 </head>
 <body>
+  <form method="POST" action="/logout" style="float:right;">
+    <span class="label">${isAdmin(viewer) ? "管理員" : "我的日誌"}</span>
+    <button type="submit">登出</button>
+  </form>
   <h1>獵影策略 Dashboard</h1>
   <div style="margin-bottom: 12px; color:#9ca3af; font-size:13px;">
-    這裡會統計 <b>trades.json</b> 裡的資料：圖片分析 & 文字紀錄。
+    這裡會統計交易日誌（<b>trades.jsonl</b>）裡的資料：圖片分析、文字紀錄 & K 棒數據分析。
     <br/>只有有數值 R 的紀錄會影響勝率 / Equity Curve，其餘視為註記。
   </div>
 
   <div class="card">
     <div class="label" style="margin-bottom:4px;">篩選</div>
     <div style="margin-bottom:8px;">
+      <label class="label">使用者：</label>
+      <select id="userFilter">
+        <option value="all">全部</option>
+      </select>
+
       <label class="label">盤勢：</label>
       <select id="regimeFilter">
         <option value="all">全部</option>
@@ -694,10 +1759,50 @@ app.get("/dashboard", async (req, res) => {
         <option value="all">全部</option>
         <option value="image">圖片分析</option>
         <option value="text">文字紀錄</option>
+        <option value="candles">K 棒數據</option>
+        <option value="import">交易所匯入</option>
+        <option value="backtest">回測</option>
+        <option value="paper">模擬單</option>
       </select>
 
+      <label class="label">型態：</label>
+      <select id="patternFilter">
+        <option value="all">全部</option>
+        <option value="doji">十字星</option>
+        <option value="body_engulfing">實體吞沒</option>
+        <option value="wick_engulfing">影線吞沒</option>
+        <option value="none">無型態</option>
+      </select>
+    </div>
+    <div style="margin-bottom:8px;">
+      <label class="label">商品：</label>
+      <select id="symbolFilter">
+        <option value="all">全部</option>
+      </select>
+
+      <label class="label">週期：</label>
+      <select id="timeframeFilter">
+        <option value="all">全部</option>
+      </select>
+
+      <label class="label">日期：</label>
+      <input type="date" id="fromFilter" />
+      <span class="label">～</span>
+      <input type="date" id="toFilter" />
+
       <button id="resetBtn">重置</button>
     </div>
+    <div>
+      <button id="exportCsvBtn">匯出 CSV</button>
+      <button id="exportJsonBtn">匯出 JSON</button>
+      ${
+        isAdmin(viewer)
+          ? `<label class="label">匯入成交紀錄（Binance / Bybit CSV）：</label>
+      <input type="file" id="importFile" accept=".csv,text/csv" />
+      <span class="label" id="importResult"></span>`
+          : `<span class="label">匯入成交紀錄：請直接在 LINE 傳交易所匯出的 CSV 檔</span>`
+      }
+    </div>
   </div>
 
   <div class="card">
@@ -718,14 +1823,54 @@ app.get("/dashboard", async (req, res) => {
         <div class="label">最大回撤</div>
         <div class="value" id="maxDD">-</div>
       </div>
+      <div>
+        <div class="label">期望值（每筆）</div>
+        <div class="value" id="expectancy">-</div>
+      </div>
+      <div>
+        <div class="label">獲利因子</div>
+        <div class="value" id="profitFactor">-</div>
+      </div>
+      <div>
+        <div class="label">累計 R</div>
+        <div class="value" id="totalR">-</div>
+      </div>
+      <div>
+        <div class="label">最長連勝 / 連敗</div>
+        <div class="value" id="streaks">-</div>
+      </div>
     </div>
   </div>
 
+  <div class="card">
+    <div class="label" style="margin-bottom:4px;">連虧 / 冷卻狀態（連續止損 3 單會自動冷卻）</div>
+    <table>
+      <thead>
+        <tr>
+          <th>使用者</th>
+          <th>目前連虧</th>
+          <th>狀態</th>
+        </tr>
+      </thead>
+      <tbody id="streaksBody"></tbody>
+    </table>
+  </div>
+
   <div class="card">
     <div class="label" style="margin-bottom:4px;">Equity Curve（R）</div>
     <canvas id="equityChart" height="120"></canvas>
   </div>
 
+  <div class="card">
+    <div class="label" style="margin-bottom:4px;">R 分佈</div>
+    <canvas id="histogramChart" height="100"></canvas>
+  </div>
+
+  <div class="card">
+    <div class="label" style="margin-bottom:8px;">分組統計（只算有 R 值的紀錄）</div>
+    <div class="breakdowns" id="breakdowns"></div>
+  </div>
+
   <div class="card" style="max-height:420px; overflow:auto;">
     <div class="label" style="margin-bottom:4px;">最近紀錄</div>
     <table>
@@ -735,7 +1880,7 @@ app.get("/dashboard", async (req, res) => {
           <th>來源</th>
           <th>商品/週期</th>
           <th>盤勢 / 策略</th>
-          <th>方向</th>
+          <th>方向 / 型態</th>
           <th>R</th>
           <th>說明 / 註記</th>
         </tr>
@@ -746,70 +1891,209 @@ app.get("/dashboard", async (req, res) => {
 
   <script src="https://cdn.jsdelivr.net/npm/chart.js"></script>
   <script>
+    const VIEWER = ${JSON.stringify(viewer).replace(/</g, "\\u003c")};
+    // 寫入 API 要帶的 CSRF token（只有管理員 session 用得到）
+    const CSRF_TOKEN = ${JSON.stringify(isAdmin(viewer) ? auth.csrfToken(req) : "")};
+    const SOURCE_LABELS = { image: "圖片", text: "文字", candles: "K 棒", import: "匯入", backtest: "回測", paper: "模擬" };
+    const PATTERN_LABELS = {
+      doji: "十字星",
+      body_engulfing: "實體吞沒",
+      wick_engulfing: "影線吞沒",
+      none: "無",
+    };
+    const BREAKDOWN_TITLES = {
+      symbol: "商品",
+      timeframe: "週期",
+      direction: "方向",
+      pattern: "型態",
+      weekday: "星期",
+      hour: "時段",
+    };
+    const FILTER_IDS = {
+      regime: "regimeFilter",
+      direction: "directionFilter",
+      source: "sourceFilter",
+      pattern: "patternFilter",
+      symbol: "symbolFilter",
+      timeframe: "timeframeFilter",
+      from: "fromFilter",
+      to: "toFilter",
+    };
     let allTrades = [];
     let chart = null;
+    let histogramChart = null;
+
+    const CHART_SCALES = {
+      x: { ticks: { color: "#9ca3af" }, grid: { color: "#111827" } },
+      y: { ticks: { color: "#9ca3af" }, grid: { color: "#111827" } },
+    };
+
+    // /dashboard?userId=xxx 直接開某位使用者的日誌
+    function selectedUserId() {
+      const value = document.getElementById("userFilter").value;
+      return value === "all" ? "" : value;
+    }
 
     async function fetchTrades() {
-      const res = await fetch("/api/trades");
+      const userId = selectedUserId();
+      const res = await fetch(
+        "/api/trades" + (userId ? "?userId=" + encodeURIComponent(userId) : "")
+      );
+      if (res.status === 401) return (location.href = "/login?next=/dashboard"); // session 過期
       const data = await res.json();
       allTrades = Array.isArray(data) ? data : [];
+      fillOptions("symbolFilter", allTrades.map(t => t.symbol));
+      fillOptions("timeframeFilter", allTrades.map(t => t.timeframe));
       render();
     }
 
-    function applyFilters(trades) {
-      const regimeFilter = document.getElementById("regimeFilter").value;
-      const directionFilter = document.getElementById("directionFilter").value;
-      const sourceFilter = document.getElementById("sourceFilter").value;
-
-      return trades.filter(t => {
-        const regime = (t.regime || "unknown");
-        const dir = (t.direction || "unknown");
-        const src = (t.source || "unknown");
+    // 紀錄內容可能來自使用者輸入（LINE 訊息、API），放進 innerHTML 前一律跳脫
+    function esc(v) {
+      return String(v ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+    }
 
-        if (regimeFilter !== "all" && regime !== regimeFilter) return false;
-        if (directionFilter !== "all" && dir !== directionFilter) return false;
-        if (sourceFilter !== "all" && src !== sourceFilter) return false;
-        return true;
+    // 商品 / 週期的選項依目前的紀錄產生
+    function fillOptions(id, values) {
+      const select = document.getElementById(id);
+      const current = select.value;
+      select.innerHTML = '<option value="all">全部</option>';
+      [...new Set(values.filter(Boolean))].sort().forEach(v => {
+        const opt = document.createElement("option");
+        opt.value = v;
+        opt.textContent = v;
+        select.appendChild(opt);
       });
+      select.value = [...select.options].some(o => o.value === current) ? current : "all";
     }
 
-    function render() {
-      const tradesFiltered = applyFilters(allTrades);
+    function currentFilters() {
+      const filters = {};
+      const userId = selectedUserId();
+      if (userId) filters.userId = userId;
+      for (const [key, id] of Object.entries(FILTER_IDS)) {
+        const value = document.getElementById(id).value;
+        if (value && value !== "all") filters[key] = value;
+      }
+      return filters;
+    }
 
-      // 只拿有 R 值的來算績效
-      const numeric = tradesFiltered.filter(
-        t => typeof t.r === "number" && !Number.isNaN(t.r)
-      );
+    async function fetchStreaks() {
+      const res = await fetch("/api/streaks");
+      const data = await res.json();
+      const tbody = document.getElementById("streaksBody");
+      tbody.innerHTML = "";
+
+      const userFilter = document.getElementById("userFilter");
+      (Array.isArray(data) ? data : []).forEach(s => {
+        if ([...userFilter.options].some(o => o.value === s.userId)) return;
+        const opt = document.createElement("option");
+        opt.value = s.userId;
+        opt.textContent = s.userId.slice(0, 8) + "…";
+        userFilter.appendChild(opt);
+      });
 
-      const count = numeric.length;
-      let wins = 0;
-      let sumR = 0;
-      let equity = 0;
-      let maxEquity = 0;
-      let maxDrawdown = 0;
-
-      numeric.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
-      const curve = [];
-
-      for (const t of numeric) {
-        const r = t.r || 0;
-        if (r > 0) wins++;
-        sumR += r;
-        equity += r;
-        if (equity > maxEquity) maxEquity = equity;
-        const dd = maxEquity - equity;
-        if (dd > maxDrawdown) maxDrawdown = dd;
-        curve.push({ time: t.createdAt, equity });
+      if (!Array.isArray(data) || !data.length) {
+        tbody.innerHTML = '<tr><td colspan="3" class="label">尚無使用者結單紀錄</td></tr>';
+        return;
       }
+      data.forEach(s => {
+        const tr = document.createElement("tr");
+        const status = s.coolingDown
+          ? \`<span class="r-negative">冷卻中（至 \${esc(new Date(s.cooldownUntil).toLocaleString())}）</span>\`
+          : "可交易";
+        tr.innerHTML = \`
+          <td>\${esc(s.userId.slice(0, 8))}…</td>
+          <td class="\${s.lossStreak > 0 ? "r-negative" : ""}">\${esc(s.lossStreak)}</td>
+          <td>\${status}</td>
+        \`;
+        tbody.appendChild(tr);
+      });
+    }
+
+    // 紀錄表格與統計數字都交給 Server 用同樣的條件篩選（日期以 Server 設定的 TZ 為準，不看瀏覽器時區）
+    async function fetchFilteredTrades() {
+      const res = await fetch("/api/trades?" + new URLSearchParams(currentFilters()));
+      const data = await res.json();
+      return Array.isArray(data) ? data : [];
+    }
+
+    function fmtNum(v, digits = 2, suffix = "") {
+      return v === null || v === undefined ? "-" : v.toFixed(digits) + suffix;
+    }
 
-      const winRate = count ? (wins / count * 100).toFixed(1) + "%" : "-";
-      const avgR = count ? (sumR / count).toFixed(2) : "-";
-      const maxDD = count ? maxDrawdown.toFixed(2) + " R" : "-";
+    async function fetchStats() {
+      const res = await fetch("/api/stats?" + new URLSearchParams(currentFilters()));
+      return res.json();
+    }
+
+    function renderBreakdowns(breakdowns) {
+      const container = document.getElementById("breakdowns");
+      container.innerHTML = "";
+      for (const [key, title] of Object.entries(BREAKDOWN_TITLES)) {
+        const rows = breakdowns[key] || [];
+        const div = document.createElement("div");
+        const body = rows.length
+          ? rows.map(g => \`
+              <tr>
+                <td>\${esc(key === "pattern" ? PATTERN_LABELS[g.key] || g.key : g.key)}</td>
+                <td>\${esc(g.count)}</td>
+                <td>\${fmtNum(g.winRate * 100, 1, "%")}</td>
+                <td>\${fmtNum(g.avgR)}</td>
+                <td class="\${g.totalR > 0 ? "r-positive" : g.totalR < 0 ? "r-negative" : ""}">\${fmtNum(g.totalR)}</td>
+              </tr>\`).join("")
+          : '<tr><td colspan="5" class="label">無資料</td></tr>';
+        div.innerHTML = \`
+          <div class="label" style="margin-bottom:4px;">依\${title}</div>
+          <table>
+            <thead><tr><th>\${title}</th><th>筆數</th><th>勝率</th><th>平均 R</th><th>累計 R</th></tr></thead>
+            <tbody>\${body}</tbody>
+          </table>\`;
+        container.appendChild(div);
+      }
+    }
 
-      document.getElementById("countTrades").textContent = count;
-      document.getElementById("winRate").textContent = winRate;
-      document.getElementById("avgR").textContent = avgR;
-      document.getElementById("maxDD").textContent = maxDD;
+    async function render() {
+      const [tradesFiltered, stats] = await Promise.all([fetchFilteredTrades(), fetchStats()]);
+      const s = stats.summary;
+      const curve = stats.equityCurve;
+
+      document.getElementById("countTrades").textContent = s.count;
+      document.getElementById("winRate").textContent = fmtNum(s.winRate === null ? null : s.winRate * 100, 1, "%");
+      document.getElementById("avgR").textContent = fmtNum(s.avgR);
+      document.getElementById("maxDD").textContent = s.count ? fmtNum(s.maxDrawdown, 2, " R") : "-";
+      document.getElementById("expectancy").textContent = fmtNum(s.expectancy, 2, " R");
+      document.getElementById("profitFactor").textContent =
+        s.profitFactor !== null ? fmtNum(s.profitFactor) : s.wins ? "∞" : "-";
+      document.getElementById("totalR").textContent = s.count ? fmtNum(s.totalR, 2, " R") : "-";
+      document.getElementById("streaks").textContent = s.count
+        ? s.longestWinStreak + " / " + s.longestLossStreak
+        : "-";
+
+      renderBreakdowns(stats.breakdowns);
+
+      // R 分佈
+      const hctx = document.getElementById("histogramChart").getContext("2d");
+      if (histogramChart) histogramChart.destroy();
+      histogramChart = new Chart(hctx, {
+        type: "bar",
+        data: {
+          labels: stats.histogram.map(b => b.label),
+          datasets: [
+            {
+              label: "筆數",
+              data: stats.histogram.map(b => b.count),
+              backgroundColor: stats.histogram.map(b =>
+                b.to !== null && b.to <= 0 ? "#f97373" : "#4ade80"
+              ),
+            },
+          ],
+        },
+        options: {
+          responsive: true,
+          plugins: { legend: { display: false } },
+          scales: CHART_SCALES,
+        },
+      });
 
       // 畫 equity chart
       const ctx = document.getElementById("equityChart").getContext("2d");
@@ -831,16 +2115,7 @@ app.get("/dashboard", async (req, res) => {
           plugins: {
             legend: { labels: { color: "#e5e7eb" } },
           },
-          scales: {
-            x: {
-              ticks: { color: "#9ca3af" },
-              grid: { color: "#111827" },
-            },
-            y: {
-              ticks: { color: "#9ca3af" },
-              grid: { color: "#111827" },
-            },
-          },
+          scales: CHART_SCALES,
         },
       });
 
@@ -857,11 +2132,7 @@ app.get("/dashboard", async (req, res) => {
             ? new Date(t.createdAt).toLocaleString()
             : "-";
 
-          const srcLabel = t.source === "image"
-            ? "圖片"
-            : t.source === "text"
-            ? "文字"
-            : "其他";
+          const srcLabel = SOURCE_LABELS[t.source] || "其他";
 
           const regime = t.regime || "unknown";
           const dir = t.direction || "unknown";
@@ -891,44 +2162,227 @@ app.get("/dashboard", async (req, res) => {
             "";
 
           tr.innerHTML = \`
-            <td>\${createdAt}</td>
+            <td>\${esc(createdAt)}</td>
             <td>
-              <span class="tag \${t.source === "image" ? "tag-image" : t.source === "text" ? "tag-text" : ""}">
-                \${srcLabel}
+              <span class="tag \${SOURCE_LABELS[t.source] ? "tag-" + t.source : ""}">
+                \${esc(srcLabel)}
               </span>
             </td>
-            <td>\${(t.symbol || "-")}<br/><span class="label">\${t.timeframe || ""}</span></td>
+            <td>\${esc(t.symbol || "-")}<br/><span class="label">\${esc(t.timeframe || "")}</span></td>
             <td>
-              <div>盤勢：\${regime}</div>
-              <div>策略：\${strat}</div>
+              <div>盤勢：\${esc(regime)}</div>
+              <div>策略：\${esc(strat)}</div>
             </td>
-            <td>\${dir}</td>
-            <td class="\${rClass}">\${rStr}</td>
-            <td style="max-width:260px; white-space:pre-wrap;">\${note}</td>
+            <td>\${esc(dir)}<br/><span class="label">\${esc(PATTERN_LABELS[t.pattern] || "")}</span></td>
+            <td class="\${rClass}">\${esc(rStr)}</td>
+            <td style="max-width:260px; white-space:pre-wrap;">\${esc(note)}</td>
           \`;
 
           tbody.appendChild(tr);
         });
     }
 
-    document.getElementById("regimeFilter").addEventListener("change", render);
-    document.getElementById("directionFilter").addEventListener("change", render);
-    document.getElementById("sourceFilter").addEventListener("change", render);
+    document.getElementById("userFilter").addEventListener("change", () => {
+      const userId = selectedUserId();
+      const url = new URL(location.href);
+      if (userId) url.searchParams.set("userId", userId);
+      else url.searchParams.delete("userId");
+      history.replaceState(null, "", url);
+      fetchTrades();
+    });
+    Object.values(FILTER_IDS).forEach(id =>
+      document.getElementById(id).addEventListener("change", render)
+    );
+    // 匯出沿用目前的篩選條件
+    function exportUrl(format) {
+      return "/api/export." + format + "?" + new URLSearchParams(currentFilters());
+    }
+    document.getElementById("exportCsvBtn").addEventListener("click", () => {
+      location.href = exportUrl("csv");
+    });
+    document.getElementById("exportJsonBtn").addEventListener("click", () => {
+      location.href = exportUrl("json");
+    });
+
+    // 匯入給目前選的使用者（「全部」時不指定）
+    document.getElementById("importFile")?.addEventListener("change", async (e) => {
+      const file = e.target.files[0];
+      if (!file) return;
+      const result = document.getElementById("importResult");
+      result.textContent = "匯入中…";
+      const userId = selectedUserId();
+      const res = await fetch("/api/import" + (userId ? "?userId=" + encodeURIComponent(userId) : ""), {
+        method: "POST",
+        headers: { "Content-Type": "text/csv", "X-CSRF-Token": CSRF_TOKEN },
+        body: await file.text(),
+      });
+      const data = await res.json();
+      result.textContent = res.ok
+        ? \`\${data.trades} 筆交易：對應分析 \${data.matched}、新增 \${data.created}、重複 \${data.duplicates}\`
+        : "匯入失敗：" + data.error;
+      e.target.value = "";
+      fetchTrades();
+    });
+
     document.getElementById("resetBtn").addEventListener("click", () => {
-      document.getElementById("regimeFilter").value = "all";
-      document.getElementById("directionFilter").value = "all";
-      document.getElementById("sourceFilter").value = "all";
+      Object.values(FILTER_IDS).forEach(id => {
+        const el = document.getElementById(id);
+        el.value = el.tagName === "SELECT" ? "all" : "";
+      });
       render();
     });
 
-    fetchTrades();
+    (async () => {
+      await fetchStreaks();
+      const initialUser =
+        VIEWER.role === "admin" ? new URLSearchParams(location.search).get("userId") : VIEWER.userId;
+      if (initialUser) {
+        const userFilter = document.getElementById("userFilter");
+        if (![...userFilter.options].some(o => o.value === initialUser)) {
+          const opt = document.createElement("option");
+          opt.value = initialUser;
+          opt.textContent = initialUser.slice(0, 8) + "…";
+          userFilter.appendChild(opt);
+        }
+        userFilter.value = initialUser;
+        userFilter.disabled = VIEWER.role !== "admin";
+      }
+      fetchTrades();
+    })();
   </script>
 </body>
 </html>`);
 });
 
+// ------- 關注清單：K 棒收盤訊號推播 --------
+// PRICE_FEED 見 feeds.js；WATCH_ENABLED=false 可關閉排程器
+const priceFeed = createFeedFromEnv({ baseDir: __dirname });
+
+async function loadWatchers() {
+  const users = await loadUsers();
+  return Object.entries(users).flatMap(([userId, state]) =>
+    (state.watchlist || []).map((w) => ({ userId, symbol: w.symbol, timeframe: w.timeframe }))
+  );
+}
+
+function formatWatchAlert({ symbol, timeframe, setup, barTime }, account) {
+  const fmt = (v) => (v === null || v === undefined ? "-" : String(v));
+  const position = calcPositionSize({ entry: setup.entry, stop: setup.stop, account });
+  const barAt = candleTime(barTime);
+  return [
+    `🔔 ${symbol} ${timeframe} 出現進場訊號${barAt ? `（${formatTime(barAt.toISOString())} 開盤的 K 棒收盤）` : ""}`,
+    "",
+    `方向：${setup.direction === "long" ? "做多" : "做空"}｜型態：${PATTERNS[setup.pattern].label}（${
+      PATTERNS[setup.pattern].entryLabel
+    }）`,
+    `進場 ${fmt(setup.entry)}／停損 ${fmt(setup.stop)}（ATR）`,
+    `1R ${fmt(setup.tp1R)}／1.5R ${fmt(setup.tp1_5R)}`,
+    ...(position ? ["", formatPositionSize(position)] : []),
+    "",
+    `判斷依據：${setup.reason}`,
+    "",
+    "⚠️ 訊號由規則自動判斷，進場前請自己再確認一次。",
+    `不想再收到：「取消關注 ${symbol} ${timeframe}」`,
+  ].join("\n");
+}
+
+// 冷卻中的使用者不推播（連虧三單就先停止）
+async function pushWatchAlert(alert) {
+  const users = await loadUsers();
+  for (const userId of alert.userIds) {
+    const state = users[userId] || {};
+    if (isCoolingDown(state)) {
+      console.log(`[watch] ${userId} 冷卻中，略過 ${alert.symbol} ${alert.timeframe} 訊號`);
+      continue;
+    }
+    await pushToLine(userId, formatWatchAlert(alert, state.account));
+  }
+}
+
+const watchScheduler = createWatchScheduler({
+  feed: priceFeed,
+  loadWatchers,
+  onAlert: pushWatchAlert,
+});
+
+// ------- 模擬單：開單 / 追蹤 / 推播結果 --------
+// 用自己的 feed（重播模式下與關注清單各自前進）
+const paperFeed = createFeedFromEnv({ baseDir: __dirname });
+
+// 模擬單本身不能再模擬；同一筆分析同時只會有一張進行中的模擬單
+async function openPaperTrade(analysis, owner) {
+  if (analysis.source === "paper") return { error: "這已經是模擬單了" };
+  const built = buildPaperTrade(analysis, { owner: ownerFields(owner), genId, startBarTime: null });
+  if (built.error) return built;
+
+  const active = (await loadTrades()).find((t) => isActivePaperTrade(t) && t.analysisId === analysis.id);
+  if (active) return { error: `這筆分析已經有進行中的模擬單 #${shortId(active.id)}` };
+
+  // 從開單當下最後一根已收盤 K 棒之後開始追蹤
+  let candles;
+  try {
+    // peek：重播模式下不要因為找起始 K 棒就讓 feed 前進一根
+    candles = await paperFeed.fetchCandles(analysis.symbol, analysis.timeframe, { limit: 1, peek: true });
+  } catch (e) {
+    return { error: `行情讀取失敗，無法開始模擬：${e.message}` };
+  }
+  const lastBar = candles.length ? candleTime(candles[candles.length - 1].time) : null;
+  const startBarTime = lastBar ? lastBar.toISOString() : null;
+  built.record.paper = { ...built.record.paper, startBarTime, lastBarTime: startBarTime };
+  return { record: await tradeStore.insert(built.record) };
+}
+
+function formatPaperOpened(t) {
+  const id = shortId(t.id);
+  return [
+    `🧪 已開始模擬 #${id}（分析 #${shortId(t.analysisId)}）`,
+    `${t.symbol} ${t.timeframe}｜${t.direction === "long" ? "做多" : "做空"}｜${
+      t.status === "open" ? "市價成交" : "掛單等成交"
+    }`,
+    `進場 ${t.entry}／停損 ${t.stop}／1R ${t.tp1R}／1.5R ${t.tp1_5R}`,
+    "每根 K 棒收盤後追蹤，成交與出場時會通知你；結果只記在 Dashboard 的「模擬」，不算實盤績效。",
+  ].join("\n");
+}
+
+async function pushPaperEvents(t, events) {
+  const to = t.groupId || t.roomId || t.userId;
+  if (!to) return;
+  const ref = `#${shortId(t.id)}`;
+  await pushToLine(to, events.map((e) => formatPaperEvent(t, e, ref)).join("\n\n"));
+}
+
+const paperMonitor = createPaperMonitor({ store: tradeStore, feed: paperFeed, onEvent: pushPaperEvents });
+
 // ------- 啟動 Server --------
+// 日誌讀不進來（檔案損毀 / schema 太新）就不要啟動，避免之後的寫入蓋掉歷史
+try {
+  await tradeStore.init();
+} catch (e) {
+  console.error("❌ 交易日誌載入失敗，請先修復檔案再啟動：", e.message);
+  process.exit(1);
+}
+try {
+  await loadUsers();
+} catch (e) {
+  console.error("❌ 使用者狀態載入失敗，請先修復 users.json 再啟動：", e.message);
+  process.exit(1);
+}
+try {
+  await prompts.init();
+} catch (e) {
+  console.error("❌ prompt 模板載入失敗：", e.message);
+  process.exit(1);
+}
+if (!(await knowledge.load())) {
+  console.warn("⚠️ 尚未建立《獵影策略》PDF 索引（npm run ingest -- <PDF 檔>），教練回答不會附 PDF 出處");
+}
+
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () =>
   console.log("LINE Bot webhook listening on port " + PORT)
 );
+if (process.env.PAPER_ENABLED !== "false") paperMonitor.start();
+if (process.env.WATCH_ENABLED !== "false") {
+  watchScheduler.start();
+  console.log("Watchlist price feed:", priceFeed.name, priceFeed.replay ? "(replay)" : "");
+}
@@ -0,0 +1,362 @@
+// indicators.js
+// 獵影策略的本地指標引擎：由 OHLCV K 棒計算 OBV、OBV 均線、OBV 布林帶與 ATR，
+// 並依教練 prompt（prompts/coach.*.md）的規則判斷「是否盤整」與「OBV 突破布林帶後收回」。
+// 所有數字都在這裡算好，LLM 只負責解說，不負責判斷。
+
+import { detectPattern } from "./patterns.js";
+
+export const DEFAULT_PARAMS = {
+  obvMaPeriod: Number(process.env.OBV_MA_PERIOD) || 20, // OBV 均線 = 布林帶中軌
+  bbMult: Number(process.env.OBV_BB_MULT) || 2,
+  atrPeriod: Number(process.env.ATR_PERIOD) || 14,
+  atrStopMult: Number(process.env.ATR_STOP_MULT) || 1,
+  lookback: Number(process.env.CONSOLIDATION_LOOKBACK) || 30, // 判斷盤整看幾根
+  minCrosses: Number(process.env.CONSOLIDATION_MIN_CROSSES) || 2, // OBV 穿越 MA 的最少次數
+  belowMaBars: Number(process.env.OBV_BELOW_MA_BARS) || 10, // 連續幾根在 MA 之下視為禁用
+};
+
+// ------- K 棒資料解析 --------
+// 支援：
+// - CSV（有無標題列皆可）：time,open,high,low,close,volume
+// - JSON：[{ time, open, high, low, close, volume }]、{ candles: [...] }
+//   或交易所 kline 陣列格式 [[time, open, high, low, close, volume, ...]]
+const COLUMN_ALIASES = {
+  time: ["time", "timestamp", "date", "datetime", "open_time", "opentime", "t"],
+  open: ["open", "o"],
+  high: ["high", "h"],
+  low: ["low", "l"],
+  close: ["close", "c"],
+  volume: ["volume", "vol", "v"],
+};
+
+function toCandle(row) {
+  const candle = {
+    time: row.time ?? null,
+    open: Number(row.open),
+    high: Number(row.high),
+    low: Number(row.low),
+    close: Number(row.close),
+    volume: Number(row.volume ?? 0),
+  };
+  for (const key of ["open", "high", "low", "close", "volume"]) {
+    if (!Number.isFinite(candle[key])) return null;
+  }
+  return candle;
+}
+
+function pickColumns(obj) {
+  const lower = {};
+  for (const [k, v] of Object.entries(obj)) lower[k.trim().toLowerCase()] = v;
+  const row = {};
+  for (const [key, aliases] of Object.entries(COLUMN_ALIASES)) {
+    const hit = aliases.find((a) => lower[a] !== undefined);
+    if (hit) row[key] = lower[hit];
+  }
+  return row;
+}
+
+function arrayToRow(arr) {
+  // 5 欄：open,high,low,close,volume；6 欄以上：time 在最前面
+  if (arr.length === 5) {
+    const [open, high, low, close, volume] = arr;
+    return { open, high, low, close, volume };
+  }
+  const [time, open, high, low, close, volume] = arr;
+  return { time, open, high, low, close, volume };
+}
+
+function parseCsv(text) {
+  const lines = text
+    .split(/\r?\n/)
+    .map((l) => l.trim())
+    .filter(Boolean);
+  if (!lines.length) return [];
+
+  const split = (line) => line.split(/[,;\t]/).map((s) => s.trim().replace(/^"|"$/g, ""));
+  const first = split(lines[0]);
+  const hasHeader = first.some((cell) => Number.isNaN(Number(cell)) && !/^\d{4}-/.test(cell));
+
+  if (hasHeader) {
+    const header = first.map((h) => h.toLowerCase());
+    return lines.slice(1).map((line) => {
+      const cells = split(line);
+      const obj = {};
+      header.forEach((h, i) => (obj[h] = cells[i]));
+      return pickColumns(obj);
+    });
+  }
+  return lines.map((line) => arrayToRow(split(line)));
+}
+
+export function parseCandles(input) {
+  let rows;
+
+  if (typeof input === "string") {
+    const text = input.trim();
+    if (text.startsWith("[") || text.startsWith("{")) {
+      return parseCandles(JSON.parse(text));
+    }
+    rows = parseCsv(text);
+  } else if (Array.isArray(input)) {
+    rows = input.map((item) => (Array.isArray(item) ? arrayToRow(item) : pickColumns(item)));
+  } else if (input && Array.isArray(input.candles)) {
+    return parseCandles(input.candles);
+  } else {
+    throw new Error("無法辨識的 K 棒資料格式");
+  }
+
+  const candles = rows.map(toCandle).filter(Boolean);
+  if (!candles.length) {
+    throw new Error("找不到有效的 OHLCV 資料");
+  }
+  return candles;
+}
+
+// K 棒時間：毫秒 / 秒 timestamp 或日期字串；無法解析回傳 null
+export function candleTime(time) {
+  if (time === null || time === undefined || time === "") return null;
+  const n = Number(time);
+  const d = Number.isFinite(n) ? new Date(n < 1e12 ? n * 1000 : n) : new Date(time);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+// ------- 指標計算 --------
+export function calcOBV(candles) {
+  const obv = [];
+  let acc = 0;
+  candles.forEach((c, i) => {
+    if (i > 0) {
+      const prevClose = candles[i - 1].close;
+      if (c.close > prevClose) acc += c.volume;
+      else if (c.close < prevClose) acc -= c.volume;
+    }
+    obv.push(acc);
+  });
+  return obv;
+}
+
+export function sma(values, period) {
+  const out = [];
+  let sum = 0;
+  values.forEach((v, i) => {
+    sum += v;
+    if (i >= period) sum -= values[i - period];
+    out.push(i >= period - 1 ? sum / period : null);
+  });
+  return out;
+}
+
+export function bollinger(values, period, mult) {
+  const middle = sma(values, period);
+  const upper = [];
+  const lower = [];
+  values.forEach((_, i) => {
+    if (middle[i] === null) {
+      upper.push(null);
+      lower.push(null);
+      return;
+    }
+    const window = values.slice(i - period + 1, i + 1);
+    const variance =
+      window.reduce((acc, v) => acc + (v - middle[i]) ** 2, 0) / period;
+    const sd = Math.sqrt(variance);
+    upper.push(middle[i] + mult * sd);
+    lower.push(middle[i] - mult * sd);
+  });
+  return { middle, upper, lower };
+}
+
+// Wilder 平滑的 ATR
+export function calcATR(candles, period) {
+  const tr = candles.map((c, i) => {
+    if (i === 0) return c.high - c.low;
+    const prevClose = candles[i - 1].close;
+    return Math.max(
+      c.high - c.low,
+      Math.abs(c.high - prevClose),
+      Math.abs(c.low - prevClose)
+    );
+  });
+
+  const atr = [];
+  let prev = null;
+  tr.forEach((v, i) => {
+    if (i < period - 1) {
+      atr.push(null);
+    } else if (i === period - 1) {
+      prev = tr.slice(0, period).reduce((a, b) => a + b, 0) / period;
+      atr.push(prev);
+    } else {
+      prev = (prev * (period - 1) + v) / period;
+      atr.push(prev);
+    }
+  });
+  return atr;
+}
+
+export function computeIndicators(candles, params = DEFAULT_PARAMS) {
+  const obv = calcOBV(candles);
+  const bb = bollinger(obv, params.obvMaPeriod, params.bbMult);
+  const atr = calcATR(candles, params.atrPeriod);
+  return { obv, obvMA: bb.middle, bbUpper: bb.upper, bbLower: bb.lower, atr };
+}
+
+function round(v, digits = 6) {
+  if (typeof v !== "number" || !Number.isFinite(v)) return null;
+  const f = 10 ** digits;
+  return Math.round(v * f) / f;
+}
+
+// ------- 盤整判斷 --------
+// 規則（教練 prompt 第 1 點）：
+// - OBV 在 MA 上下來回、且上下軌都有碰觸 → 盤整
+// - OBV 持續在 MA 之下 → 策略禁用
+// end：只看到第 end - 1 根為止（回測逐根重播用）
+function evaluateRegime(series, params, end = series.obv.length) {
+  const { obv, obvMA, bbUpper, bbLower } = series;
+  const start = Math.max(0, end - params.lookback);
+
+  let crosses = 0;
+  let touchesUpper = 0;
+  let touchesLower = 0;
+  let prevSide = null;
+
+  for (let i = start; i < end; i++) {
+    if (obvMA[i] === null) continue;
+    const side = obv[i] >= obvMA[i] ? 1 : -1;
+    if (prevSide !== null && side !== prevSide) crosses++;
+    prevSide = side;
+    if (obv[i] >= bbUpper[i]) touchesUpper++;
+    if (obv[i] <= bbLower[i]) touchesLower++;
+  }
+
+  let belowMaStreak = 0;
+  for (let i = end - 1; i >= 0 && obvMA[i] !== null; i--) {
+    if (obv[i] < obvMA[i]) belowMaStreak++;
+    else break;
+  }
+
+  let regime = "unknown";
+  if (belowMaStreak >= params.belowMaBars) {
+    regime = "trend";
+  } else if (crosses >= params.minCrosses && touchesUpper > 0 && touchesLower > 0) {
+    regime = "consolidation";
+  } else if (crosses < params.minCrosses) {
+    regime = "trend";
+  }
+
+  return { regime, crosses, touchesUpper, touchesLower, belowMaStreak };
+}
+
+// ------- OBV 突破布林帶 → 下一根收回 --------
+// 前一根 OBV 在帶外、最新一根收回帶內才算成立。
+// 從下軌收回視為做多訊號，從上軌收回視為做空訊號。
+function evaluateBandReentry(series, last = series.obv.length - 1) {
+  const { obv, bbUpper, bbLower } = series;
+  const prev = last - 1;
+  if (prev < 0 || bbUpper[prev] === null || bbUpper[last] === null) {
+    return { broke: null, reentered: false, direction: "none" };
+  }
+
+  const inside = obv[last] < bbUpper[last] && obv[last] > bbLower[last];
+  if (obv[prev] > bbUpper[prev]) {
+    return { broke: "upper", reentered: inside, direction: inside ? "short" : "none" };
+  }
+  if (obv[prev] < bbLower[prev]) {
+    return { broke: "lower", reentered: inside, direction: inside ? "long" : "none" };
+  }
+  return { broke: null, reentered: false, direction: "none" };
+}
+
+// ------- 綜合判斷 --------
+// 回傳格式與 vision JSON 對齊（regime / strategyAllowed / direction / entry / stop / tp1R / tp1_5R / reason），
+// 另外附上 indicators 供紀錄與解說使用。
+export function minBarsFor(params = DEFAULT_PARAMS) {
+  return Math.max(params.obvMaPeriod, params.atrPeriod) + 1;
+}
+
+export function evaluateSetup(candles, params = DEFAULT_PARAMS) {
+  const minBars = minBarsFor(params);
+  if (candles.length < minBars) {
+    throw new Error(`K 棒數量不足，至少需要 ${minBars} 根（目前 ${candles.length} 根）`);
+  }
+  return evaluateSetupAt(candles, computeIndicators(candles, params), candles.length - 1, params);
+}
+
+// 以第 last 根收盤時能看到的資料判斷（series 由 computeIndicators 對整段 K 棒算好；
+// OBV / 均線 / ATR 都只用到過去的 K 棒，所以與只拿前 last + 1 根去算的結果相同）
+export function evaluateSetupAt(candles, series, last, params = DEFAULT_PARAMS) {
+  const regimeInfo = evaluateRegime(series, params, last + 1);
+  const band = evaluateBandReentry(series, last);
+
+  const strategyAllowed = regimeInfo.regime === "consolidation";
+  const direction = strategyAllowed ? band.direction : "none";
+  const atr = series.atr[last];
+  const pattern = detectPattern(candles.slice(Math.max(0, last - 1), last + 1), {
+    direction: direction === "none" ? undefined : direction,
+  });
+
+  let entry = null;
+  let stop = null;
+  let tp1R = null;
+  let tp1_5R = null;
+  if ((direction === "long" || direction === "short") && pattern.pattern !== "none") {
+    const sign = direction === "long" ? 1 : -1;
+    entry = pattern.entryPrice;
+    const risk = atr * params.atrStopMult;
+    stop = entry - sign * risk;
+    tp1R = entry + sign * risk;
+    tp1_5R = entry + sign * risk * 1.5;
+  }
+
+  const reasons = [];
+  if (regimeInfo.regime === "consolidation") {
+    reasons.push(`OBV 近 ${params.lookback} 根穿越 MA ${regimeInfo.crosses} 次，上下軌皆有碰觸，判斷為盤整`);
+  } else if (regimeInfo.belowMaStreak >= params.belowMaBars) {
+    reasons.push(`OBV 已連續 ${regimeInfo.belowMaStreak} 根在 MA 之下，屬策略禁用時期`);
+  } else {
+    reasons.push(`OBV 近 ${params.lookback} 根穿越 MA ${regimeInfo.crosses} 次，未形成來回碰觸布林帶的盤整`);
+  }
+  if (band.broke && band.reentered) {
+    reasons.push(`前一根 OBV 突破布林${band.broke === "upper" ? "上" : "下"}軌，最新一根已收回帶內`);
+  } else if (band.broke) {
+    reasons.push(`OBV 仍在布林${band.broke === "upper" ? "上" : "下"}軌外，尚未收回`);
+  } else {
+    reasons.push("OBV 沒有出現突破布林帶後收回的訊號");
+  }
+  if (pattern.pattern !== "none") {
+    reasons.push(`最後一根收盤 K 棒為${pattern.label}，${pattern.entryLabel}`);
+  } else {
+    reasons.push("最後一根收盤 K 棒不符合三種進場型態");
+  }
+
+  return {
+    regime: regimeInfo.regime,
+    strategyAllowed,
+    direction,
+    pattern: pattern.pattern,
+    entryMethod: pattern.entryMethod,
+    entry: round(entry),
+    stop: round(stop),
+    tp1R: round(tp1R),
+    tp1_5R: round(tp1_5R),
+    reason: reasons.join("；"),
+    indicators: {
+      bars: last + 1,
+      lastTime: candles[last].time,
+      close: candles[last].close,
+      obv: round(series.obv[last], 2),
+      obvMA: round(series.obvMA[last], 2),
+      bbUpper: round(series.bbUpper[last], 2),
+      bbLower: round(series.bbLower[last], 2),
+      atr: round(atr),
+      crosses: regimeInfo.crosses,
+      touchesUpper: regimeInfo.touchesUpper,
+      touchesLower: regimeInfo.touchesLower,
+      belowMaStreak: regimeInfo.belowMaStreak,
+      bandBreak: band.broke,
+      bandReentered: band.reentered,
+      params: { ...params },
+    },
+  };
+}
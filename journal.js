@@ -0,0 +1,221 @@
+// journal.js
+// 交易日誌工具：短編號、結單指令解析、實現 R 計算與績效統計。
+// Dashboard 與 LINE 回覆共用同一套統計邏輯。
+
+export const SHORT_ID_LENGTH = 6;
+
+export function shortId(id = "") {
+  return String(id).slice(0, SHORT_ID_LENGTH);
+}
+
+// 回測（backtest）與模擬單（paper）不是實盤：不算連虧、不進 LINE 上的統計與結單
+export const SIMULATED_SOURCES = ["backtest", "paper"];
+
+export function isSimulated(t) {
+  return SIMULATED_SOURCES.includes(t.source);
+}
+
+// 略過（skipped）的訊號不算未結單
+export function isOpenTrade(t) {
+  return t.status !== "closed" && t.status !== "skipped" && typeof t.r !== "number";
+}
+
+// 可以結單的紀錄：實盤的分析紀錄，且有方向、進場價或停損價其中之一；
+// 純文字提問（source: "text"）與回測 / 模擬單不算，免得「止盈 1.5R」結到一則筆記上
+export function isClosable(t) {
+  if (isSimulated(t) || t.source === "text") return false;
+  return (
+    t.direction === "long" ||
+    t.direction === "short" ||
+    typeof t.entry === "number" ||
+    typeof t.stop === "number"
+  );
+}
+
+// 依短編號（或完整 id 前綴）找紀錄；沒給編號時取最近一筆未結單，
+// 優先挑有明確方向（long / short）的分析紀錄
+export function findTradeByRef(trades, ref) {
+  if (ref) {
+    const key = ref.replace(/^#/, "").toLowerCase();
+    return trades.find((t) => String(t.id).toLowerCase().startsWith(key)) || null;
+  }
+
+  const open = trades
+    .filter(isOpenTrade)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  return (
+    open.find((t) => t.direction === "long" || t.direction === "short") ||
+    open[0] ||
+    null
+  );
+}
+
+// ------- 結單指令解析 --------
+// 支援：
+// - 「結單 <id> +1.2R」「結單 <id> @43000」「平倉 -0.5R」
+// - 「停損 <id>」（-1R）、「止盈 1.5R」（沒給 R 預設 +1R）
+// id 可省略（代表最近一筆未結單），出場價用 @ 標示；
+// 帶有其他文字時不視為指令
+const CLOSE_COMMANDS = {
+  結單: "close",
+  平倉: "close",
+  停損: "stop",
+  止損: "stop",
+  止盈: "target",
+  停利: "target",
+};
+
+export function parseCloseCommand(text = "") {
+  const m = text.trim().match(/^(結單|平倉|停損|止損|止盈|停利)(?:\s+(.*))?$/);
+  if (!m) return null;
+
+  const kind = CLOSE_COMMANDS[m[1]];
+  const rest = (m[2] || "").replace(/@\s+/g, "@").trim();
+  const cmd = { kind, ref: null, r: null, exitPrice: null };
+
+  for (const token of rest.split(/\s+/).filter(Boolean)) {
+    const rMatch = token.match(/^([+-]?\d+(?:\.\d+)?)R$/i);
+    const priceMatch = token.match(/^@(\d+(?:\.\d+)?)$/);
+    if (rMatch) cmd.r = Number(rMatch[1]);
+    else if (priceMatch) cmd.exitPrice = Number(priceMatch[1]);
+    else if (/^#?[0-9a-f]{4,16}$/i.test(token)) cmd.ref = token.replace(/^#/, "");
+    else return null; // 例如「停損 要放哪？」是一般提問，交給教練回答
+  }
+
+  if (kind === "stop" && cmd.r === null && cmd.exitPrice === null) cmd.r = -1;
+  if (kind === "target" && cmd.r === null && cmd.exitPrice === null) cmd.r = 1;
+  if (kind === "target" && cmd.r !== null) cmd.r = Math.abs(cmd.r);
+  if (kind === "stop" && cmd.r !== null) cmd.r = -Math.abs(cmd.r);
+  if (kind === "close" && cmd.r === null && cmd.exitPrice === null) {
+    return { ...cmd, error: "請附上結果，例如「結單 <編號> +1.2R」或「結單 <編號> @43000」" };
+  }
+  return cmd;
+}
+
+function tradeSide(t) {
+  if (t.direction === "long" || t.direction === "short") return t.direction;
+  if (typeof t.entry === "number" && typeof t.stop === "number" && t.entry !== t.stop) {
+    return t.entry > t.stop ? "long" : "short";
+  }
+  return null;
+}
+
+export function calcRealizedR(t, exitPrice) {
+  const side = tradeSide(t);
+  if (!side || typeof t.entry !== "number" || typeof t.stop !== "number") return null;
+  const risk = Math.abs(t.entry - t.stop);
+  if (!risk) return null;
+  const sign = side === "long" ? 1 : -1;
+  return Math.round(((exitPrice - t.entry) / risk) * sign * 100) / 100;
+}
+
+// 依指令算出要寫回紀錄的欄位；資訊不足時回傳 { error }
+export function buildClosePatch(t, cmd, now = new Date()) {
+  let r = cmd.r;
+  let exitPrice = cmd.exitPrice;
+
+  if (r === null && exitPrice !== null) {
+    r = calcRealizedR(t, exitPrice);
+    if (r === null) {
+      return { error: "這筆紀錄沒有進場價 / 停損價，無法用出場價換算 R，請直接給 R 值" };
+    }
+  }
+
+  if (exitPrice === null) {
+    if (cmd.kind === "stop" && r === -1) exitPrice = t.stop ?? null;
+    else if (r === 1) exitPrice = t.tp1R ?? null;
+    else if (r === 1.5) exitPrice = t.tp1_5R ?? null;
+  }
+
+  return {
+    status: "closed",
+    outcome: r > 0 ? "win" : r < 0 ? "loss" : "breakeven",
+    exitPrice,
+    r,
+    closedAt: now.toISOString(),
+  };
+}
+
+// ------- 最近紀錄列表（LINE 用）--------
+const PATTERN_SHORT = {
+  doji: "十字星",
+  body_engulfing: "實體吞沒",
+  wick_engulfing: "影線吞沒",
+};
+
+export function formatRecentTrades(trades, limit = 5) {
+  return trades
+    .slice()
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .slice(0, limit)
+    .map((t) => {
+      const time = new Date(t.createdAt).toLocaleString("zh-TW", {
+        timeZone: process.env.TZ || "Asia/Taipei",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        hour12: false,
+      });
+      const result =
+        typeof t.r === "number"
+          ? `${t.r > 0 ? "+" : ""}${t.r}R`
+          : t.status === "skipped"
+          ? "已略過"
+          : t.enteredAt
+          ? "持倉中"
+          : "未結單";
+      const meta = [
+        t.symbol,
+        t.timeframe,
+        t.direction !== "unknown" ? t.direction : null,
+        PATTERN_SHORT[t.pattern],
+      ]
+        .filter(Boolean)
+        .join(" ");
+      return `#${shortId(t.id)} ${time} ${meta || t.source}｜${result}`;
+    })
+    .join("\n");
+}
+
+// ------- 績效統計 --------
+// 只有有數值 R 的紀錄才算績效，依時間排序後算權益曲線與最大回撤
+export function computeStats(trades) {
+  const numeric = trades
+    .filter((t) => typeof t.r === "number" && !Number.isNaN(t.r))
+    .sort(
+      (a, b) =>
+        new Date(a.closedAt || a.createdAt) - new Date(b.closedAt || b.createdAt)
+    );
+
+  let wins = 0;
+  let sumR = 0;
+  let equity = 0;
+  let maxEquity = 0;
+  let maxDrawdown = 0;
+  for (const t of numeric) {
+    if (t.r > 0) wins++;
+    sumR += t.r;
+    equity += t.r;
+    if (equity > maxEquity) maxEquity = equity;
+    maxDrawdown = Math.max(maxDrawdown, maxEquity - equity);
+  }
+
+  const count = numeric.length;
+  return {
+    count,
+    wins,
+    winRate: count ? wins / count : null,
+    avgR: count ? sumR / count : null,
+    totalR: sumR,
+    maxDrawdown,
+  };
+}
+
+export function formatStats(stats) {
+  if (!stats.count) return "📈 目前還沒有已結單的紀錄。";
+  return [
+    `📈 已結單 ${stats.count} 筆｜勝率 ${(stats.winRate * 100).toFixed(1)}%`,
+    `平均 R ${stats.avgR.toFixed(2)}｜累計 ${stats.totalR.toFixed(2)}R｜最大回撤 ${stats.maxDrawdown.toFixed(2)}R`,
+  ].join("\n");
+}
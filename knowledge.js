@@ -0,0 +1,281 @@
+// knowledge.js
+// 《獵影策略》PDF 檢索：把 PDF 逐頁抽出文字、切段落存成 knowledge-index.json，
+// 教練回答前用 BM25 找出最相關的幾段附進 prompt（見 prompts/grounding.*.md），回覆再標註出處（頁碼 / 章節）。
+// 中文沒有空白斷詞，所以用「字元 bigram」當詞；英文 / 數字以整個字為一詞。
+// 不用 embeddings：目前的 provider 都沒有 embedding API，BM25 在單一本 PDF 的規模已經夠用，也不用連網。
+//
+// CLI：node knowledge.js ingest <獵影策略.pdf> [--out knowledge-index.json] [--chunk 500]
+//      node knowledge.js search "十字星怎麼進場"
+// Server 執行中重新 ingest 也會生效（每次檢索前檢查檔案有沒有更新）。
+
+import "dotenv/config"; // CLI 直接執行時也要在其他模組之前載入 .env
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const KNOWLEDGE_INDEX_PATH = process.env.KNOWLEDGE_INDEX || path.join(__dirname, "knowledge-index.json");
+export const KNOWLEDGE_TOP_K = Number(process.env.KNOWLEDGE_TOP_K) || 3;
+// 最高分低於這個值就當作 PDF 裡沒有相關內容，不附段落
+export const KNOWLEDGE_MIN_SCORE = Number(process.env.KNOWLEDGE_MIN_SCORE) || 1;
+export const CHUNK_CHARS = 500;
+
+const INDEX_VERSION = 1;
+const BM25_K1 = 1.5;
+const BM25_B = 0.75;
+
+// ------- 斷詞 --------
+const CJK = /[\u3400-\u9fff]/;
+// 問句常見的虛詞 bigram，不拿來比對（不然「今天天氣如何」也會找到段落）
+const STOP_BIGRAMS = new Set(["如何", "怎麼", "什麼", "為什", "可以", "是不", "不是", "請問", "我想", "一下", "這個", "那個", "現在", "的話"]);
+
+export function tokenize(text = "") {
+  const tokens = [];
+  for (const [word] of String(text).toLowerCase().matchAll(/[a-z0-9]+(?:\.\d+)?|[\u3400-\u9fff]+/g)) {
+    if (!CJK.test(word)) {
+      tokens.push(word);
+      continue;
+    }
+    if (word.length === 1) tokens.push(word);
+    for (let i = 0; i < word.length - 1; i++) {
+      const bigram = word.slice(i, i + 2);
+      if (!STOP_BIGRAMS.has(bigram)) tokens.push(bigram);
+    }
+  }
+  return tokens;
+}
+
+// ------- 抽取 PDF 文字 --------
+// 回傳 [{ page, text }]；pdfjs 只在 ingest 時載入，Server 啟動不需要
+export async function extractPdfPages(buffer) {
+  const pdfjs = await import("pdfjs-dist/legacy/build/pdf.mjs");
+  const doc = await pdfjs.getDocument({
+    data: new Uint8Array(buffer),
+    isEvalSupported: false,
+    useSystemFonts: true,
+    verbosity: 0,
+  }).promise;
+
+  const pages = [];
+  for (let n = 1; n <= doc.numPages; n++) {
+    const content = await (await doc.getPage(n)).getTextContent();
+    let text = "";
+    let lastY = null;
+    for (const item of content.items) {
+      if (typeof item.str !== "string") continue;
+      const y = item.transform?.[5];
+      // 沒標換行但 y 座標變了，也當作新的一行
+      if (lastY !== null && y !== undefined && Math.abs(y - lastY) > 2 && !text.endsWith("\n")) text += "\n";
+      text += item.str;
+      if (item.hasEOL) text += "\n";
+      lastY = y ?? lastY;
+    }
+    pages.push({ page: n, text });
+  }
+  await doc.destroy();
+  return pages;
+}
+
+// ------- 切段落 --------
+// 章節標題：「第三章 進場」「一、十字星」「2.1 停損」「【風險控管】」
+// 「1. xxx」這種單層編號多半是條列項目，不當標題
+const HEADING_RE = /^(第[一二三四五六七八九十百\d]+[章節篇部]|[一二三四五六七八九十]+[、．]|\d+\.\d+(\.\d+)*\s|【[^】]+】$)/;
+
+function isHeading(line) {
+  return line.length <= 30 && HEADING_RE.test(line);
+}
+
+// 段落不跨頁（出處才能標頁碼）；超過 size 字就切，下一段帶上前一段最後一行當上下文
+export function chunkPages(pages, { size = CHUNK_CHARS } = {}) {
+  const chunks = [];
+  let section = null;
+
+  for (const { page, text } of pages) {
+    let lines = [];
+    let length = 0;
+    let carriedOnly = false; // 目前只有上一段帶過來的那一行
+    let chunkSection = section;
+
+    const flush = (carry) => {
+      const body = lines.join("\n").trim();
+      if (body) chunks.push({ id: chunks.length + 1, page, section: chunkSection, text: body });
+      lines = carry ? [carry] : [];
+      length = carry ? carry.length : 0;
+      carriedOnly = Boolean(carry);
+      chunkSection = section;
+    };
+
+    for (const raw of text.split(/\n+/)) {
+      const line = raw.replace(/\s+/g, " ").trim();
+      if (!line) continue;
+      if (isHeading(line)) {
+        if (length && !carriedOnly) flush(null);
+        else lines = [];
+        section = line;
+        chunkSection = line;
+        length = 0;
+      }
+      lines.push(line);
+      length += line.length;
+      carriedOnly = false;
+      if (length >= size) flush(line);
+    }
+    if (!carriedOnly) flush(null);
+  }
+  return chunks;
+}
+
+export function buildKnowledgeIndex(pages, { source = null, size = CHUNK_CHARS, now = new Date() } = {}) {
+  return {
+    version: INDEX_VERSION,
+    source,
+    pages: pages.length,
+    createdAt: now.toISOString(),
+    chunks: chunkPages(pages, { size }),
+  };
+}
+
+// ------- BM25 --------
+// 讀進來的 index 先算好每段的詞頻與 df
+function prepare(index) {
+  const docs = index.chunks.map((c) => {
+    const tf = new Map();
+    const tokens = tokenize(`${c.section || ""}\n${c.text}`);
+    for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+    return { chunk: c, tf, length: tokens.length };
+  });
+  const df = new Map();
+  for (const d of docs) for (const t of d.tf.keys()) df.set(t, (df.get(t) || 0) + 1);
+  const avgLength = docs.reduce((s, d) => s + d.length, 0) / (docs.length || 1);
+  return { index, docs, df, avgLength };
+}
+
+// 回傳 [{ chunk, score }]，依分數高到低
+export function searchKnowledge(prepared, query, { k = KNOWLEDGE_TOP_K, minScore = KNOWLEDGE_MIN_SCORE } = {}) {
+  const terms = [...new Set(tokenize(query))];
+  const N = prepared.docs.length;
+  if (!terms.length || !N) return [];
+
+  // 至少要對到問題裡兩個詞（問題只有一個詞時一個就好），避免只因一個罕見詞就附上無關段落
+  const minMatched = Math.min(2, terms.length);
+  const scored = prepared.docs.map((d) => {
+    let score = 0;
+    let matched = 0;
+    for (const t of terms) {
+      const f = d.tf.get(t);
+      if (!f) continue;
+      matched++;
+      const n = prepared.df.get(t);
+      const idf = Math.log(1 + (N - n + 0.5) / (n + 0.5));
+      score += (idf * f * (BM25_K1 + 1)) / (f + BM25_K1 * (1 - BM25_B + (BM25_B * d.length) / prepared.avgLength));
+    }
+    return { chunk: d.chunk, score: matched >= minMatched ? Math.round(score * 1000) / 1000 : 0 };
+  });
+  const ranked = scored.filter((s) => s.score > 0).sort((a, b) => b.score - a.score);
+  if (!ranked.length || ranked[0].score < minScore) return [];
+  // 分數不到第一名一半的段落通常只是碰巧有共同字，不附
+  return ranked.filter((s) => s.score >= ranked[0].score / 2).slice(0, k);
+}
+
+// ------- 知識庫（Server 用）--------
+// 每次檢索前看一下 index 檔的修改時間，重新 ingest 後不用重啟；檔案不存在時 search 回傳 []
+export function createKnowledgeBase({ indexPath = KNOWLEDGE_INDEX_PATH } = {}) {
+  let prepared = null;
+  let loadedMtime = null;
+
+  async function load() {
+    let stat;
+    try {
+      stat = await fs.stat(indexPath);
+    } catch (e) {
+      if (e.code !== "ENOENT") console.error("knowledge index stat error:", e.message);
+      prepared = null;
+      loadedMtime = null;
+      return null;
+    }
+    if (stat.mtimeMs === loadedMtime) return prepared;
+    try {
+      const index = JSON.parse(await fs.readFile(indexPath, "utf8"));
+      if (index.version !== INDEX_VERSION || !Array.isArray(index.chunks)) {
+        throw new Error(`格式不符（version ${index.version}），請重新 ingest`);
+      }
+      prepared = prepare(index);
+      loadedMtime = stat.mtimeMs;
+      console.log(`[knowledge] 載入 ${path.basename(indexPath)}：${index.chunks.length} 段（${index.source || "-"}）`);
+    } catch (e) {
+      console.error("[knowledge] 載入失敗：", e.message);
+      prepared = null;
+      loadedMtime = stat.mtimeMs; // 同一份壞檔不要每次都重讀
+    }
+    return prepared;
+  }
+
+  return {
+    load,
+    async search(query, options) {
+      const p = await load();
+      return p ? searchKnowledge(p, query, options) : [];
+    },
+  };
+}
+
+// ------- 組 prompt / 出處 --------
+export function formatCitationLabel(chunk) {
+  const section = chunk.section?.replace(/^【|】$/g, "");
+  return section ? `第 ${chunk.page} 頁・${section}` : `第 ${chunk.page} 頁`;
+}
+
+// 附在問題前的段落，編號 [1] [2]… 給模型引用
+export function formatPassages(hits) {
+  return hits.map((h, i) => `[${i + 1}]（${formatCitationLabel(h.chunk)}）\n${h.chunk.text}`).join("\n\n");
+}
+
+// 回覆最後的出處；模型有用 [n] 標註就只列有引用的，沒有標註就列出全部參考段落
+export function formatSources(reply, hits) {
+  if (!hits.length) return "";
+  const cited = hits.filter((h, i) => reply.includes(`[${i + 1}]`));
+  const list = (cited.length ? cited : hits).map((h) => `[${hits.indexOf(h) + 1}] ${formatCitationLabel(h.chunk)}`);
+  return `📖 ${cited.length ? "出處" : "參考段落"}（《獵影策略》PDF）：${list.join("；")}`;
+}
+
+// ------- CLI --------
+function parseArgs(argv) {
+  const args = { command: argv[0], target: null, out: KNOWLEDGE_INDEX_PATH, chunk: CHUNK_CHARS };
+  for (let i = 1; i < argv.length; i++) {
+    const a = argv[i];
+    if (a.startsWith("--")) args[a.slice(2)] = argv[++i];
+    else args.target = args.target ? `${args.target} ${a}` : a;
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.command === "ingest" && args.target) {
+    const pages = await extractPdfPages(await fs.readFile(args.target));
+    const index = buildKnowledgeIndex(pages, { source: path.basename(args.target), size: Number(args.chunk) || CHUNK_CHARS });
+    if (!index.chunks.length) throw new Error("PDF 沒有抽到文字（掃描檔需要先 OCR）");
+    await fs.writeFile(args.out, JSON.stringify(index, null, 2), "utf8");
+    console.log(`已建立 ${args.out}：${index.pages} 頁、${index.chunks.length} 段`);
+    return;
+  }
+  if (args.command === "search" && args.target) {
+    const kb = createKnowledgeBase({ indexPath: args.out });
+    const hits = await kb.search(args.target);
+    if (!hits.length) console.log("沒有找到相關段落");
+    for (const [i, h] of hits.entries()) {
+      console.log(`\n[${i + 1}] ${formatCitationLabel(h.chunk)}（score ${h.score}）\n${h.chunk.text}`);
+    }
+    return;
+  }
+  console.error('用法：node knowledge.js ingest <獵影策略.pdf> [--out 檔案] [--chunk 500]\n      node knowledge.js search "問題"');
+  process.exit(1);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((e) => {
+    console.error("❌ 知識庫處理失敗：", e.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,169 @@
+// meta.js
+// 圖片分析的商品 / 週期（symbol / timeframe）：
+// - 正規化：「btc/usdt」→ BTCUSDT、「1H」「1小時」→ 1h
+// - 圖片說明：圖片前後傳的「BTCUSDT 15m」在時間窗內會連到那張圖
+// - 待補資料：商品或週期還缺時，紀錄先暫存，等使用者回覆（或逾時）才寫進日誌
+// 暫存都只在記憶體，重啟就清空（暫存中的圖片紀錄會遺失，但卡片已經送出）。
+
+export const CAPTION_WINDOW_SECONDS = Number(process.env.CAPTION_WINDOW_SECONDS) || 120;
+export const PENDING_META_SECONDS = Number(process.env.PENDING_META_SECONDS) || 120;
+
+const QUOTES = ["USDT", "USDC", "BUSD", "USD", "BTC", "ETH"];
+const EXCHANGES = {
+  binance: "Binance",
+  幣安: "Binance",
+  bybit: "Bybit",
+  okx: "OKX",
+  bitget: "Bitget",
+  coinbase: "Coinbase",
+};
+
+// ------- 正規化 --------
+export function normalizeSymbol(v) {
+  if (typeof v !== "string") return null;
+  const s = v
+    .trim()
+    .toUpperCase()
+    .replace(/\.P$|PERP$/, "")
+    .replace(/^[A-Z]+:/, ""); // TradingView 的「BINANCE:BTCUSDT」
+  const m = s.match(/^([A-Z0-9]{2,15})(?:[/\-_ ]?([A-Z]{3,4}))?$/);
+  if (!m) return null;
+  if (m[2] && !QUOTES.includes(m[2])) return null;
+  return m[2] ? `${m[1]}${m[2]}` : m[1];
+}
+
+const TIMEFRAME_UNITS = {
+  m: "m",
+  min: "m",
+  分: "m",
+  分鐘: "m",
+  h: "h",
+  hr: "h",
+  小時: "h",
+  d: "d",
+  日: "d",
+  天: "d",
+  w: "w",
+  週: "w",
+  周: "w",
+};
+
+export function normalizeTimeframe(v) {
+  if (typeof v !== "string" && typeof v !== "number") return null;
+  const m = String(v)
+    .trim()
+    .match(/^(\d{1,3})\s*(min|m|分鐘|分|hr|h|小時|d|日|天|w|週|周)$/i);
+  if (!m || Number(m[1]) <= 0) return null;
+  return `${Number(m[1])}${TIMEFRAME_UNITS[m[2].toLowerCase()]}`;
+}
+
+export function normalizeExchange(v) {
+  if (typeof v !== "string" || !v.trim()) return null;
+  return EXCHANGES[v.trim().toLowerCase()] || null;
+}
+
+// 整段文字都是商品 / 週期 / 交易所時才算「圖片說明」或補資料的回覆，
+// 其他字（例如「BTC 15m 能進場嗎」的問句）會留在 rest
+export function parseMetaTokens(text = "") {
+  const out = { symbol: null, timeframe: null, exchange: null, rest: [] };
+  for (const token of text.trim().split(/[\s,，、]+/).filter(Boolean)) {
+    const tf = normalizeTimeframe(token);
+    const ex = normalizeExchange(token);
+    const sym = normalizeSymbol(token);
+    if (tf && !out.timeframe) out.timeframe = tf;
+    else if (ex && !out.exchange) out.exchange = ex;
+    else if (sym && !out.symbol && /[A-Za-z]/.test(token)) out.symbol = sym;
+    else out.rest.push(token);
+  }
+  return out;
+}
+
+// 依序採用：圖片說明 > 圖上讀到的 > 使用者預設；回傳缺少的欄位
+export function resolveImageMeta({ caption = null, vision = {}, defaults = {} } = {}) {
+  const meta = { exchange: caption?.exchange || vision.exchange || null, metaSource: {} };
+  for (const key of ["symbol", "timeframe"]) {
+    const candidates = [
+      ["caption", caption?.[key]],
+      ["vision", vision[key]],
+      ["default", defaults?.[key]],
+    ];
+    const [source, value] = candidates.find(([, v]) => v) || [null, null];
+    meta[key] = value;
+    meta.metaSource[key] = source;
+  }
+  meta.missing = ["symbol", "timeframe"].filter((k) => !meta[k]);
+  return meta;
+}
+
+// ------- 「設定 商品 BTCUSDT」「設定 週期 15m」--------
+// 不是商品 / 週期的設定回傳 null，交給其他設定處理
+const DEFAULT_KEYS = { 商品: "symbol", symbol: "symbol", 週期: "timeframe", timeframe: "timeframe" };
+
+export function parseDefaultMetaSetting(args = []) {
+  const [rawKey, rawValue] = args;
+  const key = DEFAULT_KEYS[(rawKey || "").toLowerCase()];
+  if (!key) return null;
+  if (["清除", "clear", "none"].includes((rawValue || "").toLowerCase())) {
+    return { patch: { [key]: null } };
+  }
+  const value = key === "symbol" ? normalizeSymbol(rawValue || "") : normalizeTimeframe(rawValue || "");
+  if (!value) {
+    return { error: `「${rawKey}」格式不對，例如「設定 ${rawKey} ${key === "symbol" ? "BTCUSDT" : "15m"}」` };
+  }
+  return { patch: { [key]: value } };
+}
+
+export function formatDefaultMeta(defaults = {}) {
+  if (!defaults?.symbol && !defaults?.timeframe) return "未設定（「設定 商品 BTCUSDT」「設定 週期 15m」）";
+  return `${defaults.symbol || "-"} ${defaults.timeframe || "-"}`;
+}
+
+// ------- 圖片說明（圖片前傳的文字）--------
+const captions = new Map(); // key → { symbol, timeframe, exchange, at }
+
+export function rememberCaption(key, meta, now = Date.now()) {
+  if (!key) return;
+  captions.set(key, { symbol: meta.symbol, timeframe: meta.timeframe, exchange: meta.exchange || null, at: now });
+}
+
+// 取出時間窗內的說明（只用一次）
+export function takeRecentCaption(key, now = Date.now()) {
+  const caption = captions.get(key);
+  captions.delete(key);
+  if (!caption || now - caption.at > CAPTION_WINDOW_SECONDS * 1000) return null;
+  return caption;
+}
+
+// ------- 圖片之後傳的說明 --------
+const lastImages = new Map(); // key → { recordId, at }
+
+export function rememberImage(key, recordId, now = Date.now()) {
+  if (!key) return;
+  lastImages.set(key, { recordId, at: now });
+}
+
+export function takeRecentImage(key, now = Date.now()) {
+  const image = lastImages.get(key);
+  lastImages.delete(key);
+  if (!image || now - image.at > CAPTION_WINDOW_SECONDS * 1000) return null;
+  return image.recordId;
+}
+
+// ------- 待補資料的圖片紀錄 --------
+const pending = new Map(); // key → { record, missing, at }
+
+export function setPendingMeta(key, entry, now = Date.now()) {
+  if (!key) return;
+  pending.set(key, { ...entry, at: now });
+}
+
+export function peekPendingMeta(key) {
+  return pending.get(key) || null;
+}
+
+export function takePendingMeta(key, recordId = null) {
+  const entry = pending.get(key);
+  if (!entry || (recordId && entry.record.id !== recordId)) return null;
+  pending.delete(key);
+  return entry;
+}
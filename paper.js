@@ -0,0 +1,223 @@
+// paper.js
+// 模擬單（paper trading）：把分析給的進場 / 停損 / 1R / 1.5R 開成虛擬部位，
+// 用 price feed（見 feeds.js，可用本機重播檔測試）的收盤 K 棒追蹤到出場，實現 R 寫回紀錄。
+// 模擬單是獨立的 source: "paper" 紀錄（analysisId 指回原本的分析），不算實盤績效與連虧；
+// 出場（或掛單取消）時結果也寫回原本的分析：paperR / paperOutcome，實盤的 r 不動。
+//
+// 狀態：pending（掛單等成交）→ open（持倉）→ closed（停損 / 停利）；掛單太久沒成交 → skipped
+// 成交與出場的判斷和回測相同（見 backtest.js）：同一根同時碰到停損與停利當作先停損。
+
+import { PATTERNS } from "./patterns.js";
+import { candleTime } from "./indicators.js";
+import { touchesEntry, checkExit, EXIT_MODES } from "./backtest.js";
+
+export const PAPER_EXIT_MODE = EXIT_MODES.includes(process.env.PAPER_EXIT_MODE)
+  ? process.env.PAPER_EXIT_MODE
+  : "split";
+export const PAPER_ORDER_BARS = Number(process.env.PAPER_ORDER_BARS) || 5; // 掛單幾根沒成交就取消
+export const PAPER_POLL_SECONDS = Number(process.env.PAPER_POLL_SECONDS) || 30;
+
+const ACTIVE_STATUSES = ["pending", "open"];
+
+export function isActivePaperTrade(t) {
+  return t.source === "paper" && ACTIVE_STATUSES.includes(t.status);
+}
+
+// 分析沒給方向（none / unknown）時，依停損在進場的哪一邊判斷
+export function paperDirection(t) {
+  if (t.direction === "long" || t.direction === "short") return t.direction;
+  if (typeof t.entry !== "number" || typeof t.stop !== "number" || t.entry === t.stop) return null;
+  return t.stop < t.entry ? "long" : "short";
+}
+
+// ------- 開模擬單 --------
+// analysis：原本的分析紀錄；startBarTime：開單當下最後一根已收盤 K 棒的時間（之後的 K 棒才算）
+// 回傳 { record } 或 { error }
+export function buildPaperTrade(analysis, { owner, genId, startBarTime, exit = PAPER_EXIT_MODE, now = new Date() }) {
+  if (!analysis.symbol || !analysis.timeframe) return { error: "這筆分析沒有商品 / 週期，無法追蹤行情" };
+  const direction = paperDirection(analysis);
+  if (typeof analysis.entry !== "number" || typeof analysis.stop !== "number" || !direction) {
+    return { error: "這筆分析沒有完整的進場 / 停損，無法模擬" };
+  }
+  const risk = analysis.entry - analysis.stop;
+  if ((direction === "long" && risk <= 0) || (direction === "short" && risk >= 0)) {
+    return { error: "進場 / 停損與方向矛盾，無法模擬" };
+  }
+
+  const entryMethod = analysis.entryMethod || PATTERNS[analysis.pattern]?.entryMethod || null;
+  const market = entryMethod === "market";
+  const at = now.toISOString();
+  return {
+    record: {
+      id: genId(),
+      source: "paper",
+      analysisId: analysis.id,
+      ...owner,
+      createdAt: at,
+      status: market ? "open" : "pending",
+      enteredAt: market ? at : null,
+      symbol: analysis.symbol,
+      timeframe: analysis.timeframe,
+      regime: analysis.regime ?? null,
+      strategyAllowed: analysis.strategyAllowed ?? null,
+      direction,
+      pattern: analysis.pattern ?? null,
+      entryMethod,
+      entry: analysis.entry,
+      stop: analysis.stop,
+      // 1R / 1.5R 沒給就依進場與停損算
+      tp1R: analysis.tp1R ?? Number((analysis.entry + risk).toFixed(8)),
+      tp1_5R: analysis.tp1_5R ?? Number((analysis.entry + risk * 1.5).toFixed(8)),
+      exitMode: exit,
+      exitPrice: null,
+      exitReason: null,
+      r: null,
+      outcome: null,
+      closedAt: null,
+      paper: { startBarTime, lastBarTime: startBarTime, barsWaited: 0, halfClosed: false },
+    },
+  };
+}
+
+// ------- 推進 --------
+// 用 lastBarTime 之後新收盤的 K 棒推進一筆模擬單；回傳 { patch, events }（沒有變化時 patch 為 null）
+// events：filled / closed / expired
+export function advancePaperTrade(t, candles, { orderBars = PAPER_ORDER_BARS } = {}) {
+  const after = t.paper?.lastBarTime ? new Date(t.paper.lastBarTime).getTime() : -Infinity;
+  const fresh = candles.filter((c) => candleTime(c.time)?.getTime() > after);
+  if (!fresh.length) return { patch: null, events: [] };
+
+  const paper = { ...t.paper };
+  const patch = {};
+  const events = [];
+  let status = t.status;
+  const pos = { direction: t.direction, stop: t.stop, tp1R: t.tp1R, tp1_5R: t.tp1_5R, halfClosed: paper.halfClosed };
+
+  for (const c of fresh) {
+    const barAt = candleTime(c.time).toISOString();
+    paper.lastBarTime = barAt;
+
+    if (status === "pending") {
+      if (!touchesEntry(t.direction, t.entry, c)) {
+        paper.barsWaited++;
+        if (paper.barsWaited >= orderBars) {
+          status = "skipped";
+          Object.assign(patch, { status, exitReason: "expired", skippedAt: barAt });
+          events.push("expired");
+          break;
+        }
+        continue;
+      }
+      status = "open";
+      Object.assign(patch, { status, enteredAt: barAt });
+      events.push("filled");
+      // 成交那一根也可能直接打到停損 / 停利，往下繼續判斷
+    }
+
+    const result = checkExit(pos, c, t.exitMode || PAPER_EXIT_MODE);
+    if (result) {
+      status = "closed";
+      Object.assign(patch, {
+        status,
+        exitPrice: result.exitPrice,
+        exitReason: result.exitReason,
+        r: result.r,
+        outcome: result.r > 0 ? "win" : result.r < 0 ? "loss" : "breakeven",
+        closedAt: barAt,
+      });
+      events.push("closed");
+      break;
+    }
+  }
+
+  paper.halfClosed = pos.halfClosed;
+  return { patch: { ...patch, paper }, events };
+}
+
+// 模擬單結束後寫回原本分析的欄位；還在進行中回傳 null
+export function paperResultPatch(t) {
+  if (t.status !== "closed" && t.status !== "skipped") return null;
+  return {
+    paperId: t.id,
+    paperR: t.status === "closed" ? t.r : null,
+    paperOutcome: t.status === "closed" ? t.outcome : "expired",
+    paperClosedAt: t.closedAt || t.skippedAt || null,
+  };
+}
+
+// ------- 追蹤排程 --------
+// 每輪把進行中的模擬單依商品 / 週期分組，各抓一次 K 棒後推進；
+// onEvent(record, events) 由呼叫端負責推播結果
+export function createPaperMonitor({ store, feed, onEvent, pollSeconds = PAPER_POLL_SECONDS, limit = 500 }) {
+  const lastErrors = new Map(); // 商品 週期 → 上次的錯誤訊息（同樣的錯誤只記一次 log）
+  let timer = null;
+  let running = false;
+
+  async function advanceSeries(key, trades) {
+    const { symbol, timeframe } = trades[0];
+    const candles = await feed.fetchCandles(symbol, timeframe, { limit });
+    for (const t of trades) {
+      const { patch, events } = advancePaperTrade(t, candles);
+      if (!patch) continue;
+      // 寫入前確認狀態沒被別人改過（例如 API 刪除或手動結單）
+      const updated = await store.update(t.id, (current) => (current.status === t.status ? patch : null));
+      if (!updated) continue;
+      const result = paperResultPatch(updated);
+      if (result && updated.analysisId) await store.update(updated.analysisId, () => result);
+      if (events.length) await onEvent(updated, events);
+    }
+  }
+
+  async function tick() {
+    if (running) return;
+    running = true;
+    try {
+      const groups = new Map();
+      for (const t of (await store.list()).filter(isActivePaperTrade)) {
+        const key = `${t.symbol} ${t.timeframe}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(t);
+      }
+      for (const [key, trades] of groups) {
+        try {
+          await advanceSeries(key, trades);
+          lastErrors.delete(key);
+        } catch (e) {
+          if (lastErrors.get(key) !== e.message) console.error(`[paper] ${key} 追蹤失敗：`, e.message);
+          lastErrors.set(key, e.message);
+        }
+      }
+    } finally {
+      running = false;
+    }
+  }
+
+  return {
+    tick,
+    start() {
+      if (timer) return;
+      timer = setInterval(() => tick().catch((e) => console.error("[paper] tick error:", e.message)), pollSeconds * 1000);
+      tick().catch((e) => console.error("[paper] tick error:", e.message));
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+}
+
+// ------- LINE 文字 --------
+const EXIT_REASON_LABELS = { stop: "停損", target: "停利" };
+
+export function formatPaperEvent(t, event, ref) {
+  if (event === "filled") return `🧪 模擬單 ${ref} 已成交：${t.direction === "long" ? "做多" : "做空"} @ ${t.entry}`;
+  if (event === "expired") {
+    return `🧪 模擬單 ${ref} 掛單 ${PAPER_ORDER_BARS} 根 K 棒都沒成交（${t.entry}），已取消。`;
+  }
+  const sign = t.r > 0 ? "+" : "";
+  return [
+    `🧪 模擬單 ${ref} ${EXIT_REASON_LABELS[t.exitReason] || "出場"}：${sign}${t.r}R`,
+    `${t.symbol} ${t.timeframe}｜進場 ${t.entry} → 出場 ${t.exitPrice}`,
+    t.exitMode === "split" ? "（出場方式：一半 1R、一半 1.5R）" : `（出場方式：${t.exitMode} 全出）`,
+  ].join("\n");
+}
@@ -0,0 +1,156 @@
+// patterns.js
+// 獵影策略三種進場 K 棒型態的規則判斷（十字星 / 實體吞沒 / 影線吞沒），
+// 以及各型態對應的進場方式：市價、實體 0.5 斐波那契、SNR 水平。
+
+export const DOJI_MAX_BODY_PCT = Number(process.env.DOJI_MAX_BODY_PCT) || 0.05; // 實體 ≤ 0.05%
+
+export const PATTERNS = {
+  doji: { label: "十字星", entryMethod: "market", entryLabel: "市價進場" },
+  body_engulfing: {
+    label: "實體吞沒",
+    entryMethod: "fib_0.5",
+    entryLabel: "實體 0.5 斐波那契掛單",
+  },
+  wick_engulfing: {
+    label: "影線吞沒",
+    entryMethod: "snr",
+    entryLabel: "SNR 水平掛單",
+  },
+  none: { label: "無", entryMethod: null, entryLabel: "不符合進場型態" },
+};
+
+const PATTERN_ALIASES = {
+  doji: ["doji", "十字星"],
+  body_engulfing: ["body_engulfing", "engulfing", "實體吞沒"],
+  wick_engulfing: ["wick_engulfing", "shadow_engulfing", "影線吞沒"],
+  none: ["none", "無", "都不是", "unknown"],
+};
+
+// 把模型或使用者給的型態名稱統一成 PATTERNS 的 key，無法辨識回傳 null
+export function normalizePattern(value) {
+  if (typeof value !== "string") return null;
+  const v = value.trim().toLowerCase();
+  for (const [key, aliases] of Object.entries(PATTERN_ALIASES)) {
+    if (aliases.includes(v)) return key;
+  }
+  return null;
+}
+
+function bodyTop(c) {
+  return Math.max(c.open, c.close);
+}
+
+function bodyBottom(c) {
+  return Math.min(c.open, c.close);
+}
+
+function isDoji(c) {
+  const body = bodyTop(c) - bodyBottom(c);
+  const bodyPct = c.open ? (body / c.open) * 100 : Infinity;
+  const upper = c.high - bodyTop(c);
+  const lower = bodyBottom(c) - c.low;
+  // 上下影線都要「明顯」：比實體長，且各占整根 K 棒至少 1/4
+  const range = c.high - c.low;
+  return (
+    bodyPct <= DOJI_MAX_BODY_PCT &&
+    range > 0 &&
+    upper > body &&
+    lower > body &&
+    upper >= range * 0.25 &&
+    lower >= range * 0.25
+  );
+}
+
+function isBodyEngulfing(c, prev) {
+  const body = bodyTop(c) - bodyBottom(c);
+  const prevBody = bodyTop(prev) - bodyBottom(prev);
+  return (
+    body > prevBody &&
+    bodyTop(c) >= bodyTop(prev) &&
+    bodyBottom(c) <= bodyBottom(prev)
+  );
+}
+
+// 影線吞沒：做多看下影線是否刺穿前一根低點，做空看上影線是否超過前一根高點；
+// 沒有指定方向時，哪一邊超出就用哪一邊（兩邊都超出則看收盤方向）
+function wickEngulfingBias(c, prev, direction) {
+  const sweptLow = c.low < prev.low;
+  const sweptHigh = c.high > prev.high;
+  if (direction === "long") return sweptLow ? "long" : null;
+  if (direction === "short") return sweptHigh ? "short" : null;
+  if (sweptLow && sweptHigh) return c.close >= c.open ? "long" : "short";
+  if (sweptLow) return "long";
+  if (sweptHigh) return "short";
+  return null;
+}
+
+// ------- 判斷最後一根「已收盤」K 棒 --------
+// candles：由舊到新，最後一根若帶 closed === false 會被略過。
+// options.direction：由 OBV 訊號得到的方向（long / short），用來決定影線吞沒看哪一邊。
+// options.snrLevel：若使用者自己標好了 SNR 水平，影線吞沒就用它當進場價。
+export function detectPattern(candles, options = {}) {
+  const closed =
+    candles.length && candles[candles.length - 1].closed === false
+      ? candles.slice(0, -1)
+      : candles;
+
+  const result = (pattern, extra = {}) => ({
+    pattern,
+    label: PATTERNS[pattern].label,
+    entryMethod: PATTERNS[pattern].entryMethod,
+    entryLabel: PATTERNS[pattern].entryLabel,
+    entryPrice: null,
+    bias: null,
+    ...extra,
+  });
+
+  if (closed.length < 2) return result("none");
+
+  const c = closed[closed.length - 1];
+  const prev = closed[closed.length - 2];
+  const direction = options.direction;
+
+  if (isDoji(c)) {
+    return result("doji", { entryPrice: c.close, bias: direction || null });
+  }
+
+  if (isBodyEngulfing(c, prev)) {
+    const bias = c.close > c.open ? "long" : "short";
+    if (!direction || direction === bias) {
+      return result("body_engulfing", {
+        entryPrice: Number(((c.open + c.close) / 2).toFixed(8)),
+        bias,
+      });
+    }
+  }
+
+  const wickBias = wickEngulfingBias(c, prev, direction);
+  if (wickBias) {
+    // 預設 SNR：前一根實體邊緣（做多取實體下緣、做空取實體上緣）
+    const snr =
+      typeof options.snrLevel === "number"
+        ? options.snrLevel
+        : wickBias === "long"
+        ? bodyBottom(prev)
+        : bodyTop(prev);
+    return result("wick_engulfing", { entryPrice: snr, bias: wickBias });
+  }
+
+  return result("none");
+}
+
+// ------- 從文字裡抓 OHLC 數據 --------
+// 使用者可以直接貼幾行「開 高 低 收 (量)」，由舊到新，一行一根。
+export function extractCandlesFromText(text = "") {
+  const rows = [];
+  for (const line of text.split(/\r?\n/)) {
+    const nums = (line.match(/-?\d+(?:\.\d+)?/g) || []).map(Number);
+    if (nums.length === 4 || nums.length === 5) {
+      const [open, high, low, close, volume = 0] = nums;
+      if (high >= Math.max(open, close) && low <= Math.min(open, close)) {
+        rows.push({ open, high, low, close, volume });
+      }
+    }
+  }
+  return rows.length >= 2 ? rows : null;
+}
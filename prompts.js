@@ -0,0 +1,179 @@
+// prompts.js
+// Prompt 版本管理：模板放在 prompts/<id>.<version>.md（例如 coach.v2.md），開頭可用 front matter 寫說明：
+//   ---
+//   description: 這個版本改了什麼
+//   ---
+// 模板裡的 {{變數}} 在送出前代入：策略參數（見 strategyVars）以及呼叫端帶入的執行期資料（例如 explain 的 setup）。
+// 預設使用的版本寫在 prompts/active.json（沒寫的用最新版）；管理員用 /api/prompts 切換的版本
+// 另外存在 prompt-versions.json，蓋過預設值，重啟後仍有效、不用改程式。
+
+import fs from "fs/promises";
+import path from "path";
+import { DEFAULT_PARAMS } from "./indicators.js";
+import { DOJI_MAX_BODY_PCT } from "./patterns.js";
+import { LOSS_STREAK_LIMIT, COOLDOWN_MINUTES } from "./cooldown.js";
+import { createQueue, writeFileAtomic } from "./store.js";
+
+const FILE_RE = /^([a-z][\w-]*)\.(v\d+)\.md$/;
+const VAR_RE = /\{\{\s*(\w+)\s*\}\}/g;
+
+// 模板可用的策略參數（跟著 env 設定走，改參數不用改 prompt）
+export function strategyVars() {
+  return {
+    ...DEFAULT_PARAMS,
+    dojiMaxBodyPct: DOJI_MAX_BODY_PCT,
+    lossStreakLimit: LOSS_STREAK_LIMIT,
+    cooldownMinutes: COOLDOWN_MINUTES,
+  };
+}
+
+function versionNumber(version) {
+  return Number(version.slice(1));
+}
+
+// ------- 模板 --------
+export function parsePromptFile(text) {
+  const m = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  const meta = {};
+  if (m) {
+    for (const line of m[1].split(/\r?\n/)) {
+      const i = line.indexOf(":");
+      if (i > 0) meta[line.slice(0, i).trim()] = line.slice(i + 1).trim();
+    }
+  }
+  const body = (m ? text.slice(m[0].length) : text).trim();
+  const variables = [...new Set([...body.matchAll(VAR_RE)].map((v) => v[1]))];
+  return { description: meta.description || null, body, variables };
+}
+
+// strict：缺變數就丟錯（送給模型時）；否則保留 {{變數}} 原樣（預覽時）
+export function renderTemplate(body, vars = {}, { strict = true } = {}) {
+  const missing = [];
+  const text = body.replace(VAR_RE, (whole, name) => {
+    if (vars[name] === undefined || vars[name] === null) {
+      missing.push(name);
+      return whole;
+    }
+    return String(vars[name]);
+  });
+  if (strict && missing.length) throw new Error(`缺少變數：${[...new Set(missing)].join(", ")}`);
+  return { text, missing: [...new Set(missing)] };
+}
+
+// ------- Registry --------
+// dir：模板資料夾；statePath：管理員切換的版本存哪（不存在就只用 prompts/active.json）
+export function createPromptRegistry({ dir, statePath, vars = strategyVars() }) {
+  let prompts = new Map(); // id → { versions: Map(version → template), defaultVersion }
+  let overrides = {}; // id → version（管理員切換的）
+  const enqueue = createQueue(); // 同時切換兩個 prompt 時不要互相蓋掉
+
+  async function readJson(file) {
+    try {
+      const data = JSON.parse(await fs.readFile(file, "utf8"));
+      return data && typeof data === "object" && !Array.isArray(data) ? data : {};
+    } catch (e) {
+      if (e.code === "ENOENT") return {};
+      throw new Error(`讀取 ${path.basename(file)} 失敗：${e.message}`);
+    }
+  }
+
+  // 讀取全部模板；檔名不對或指定的版本不存在就丟錯（啟動時擋下來）
+  async function init() {
+    const next = new Map();
+    for (const name of (await fs.readdir(dir)).sort()) {
+      if (!name.endsWith(".md")) continue;
+      const m = name.match(FILE_RE);
+      if (!m) throw new Error(`prompt 檔名格式不正確：${name}（應為 <id>.v<數字>.md）`);
+      const [, id, version] = m;
+      if (!next.has(id)) next.set(id, { versions: new Map(), defaultVersion: null });
+      next.get(id).versions.set(version, { version, ...parsePromptFile(await fs.readFile(path.join(dir, name), "utf8")) });
+    }
+
+    const defaults = await readJson(path.join(dir, "active.json"));
+    for (const [id, p] of next) {
+      const latest = [...p.versions.keys()].sort((a, b) => versionNumber(b) - versionNumber(a))[0];
+      p.defaultVersion = defaults[id] || latest;
+      if (!p.versions.has(p.defaultVersion)) throw new Error(`active.json 指定的 ${id}@${p.defaultVersion} 不存在`);
+    }
+
+    // 切換過的版本檔案被刪掉時退回預設，不要讓整個 Bot 起不來
+    const saved = statePath ? await readJson(statePath) : {};
+    overrides = {};
+    for (const [id, version] of Object.entries(saved)) {
+      if (next.get(id)?.versions.has(version)) overrides[id] = version;
+      else console.warn(`⚠️ prompt ${id}@${version} 不存在，改用預設版本`);
+    }
+    prompts = next;
+  }
+
+  function activeVersion(id) {
+    const p = prompts.get(id);
+    return p ? overrides[id] || p.defaultVersion : null;
+  }
+
+  function getTemplate(id, version = activeVersion(id)) {
+    const template = prompts.get(id)?.versions.get(version);
+    if (!template) throw new Error(`找不到 prompt ${id}@${version}`);
+    return template;
+  }
+
+  // 用目前的版本組出要送給模型的文字；回傳 { id, version, text }
+  function render(id, extra = {}) {
+    const template = getTemplate(id);
+    try {
+      return { id, version: template.version, text: renderTemplate(template.body, { ...vars, ...extra }).text };
+    } catch (e) {
+      throw new Error(`prompt ${id}@${template.version} ${e.message}`);
+    }
+  }
+
+  function describe(id) {
+    const p = prompts.get(id);
+    return {
+      id,
+      active: activeVersion(id),
+      defaultVersion: p.defaultVersion,
+      versions: [...p.versions.values()]
+        .sort((a, b) => versionNumber(a.version) - versionNumber(b.version))
+        .map(({ version, description, variables }) => ({ version, description, variables })),
+    };
+  }
+
+  function list() {
+    return [...prompts.keys()].map(describe);
+  }
+
+  // 預覽（沒給 version 就看目前版本）；執行期才有的變數保留 {{變數}}，列在 runtimeVariables
+  function preview(id, version) {
+    const template = getTemplate(id, version || activeVersion(id));
+    const { text, missing } = renderTemplate(template.body, vars, { strict: false });
+    return {
+      id,
+      version: template.version,
+      active: template.version === activeVersion(id),
+      description: template.description,
+      variables: template.variables,
+      runtimeVariables: missing,
+      text,
+    };
+  }
+
+  // version 為 null 時清掉切換紀錄，回到 active.json 的預設；回傳 { prompt } 或 { error }
+  // 寫檔用 writeFileAtomic：寫到一半掛掉也不會留下半個 JSON，下次啟動讀不到切換紀錄
+  function setActive(id, version) {
+    return enqueue(async () => {
+      if (!prompts.has(id)) return { error: `找不到 prompt ${id}` };
+      if (version !== null && !prompts.get(id).versions.has(version)) {
+        return { error: `${id} 沒有 ${version} 這個版本` };
+      }
+      const next = { ...overrides };
+      if (version === null || version === prompts.get(id).defaultVersion) delete next[id];
+      else next[id] = version;
+      if (statePath) await writeFileAtomic(statePath, JSON.stringify(next, null, 2));
+      overrides = next;
+      return { prompt: describe(id) };
+    });
+  }
+
+  return { init, render, list, preview, setActive, has: (id) => prompts.has(id) };
+}
@@ -0,0 +1,287 @@
+// providers.js
+// LLM 供應商抽象層：Gemini、OpenAI 相容 chat-completions（DeepSeek / 本機伺服器）、離線 mock。
+// 每個 provider 提供：
+//   chat({ system, history, prompt, timeout })  → 回覆文字
+//   vision({ prompt, imageBase64, mimeType, timeout }) → 回覆文字
+// 各自處理回應格式，錯誤一律轉成 LLMError，讓上層用 code 決定要怎麼回覆使用者。
+
+import axios from "axios";
+import crypto from "crypto";
+
+export class LLMError extends Error {
+  // code：config | auth | rate_limit | timeout | bad_request | unavailable | empty
+  constructor(code, message, { provider, status, detail } = {}) {
+    super(message);
+    this.name = "LLMError";
+    this.code = code;
+    this.provider = provider;
+    this.status = status ?? null;
+    this.detail = detail ?? null;
+  }
+}
+
+function mapHttpError(provider, err) {
+  if (err instanceof LLMError) return err;
+  const status = err.response?.status;
+  const detail = err.response?.data || err.message;
+
+  if (err.code === "ECONNABORTED" || err.code === "ETIMEDOUT") {
+    return new LLMError("timeout", "模型回應逾時", { provider, detail });
+  }
+  if (status === 401 || status === 403) {
+    return new LLMError("auth", "API 金鑰無效或沒有權限", { provider, status, detail });
+  }
+  if (status === 429) {
+    return new LLMError("rate_limit", "呼叫太頻繁或額度用完", { provider, status, detail });
+  }
+  if (status === 400 || status === 404 || status === 422) {
+    return new LLMError("bad_request", "請求格式或模型名稱有誤", { provider, status, detail });
+  }
+  return new LLMError("unavailable", "模型服務暫時無法使用", { provider, status, detail });
+}
+
+// ------- Gemini --------
+export function createGeminiProvider({ apiKey, model }) {
+  const name = "gemini";
+
+  async function generate(body, timeout) {
+    if (!apiKey) throw new LLMError("config", "尚未設定 GOOGLE_AI_API_KEY", { provider: name });
+
+    const url = `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(
+      model
+    )}:generateContent?key=${encodeURIComponent(apiKey)}`;
+
+    let data;
+    try {
+      const res = await axios.post(url, body, {
+        headers: { "Content-Type": "application/json" },
+        timeout,
+      });
+      data = res.data || {};
+    } catch (err) {
+      throw mapHttpError(name, err);
+    }
+
+    const text =
+      data.candidates?.[0]?.content?.parts
+        ?.map((p) => p.text)
+        .filter(Boolean)
+        .join("") ||
+      data.text ||
+      null;
+    if (!text) {
+      const reason = data.promptFeedback?.blockReason || data.candidates?.[0]?.finishReason;
+      throw new LLMError("empty", "模型沒有回應文字", { provider: name, detail: reason });
+    }
+    return text;
+  }
+
+  return {
+    name,
+    model,
+    chat({ system, history = [], prompt, timeout = 20000 }) {
+      return generate(
+        {
+          ...(system ? { systemInstruction: { parts: [{ text: system }] } } : {}),
+          contents: [
+            ...history.map((turn) => ({ role: turn.role, parts: [{ text: turn.text }] })),
+            { role: "user", parts: [{ text: prompt || "" }] },
+          ],
+        },
+        timeout
+      );
+    },
+    vision({ prompt, imageBase64, mimeType = "image/jpeg", timeout = 30000 }) {
+      return generate(
+        {
+          contents: [
+            {
+              role: "user",
+              parts: [{ text: prompt }, { inlineData: { mimeType, data: imageBase64 } }],
+            },
+          ],
+        },
+        timeout
+      );
+    },
+  };
+}
+
+// ------- OpenAI 相容（DeepSeek、vLLM、Ollama 等）--------
+export function createOpenAICompatibleProvider({ baseUrl, apiKey, model }) {
+  const name = "openai";
+
+  async function complete(messages, timeout) {
+    if (!baseUrl) throw new LLMError("config", "尚未設定 OPENAI_BASE_URL", { provider: name });
+
+    let data;
+    try {
+      const res = await axios.post(
+        `${baseUrl.replace(/\/+$/, "")}/chat/completions`,
+        { model, messages },
+        {
+          headers: {
+            "Content-Type": "application/json",
+            ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+          },
+          timeout,
+        }
+      );
+      data = res.data || {};
+    } catch (err) {
+      throw mapHttpError(name, err);
+    }
+
+    const content = data.choices?.[0]?.message?.content;
+    // 有些伺服器會把 content 回成 [{ type: "text", text }]
+    const text = Array.isArray(content)
+      ? content.map((c) => c.text).filter(Boolean).join("")
+      : content;
+    if (!text) {
+      throw new LLMError("empty", "模型沒有回應文字", {
+        provider: name,
+        detail: data.choices?.[0]?.finish_reason,
+      });
+    }
+    return text;
+  }
+
+  return {
+    name,
+    model,
+    chat({ system, history = [], prompt, timeout = 20000 }) {
+      return complete(
+        [
+          ...(system ? [{ role: "system", content: system }] : []),
+          ...history.map((turn) => ({
+            role: turn.role === "model" ? "assistant" : "user",
+            content: turn.text,
+          })),
+          { role: "user", content: prompt || "" },
+        ],
+        timeout
+      );
+    },
+    vision({ prompt, imageBase64, mimeType = "image/jpeg", timeout = 30000 }) {
+      return complete(
+        [
+          {
+            role: "user",
+            content: [
+              { type: "text", text: prompt },
+              { type: "image_url", image_url: { url: `data:${mimeType};base64,${imageBase64}` } },
+            ],
+          },
+        ],
+        timeout
+      );
+    },
+  };
+}
+
+// ------- Mock（離線測試用，同樣的輸入永遠回同樣的輸出）--------
+export function createMockProvider({ model = "mock" } = {}) {
+  const name = "mock";
+  const digest = (s) => crypto.createHash("sha256").update(s).digest("hex").slice(0, 8);
+
+  return {
+    name,
+    model,
+    async chat({ history = [], prompt }) {
+      return [
+        `（mock 回覆 ${digest(prompt || "")}）`,
+        `收到你的問題：「${(prompt || "").slice(0, 60)}」`,
+        `目前對話脈絡 ${history.length} 則。`,
+        "提醒：一律等 K 棒收盤再判斷，連虧三單就先退出觀望。",
+      ].join("\n");
+    },
+    async vision({ imageBase64 = "" }) {
+      // 依圖片內容決定結果，讓不同圖片有不同但固定的輸出
+      const allowed = parseInt(digest(imageBase64), 16) % 2 === 0;
+      return JSON.stringify({
+        regime: allowed ? "consolidation" : "trend",
+        strategyAllowed: allowed,
+        direction: allowed ? "long" : "none",
+        pattern: allowed ? "doji" : "none",
+        lastCandles: null,
+        r: null,
+        entry: allowed ? 100 : null,
+        stop: allowed ? 98 : null,
+        tp1R: allowed ? 102 : null,
+        tp1_5R: allowed ? 103 : null,
+        reason: `mock 分析 ${digest(imageBase64)}`,
+      });
+    },
+  };
+}
+
+// ------- 錄製 / 重播（評測用，見 eval.js）--------
+// 同樣的 system + history + prompt（圖片再加上圖片內容）算出同一個 key
+export function recordingKey(kind, { system = "", history = [], prompt = "", imageBase64 = "" }) {
+  const image = imageBase64 ? crypto.createHash("sha256").update(imageBase64).digest("hex") : "";
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify({ kind, system, history, prompt, image }))
+    .digest("hex")
+    .slice(0, 24);
+}
+
+// 包住真的 provider，把每次成功的回覆寫進 recordings（key → { kind, provider, model, text, recordedAt }）
+export function createRecordingProvider(inner, recordings) {
+  const record = (kind) => async (args) => {
+    const text = await inner[kind](args);
+    recordings[recordingKey(kind, args)] = {
+      kind,
+      provider: inner.name,
+      model: inner.model,
+      text,
+      recordedAt: new Date().toISOString(),
+    };
+    return text;
+  };
+  return { name: inner.name, model: inner.model, chat: record("chat"), vision: record("vision") };
+}
+
+// 只從 recordings 回覆，不連網；沒錄過的請求丟 unavailable
+export function createReplayProvider(recordings, { model = "replay" } = {}) {
+  const name = "replay";
+  const replay = (kind) => async (args) => {
+    const hit = recordings[recordingKey(kind, args)];
+    if (!hit) throw new LLMError("unavailable", "沒有錄到這個請求的回覆（prompt 或資料集改過就要重錄）", { provider: name });
+    return hit.text;
+  };
+  return { name, model, chat: replay("chat"), vision: replay("vision") };
+}
+
+// ------- 依 env 建立（文字 / 圖片可各自指定）--------
+// LLM_TEXT_PROVIDER / LLM_VISION_PROVIDER：gemini | openai | mock
+// LLM_TEXT_MODEL / LLM_VISION_MODEL：不填就用各 provider 的預設模型
+export function createProvider(kind, { model, env = process.env } = {}) {
+  switch (kind) {
+    case "gemini":
+      return createGeminiProvider({
+        apiKey: env.GOOGLE_AI_API_KEY || "",
+        model: model || env.GOOGLE_AI_MODEL || "gemini-2.5-flash",
+      });
+    case "openai":
+    case "deepseek":
+      return createOpenAICompatibleProvider({
+        baseUrl: env.OPENAI_BASE_URL || "https://api.deepseek.com/v1",
+        apiKey: env.OPENAI_API_KEY || env.DEEPSEEK_API_KEY || "",
+        model: model || env.OPENAI_MODEL || "deepseek-chat",
+      });
+    case "mock":
+      return createMockProvider({ model: model || "mock" });
+    default:
+      throw new Error(`未知的 LLM provider：${kind}`);
+  }
+}
+
+export function createProvidersFromEnv(env = process.env) {
+  const textKind = (env.LLM_TEXT_PROVIDER || "gemini").toLowerCase();
+  const visionKind = (env.LLM_VISION_PROVIDER || textKind).toLowerCase();
+  return {
+    text: createProvider(textKind, { model: env.LLM_TEXT_MODEL, env }),
+    vision: createProvider(visionKind, { model: env.LLM_VISION_MODEL, env }),
+  };
+}
@@ -0,0 +1,54 @@
+// queue.js
+// 程序內的工作佇列：webhook 先回 200，事件再丟進來慢慢跑。
+// - concurrency：同時最多跑幾個工作
+// - 同一個 key（同一個聊天室）的工作依序執行，避免「結單」和下一個提問互相插隊
+// - 佇列滿了就丟掉新工作並記 log，避免記憶體被灌爆
+
+export function createJobQueue({ concurrency = 3, maxPending = 100, name = "jobs" } = {}) {
+  const pending = [];
+  const busyKeys = new Set();
+  let running = 0;
+
+  function next() {
+    while (running < concurrency) {
+      const idx = pending.findIndex((job) => !job.key || !busyKeys.has(job.key));
+      if (idx === -1) return;
+
+      const [job] = pending.splice(idx, 1);
+      running++;
+      if (job.key) busyKeys.add(job.key);
+
+      Promise.resolve()
+        .then(job.fn)
+        .then(job.resolve, (err) => {
+          console.error(`[${name}] job error:`, err?.message || err);
+          job.reject(err);
+        })
+        .finally(() => {
+          running--;
+          if (job.key) busyKeys.delete(job.key);
+          next();
+        });
+    }
+  }
+
+  return {
+    // 回傳的 promise 在工作完成時 resolve；呼叫端通常不用 await
+    push(fn, { key = null } = {}) {
+      if (pending.length >= maxPending) {
+        console.warn(`[${name}] 佇列已滿（${maxPending}），丟棄工作 key=${key}`);
+        return Promise.reject(new Error("queue full"));
+      }
+      return new Promise((resolve, reject) => {
+        pending.push({ fn, key, resolve, reject });
+        next();
+      });
+    },
+    get size() {
+      return pending.length;
+    },
+    get running() {
+      return running;
+    },
+  };
+}
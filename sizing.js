@@ -0,0 +1,108 @@
+// sizing.js
+// 倉位計算：依使用者的帳戶設定（本金、單筆風險、槓桿上限）與分析給出的進場 / 停損，
+// 算出數量、名目價值、所需槓桿與實際風險金額。
+// 獵影策略的重點是「每單虧損固定」，倉位大小由停損距離反推，而不是先決定槓桿。
+
+// 單筆風險超過本金的這個百分比就警示
+export const MAX_RISK_PERCENT = Number(process.env.MAX_RISK_PERCENT) || 2;
+export const DEFAULT_MAX_LEVERAGE = Number(process.env.DEFAULT_MAX_LEVERAGE) || 10;
+
+function round(v, digits = 8) {
+  return Number(Number(v).toPrecision(digits));
+}
+
+// account：{ balance, risk, riskType: "percent" | "amount", maxLeverage }
+export function hasAccount(account) {
+  return Boolean(account && account.balance > 0 && account.risk > 0);
+}
+
+export function calcPositionSize({ entry, stop, account }) {
+  if (!hasAccount(account)) return null;
+  if (typeof entry !== "number" || typeof stop !== "number" || entry <= 0) return null;
+  const stopDistance = Math.abs(entry - stop);
+  if (!stopDistance) return null;
+
+  const { balance } = account;
+  const maxLeverage = account.maxLeverage || DEFAULT_MAX_LEVERAGE;
+  const riskAmount = account.riskType === "percent" ? (balance * account.risk) / 100 : account.risk;
+
+  const quantity = riskAmount / stopDistance;
+  const notional = quantity * entry;
+  const leverage = notional / balance;
+  const riskPercent = (riskAmount / balance) * 100;
+
+  const warnings = [];
+  if (leverage > maxLeverage) {
+    // 槓桿上限內能開的最大倉位，以及對應的實際風險
+    const cappedQty = (balance * maxLeverage) / entry;
+    warnings.push(
+      `所需槓桿 ${round(leverage, 3)}x 超過上限 ${maxLeverage}x：停損太近或風險設太大。` +
+        `上限內最多 ${round(cappedQty, 6)}（風險 ${round(cappedQty * stopDistance, 6)}），寧可少做不要硬上。`
+    );
+  }
+  if (riskPercent > MAX_RISK_PERCENT) {
+    warnings.push(
+      `單筆風險 ${round(riskPercent, 3)}% 超過本金的 ${MAX_RISK_PERCENT}%，連虧三單就是 ${round(riskPercent * 3, 3)}%。`
+    );
+  }
+
+  return {
+    quantity: round(quantity, 6),
+    notional: round(notional, 6),
+    leverage: round(leverage, 3),
+    riskAmount: round(riskAmount, 6),
+    riskPercent: round(riskPercent, 3),
+    stopDistance: round(stopDistance),
+    stopPercent: round((stopDistance / entry) * 100, 3),
+    maxLeverage,
+    warnings,
+  };
+}
+
+export function formatPositionSize(pos) {
+  if (!pos) return "";
+  return [
+    `💰 倉位：數量 ${pos.quantity}｜名目 ${pos.notional}｜槓桿 ${pos.leverage}x`,
+    `停損距離 ${pos.stopPercent}%｜風險 ${pos.riskAmount}（本金 ${pos.riskPercent}%）`,
+    ...pos.warnings.map((w) => `⚠️ ${w}`),
+  ].join("\n");
+}
+
+export function formatAccount(account) {
+  if (!hasAccount(account)) return "尚未設定（輸入「設定 本金 1000」「設定 風險 1%」開始計算倉位）";
+  const risk = account.riskType === "percent" ? `${account.risk}%` : `${account.risk}`;
+  return `本金 ${account.balance}｜單筆風險 ${risk}｜槓桿上限 ${account.maxLeverage || DEFAULT_MAX_LEVERAGE}x`;
+}
+
+// ------- 「設定」指令參數 --------
+// 「設定 本金 1000」「設定 風險 1%」「設定 風險 20」（金額）「設定 槓桿 20」
+// 回傳 { patch }（要合併進 account 的欄位）或 { error }
+const SETTING_KEYS = {
+  本金: "balance",
+  balance: "balance",
+  風險: "risk",
+  risk: "risk",
+  槓桿: "maxLeverage",
+  leverage: "maxLeverage",
+};
+
+const SETTING_EXAMPLES = { balance: "1000", risk: "1%", maxLeverage: "20" };
+
+export function parseAccountSetting(args = []) {
+  const [rawKey, rawValue] = args;
+  const key = SETTING_KEYS[(rawKey || "").toLowerCase()];
+  if (!key) return { error: `不認得的設定「${rawKey}」，可用：本金、風險、槓桿` };
+
+  const m = String(rawValue || "").match(/^(\d+(?:\.\d+)?)(%|x)?$/i);
+  const value = m ? Number(m[1]) : NaN;
+  if (!(value > 0)) {
+    return { error: `「${rawKey}」要接一個正數，例如「設定 ${rawKey} ${SETTING_EXAMPLES[key]}」` };
+  }
+
+  if (key === "risk") {
+    const riskType = m[2] === "%" ? "percent" : "amount";
+    if (riskType === "percent" && value > 100) return { error: "風險百分比不能超過 100%" };
+    return { patch: { risk: value, riskType } };
+  }
+  return { patch: { [key]: value } };
+}
@@ -0,0 +1,318 @@
+// store.js
+// 交易日誌儲存層。取代原本 trades.json 的「整包讀 → push → 整包寫」：
+// - jsonl：append-only 的 trades.jsonl，每行一個操作（put / patch / delete），
+//   所有寫入排進同一條佇列依序執行，定期用「寫暫存檔 → fsync → rename」原子壓縮。
+// - memory：只存在記憶體，給回測 / 測試用。
+// 讀檔遇到損毀會直接丟錯，絕不默默回傳 []（否則下一次寫入會把歷史洗掉）。
+// 第一次啟動時會把舊的 trades.json 轉進 trades.jsonl（trades.json 保留不動當備份）。
+
+import fs from "fs/promises";
+import path from "path";
+
+export const SCHEMA_VERSION = 2;
+
+// ------- schema 遷移 --------
+// key：舊版本號，value：把該版本的紀錄升到下一版
+const MIGRATIONS = {
+  // v0 = 舊 trades.json：沒有 status / userId 等欄位
+  0: (t) => ({
+    ...t,
+    status: t.status || (typeof t.r === "number" ? "closed" : "open"),
+    userId: t.userId ?? null,
+    groupId: t.groupId ?? null,
+    roomId: t.roomId ?? null,
+  }),
+  // v1 → v2：圖片分析把模型預估的 r 當成實現 R 存進去，尚未結單的改放 plannedR
+  1: (t) =>
+    t.source === "image" && t.status === "open" && typeof t.r === "number"
+      ? { ...t, plannedR: t.r, r: null }
+      : t,
+};
+
+export function migrateRecord(record, fromVersion) {
+  let rec = record;
+  for (let v = fromVersion; v < SCHEMA_VERSION; v++) {
+    if (MIGRATIONS[v]) rec = MIGRATIONS[v](rec);
+  }
+  return rec;
+}
+
+// ------- 共用：單一寫入佇列（users.js 也用）--------
+export function createQueue() {
+  let tail = Promise.resolve();
+  return function enqueue(fn) {
+    const run = tail.then(fn);
+    tail = run.catch(() => {});
+    return run;
+  };
+}
+
+function clone(v) {
+  return v === undefined ? undefined : JSON.parse(JSON.stringify(v));
+}
+
+// insert 的 options.dedupeKey：若已有紀錄在該欄位的值相同，就直接回傳舊紀錄（冪等寫入，
+// 例如同一個 webhookEventId 只會留下一筆）
+function findDuplicate(records, record, dedupeKey) {
+  if (!dedupeKey || record[dedupeKey] === null || record[dedupeKey] === undefined) return null;
+  for (const t of records.values()) {
+    if (t[dedupeKey] === record[dedupeKey]) return t;
+  }
+  return null;
+}
+
+// patch 可以是物件，或 (current) => patch 的函式（在佇列裡執行，等於原子的讀改寫）；
+// 函式回傳 null 代表放棄這次更新
+function resolvePatch(current, patch) {
+  return typeof patch === "function" ? patch(clone(current)) : patch;
+}
+
+// ------- 原子寫檔 --------
+export async function writeFileAtomic(filePath, content) {
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  const handle = await fs.open(tmp, "w");
+  try {
+    await handle.writeFile(content, "utf8");
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  await fs.rename(tmp, filePath);
+}
+
+// 寫到一半失敗（磁碟滿、I/O 錯誤）時截回寫入前的長度，不留下半行；
+// 連截斷都失敗就丟出 torn: true 的錯誤，由呼叫端在下一次寫入前重新 compact
+async function appendDurable(filePath, line) {
+  const handle = await fs.open(filePath, "a");
+  try {
+    const { size } = await handle.stat();
+    try {
+      await handle.writeFile(line, "utf8");
+      await handle.datasync();
+    } catch (e) {
+      try {
+        await handle.truncate(size);
+      } catch {
+        e.torn = true;
+      }
+      throw e;
+    }
+  } finally {
+    await handle.close();
+  }
+}
+
+// ------- 記憶體 backend --------
+export function createMemoryTradeStore(initial = []) {
+  const records = new Map(initial.map((t) => [t.id, clone(t)]));
+  const enqueue = createQueue();
+
+  return {
+    backend: "memory",
+    async init() {},
+    async list() {
+      return [...records.values()].map(clone);
+    },
+    async get(id) {
+      return clone(records.get(id)) || null;
+    },
+    insert(record, { dedupeKey = null } = {}) {
+      return enqueue(async () => {
+        if (records.has(record.id)) throw new Error(`紀錄 ${record.id} 已存在`);
+        const dup = findDuplicate(records, record, dedupeKey);
+        if (dup) return clone(dup);
+        records.set(record.id, clone(record));
+        return clone(record);
+      });
+    },
+    update(id, patch) {
+      return enqueue(async () => {
+        const current = records.get(id);
+        if (!current) return null;
+        const p = resolvePatch(current, patch);
+        if (!p) return null;
+        const next = { ...current, ...clone(p) };
+        records.set(id, next);
+        return clone(next);
+      });
+    },
+    remove(id) {
+      return enqueue(async () => records.delete(id));
+    },
+  };
+}
+
+// ------- JSONL backend --------
+export function createJsonlTradeStore({ filePath, legacyJsonPath = null, compactEvery = 500 }) {
+  const records = new Map();
+  const enqueue = createQueue();
+  let opsSinceCompact = 0;
+  let ready = null;
+  let torn = false; // 上次 append 失敗且沒能截斷，檔尾可能有半行
+
+  async function compact() {
+    const lines = [JSON.stringify({ op: "meta", schemaVersion: SCHEMA_VERSION })];
+    for (const t of records.values()) lines.push(JSON.stringify({ op: "put", record: t }));
+    await writeFileAtomic(filePath, lines.join("\n") + "\n");
+    opsSinceCompact = 0;
+  }
+
+  function apply(entry) {
+    if (entry.op === "put") records.set(entry.record.id, entry.record);
+    else if (entry.op === "patch" && records.has(entry.id)) {
+      records.set(entry.id, { ...records.get(entry.id), ...entry.patch });
+    } else if (entry.op === "delete") records.delete(entry.id);
+  }
+
+  async function loadJsonl(raw) {
+    const lines = raw.split("\n");
+    let version = 0;
+    let needsCompact = false;
+
+    lines.forEach((line, i) => {
+      if (!line.trim()) return;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (e) {
+        // 只容許「最後一行」寫到一半（寫入途中 crash），其餘位置損毀一律停下來
+        const isLast = lines.slice(i + 1).every((l) => !l.trim());
+        if (!isLast) {
+          throw new Error(`${path.basename(filePath)} 第 ${i + 1} 行損毀：${e.message}`);
+        }
+        console.warn(`⚠️ ${path.basename(filePath)} 最後一行不完整，已略過`);
+        needsCompact = true;
+        return;
+      }
+      if (entry.op === "meta") version = entry.schemaVersion ?? 0;
+      else apply(entry);
+    });
+
+    if (version > SCHEMA_VERSION) {
+      throw new Error(
+        `${path.basename(filePath)} 的 schema 版本 ${version} 比程式支援的 ${SCHEMA_VERSION} 新`
+      );
+    }
+    if (version < SCHEMA_VERSION) {
+      for (const [id, t] of records) records.set(id, migrateRecord(t, version));
+      needsCompact = true;
+    }
+    if (needsCompact) await compact();
+  }
+
+  async function migrateLegacyJson() {
+    let raw;
+    try {
+      raw = await fs.readFile(legacyJsonPath, "utf8");
+    } catch (e) {
+      if (e.code === "ENOENT") return false;
+      throw e;
+    }
+
+    const data = raw.trim() ? JSON.parse(raw) : [];
+    if (!Array.isArray(data)) {
+      throw new Error(`${path.basename(legacyJsonPath)} 不是陣列，無法轉移`);
+    }
+    for (const t of data) records.set(t.id, migrateRecord(t, 0));
+    await compact();
+    console.log(
+      `已將 ${data.length} 筆紀錄從 ${path.basename(legacyJsonPath)} 轉移到 ${path.basename(filePath)}`
+    );
+    return true;
+  }
+
+  async function doInit() {
+    let raw = null;
+    try {
+      raw = await fs.readFile(filePath, "utf8");
+    } catch (e) {
+      if (e.code !== "ENOENT") throw e;
+    }
+
+    if (raw !== null) {
+      await loadJsonl(raw);
+    } else if (!(legacyJsonPath && (await migrateLegacyJson()))) {
+      await compact(); // 全新檔案，先寫 meta
+    }
+  }
+
+  async function write(entry) {
+    // 檔尾有半行時先用記憶體內容重寫整份，否則新的一行會接在壞行後面，下次載入就變成中間損毀
+    if (torn) {
+      await compact();
+      torn = false;
+    }
+    try {
+      await appendDurable(filePath, JSON.stringify(entry) + "\n");
+    } catch (e) {
+      if (e.torn) torn = true;
+      throw e;
+    }
+    apply(entry);
+    opsSinceCompact++;
+    if (opsSinceCompact >= compactEvery) await compact();
+  }
+
+  const store = {
+    backend: "jsonl",
+    init() {
+      ready = ready || doInit();
+      return ready;
+    },
+    async list() {
+      await store.init();
+      return [...records.values()].map(clone);
+    },
+    async get(id) {
+      await store.init();
+      return clone(records.get(id)) || null;
+    },
+    async insert(record, { dedupeKey = null } = {}) {
+      await store.init();
+      return enqueue(async () => {
+        if (records.has(record.id)) throw new Error(`紀錄 ${record.id} 已存在`);
+        const dup = findDuplicate(records, record, dedupeKey);
+        if (dup) return clone(dup);
+        await write({ op: "put", record });
+        return clone(record);
+      });
+    },
+    async update(id, patch) {
+      await store.init();
+      return enqueue(async () => {
+        const current = records.get(id);
+        if (!current) return null;
+        const p = resolvePatch(current, patch);
+        if (!p) return null;
+        await write({ op: "patch", id, patch: p });
+        return clone(records.get(id));
+      });
+    },
+    async remove(id) {
+      await store.init();
+      return enqueue(async () => {
+        if (!records.has(id)) return false;
+        await write({ op: "delete", id });
+        return true;
+      });
+    },
+    compact() {
+      return enqueue(compact);
+    },
+  };
+  return store;
+}
+
+// ------- 依 env 建立 --------
+// TRADES_STORE：jsonl（預設）| memory
+// TRADES_STORE_PATH：jsonl 檔案位置（預設與 index.js 同目錄的 trades.jsonl）
+export function createTradeStore({ baseDir, env = process.env }) {
+  const kind = (env.TRADES_STORE || "jsonl").toLowerCase();
+  if (kind === "memory") return createMemoryTradeStore();
+  if (kind !== "jsonl") throw new Error(`未知的 TRADES_STORE：${kind}`);
+
+  return createJsonlTradeStore({
+    filePath: env.TRADES_STORE_PATH || path.join(baseDir, "trades.jsonl"),
+    legacyJsonPath: path.join(baseDir, "trades.json"),
+  });
+}
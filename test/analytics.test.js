@@ -0,0 +1,29 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+// 不設 TZ：分組與日期篩選都用預設的 Asia/Taipei，和 Server 本身的時區（CI 多半是 UTC）無關
+delete process.env.TZ;
+const { parseDateBound, filterTrades } = await import("../analytics.js");
+
+test("parseDateBound：只給日期時以 TZ 的午夜為界", () => {
+  assert.equal(parseDateBound("2026-03-01", false).toISOString(), "2026-02-28T16:00:00.000Z");
+  assert.equal(parseDateBound("2026-03-01", true).toISOString(), "2026-03-01T16:00:00.000Z");
+  assert.equal(parseDateBound("2026-12-31", true).toISOString(), "2026-12-31T16:00:00.000Z");
+});
+
+test("parseDateBound：完整時間照原樣，格式錯誤回傳 null", () => {
+  assert.equal(parseDateBound("2026-03-01T05:00:00Z", false).toISOString(), "2026-03-01T05:00:00.000Z");
+  assert.equal(parseDateBound("2026-13-01", false), null);
+  assert.equal(parseDateBound("yesterday", false), null);
+  assert.equal(parseDateBound("", false), null);
+});
+
+test("filterTrades：to 只給日期時包含 TZ 當天整天", () => {
+  const trades = [
+    { id: "early", createdAt: "2026-02-28T15:59:00Z" }, // 台北 2/28 23:59
+    { id: "in", createdAt: "2026-03-01T15:59:00Z" }, // 台北 3/1 23:59
+    { id: "late", createdAt: "2026-03-01T16:00:00Z" }, // 台北 3/2 00:00
+  ];
+  const ids = filterTrades(trades, { from: "2026-03-01", to: "2026-03-01" }).map((t) => t.id);
+  assert.deepEqual(ids, ["in"]);
+});
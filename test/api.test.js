@@ -0,0 +1,52 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { encodeCursor, decodeCursor, parseListQuery, listTrades, isValidApiToken } from "../api.js";
+
+const trades = [
+  { id: "a", createdAt: "2026-01-03T00:00:00Z", r: 1 },
+  { id: "b", createdAt: "2026-01-02T00:00:00Z", r: null },
+  { id: "c", createdAt: "2026-01-02T00:00:00Z", r: -1 },
+  { id: "d", createdAt: null, r: 2 },
+];
+
+test("cursor：編碼後可以還原，亂碼回傳 null", () => {
+  const key = { value: 1767225600000, id: "abc" };
+  assert.deepEqual(decodeCursor(encodeCursor(key)), key);
+  assert.equal(decodeCursor("not-a-cursor"), null);
+  assert.equal(decodeCursor(Buffer.from("[1,2]").toString("base64url")), null);
+});
+
+test("parseListQuery：檢查 sort / order / limit / cursor", () => {
+  assert.deepEqual(parseListQuery({}), { sort: "createdAt", order: "desc", limit: 50, cursor: null, paginate: false });
+  assert.equal(parseListQuery({ limit: "9999" }).limit, 500);
+  assert.ok(parseListQuery({ sort: "note" }).error);
+  assert.ok(parseListQuery({ order: "up" }).error);
+  assert.ok(parseListQuery({ limit: "0" }).error);
+  assert.ok(parseListQuery({ cursor: "xxx" }).error);
+});
+
+test("listTrades：同時間依 id 排，沒有值的排最後，一頁一頁走完不重複也不漏", () => {
+  assert.deepEqual(
+    listTrades(trades, { order: "desc" }).items.map((t) => t.id),
+    ["a", "b", "c", "d"]
+  );
+  assert.deepEqual(
+    listTrades(trades, { sort: "r", order: "asc" }).items.map((t) => t.id),
+    ["c", "a", "d", "b"]
+  );
+
+  const seen = [];
+  let cursor = null;
+  do {
+    const page = listTrades(trades, { limit: 1, cursor: cursor && decodeCursor(cursor), paginate: true });
+    seen.push(...page.items.map((t) => t.id));
+    cursor = page.nextCursor;
+  } while (cursor);
+  assert.deepEqual(seen, ["a", "b", "c", "d"]);
+});
+
+test("isValidApiToken：沒設定 token 時一律拒絕", () => {
+  assert.equal(isValidApiToken("secret", "secret"), true);
+  assert.equal(isValidApiToken("secret", "secreT"), false);
+  assert.equal(isValidApiToken("", ""), false);
+});
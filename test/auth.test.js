@@ -0,0 +1,99 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createAuth, createLoginLimiter, canAccessTrade, scopeQuery, safeNextPath, LOGIN_LINK_MINUTES } from "../auth.js";
+
+test("登入連結只能用一次", () => {
+  const auth = createAuth({ secret: "s" });
+  const token = auth.createLoginToken("U1");
+  assert.equal(auth.redeemLoginToken(token), "U1");
+  assert.equal(auth.redeemLoginToken(token), null);
+});
+
+test("登入連結過期、被竄改或換了 secret 都無效", () => {
+  const auth = createAuth({ secret: "s" });
+  const now = Date.now();
+  const token = auth.createLoginToken("U1", now);
+  assert.equal(auth.redeemLoginToken(token, now + LOGIN_LINK_MINUTES * 60 * 1000 + 1), null);
+
+  const [body, mac] = token.split(".");
+  const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(body, "base64url")), userId: "U2" })).toString("base64url");
+  assert.equal(auth.redeemLoginToken(`${forged}.${mac}`, now), null);
+  assert.equal(createAuth({ secret: "other" }).redeemLoginToken(token, now), null);
+  assert.equal(auth.redeemLoginToken(token, now), "U1");
+});
+
+function fakeReq(headers = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  return { get: (name) => lower[name.toLowerCase()] };
+}
+
+test("authenticate：API token 是管理員；登入連結不能當 session cookie 用", () => {
+  const auth = createAuth({ secret: "s", apiToken: "t" });
+  assert.deepEqual(auth.authenticate(fakeReq({ Authorization: "Bearer t" })), { role: "admin", via: "token" });
+  assert.equal(auth.authenticate(fakeReq({ Authorization: "Bearer x" })), null);
+  const loginToken = auth.createLoginToken("U1");
+  assert.equal(auth.authenticate(fakeReq({ Cookie: `lh_session=${loginToken}` })), null);
+});
+
+test("權限範圍：一般使用者只看得到自己的紀錄", () => {
+  const user = { role: "user", userId: "U1" };
+  assert.equal(canAccessTrade(user, { userId: "U1" }), true);
+  assert.equal(canAccessTrade(user, { userId: null }), false);
+  assert.equal(canAccessTrade({ role: "admin" }, { userId: "U2" }), true);
+  assert.equal(scopeQuery(user, { userId: "U2" }).userId, "U1");
+});
+
+test("safeNextPath：只接受站內路徑", () => {
+  assert.equal(safeNextPath("/dashboard?user=U1"), "/dashboard?user=U1");
+  assert.equal(safeNextPath("//evil.example"), "/dashboard");
+  assert.equal(safeNextPath("https://evil.example"), "/dashboard");
+  assert.equal(safeNextPath("/\\evil.example"), "/dashboard");
+});
+
+function run(middleware, req) {
+  let status = 200;
+  let nextCalled = false;
+  const res = {
+    status(code) {
+      status = code;
+      return { json: () => {} };
+    },
+  };
+  middleware(req, res, () => {
+    nextCalled = true;
+  });
+  return nextCalled ? "next" : status;
+}
+
+test("requireWriteAccess：讀取不限；寫入要 API token，或管理員 session 加 CSRF token", () => {
+  const auth = createAuth({ secret: "s", apiToken: "t" });
+  const guard = auth.requireWriteAccess();
+  const cookie = "lh_session=abc";
+  const csrf = auth.csrfToken(fakeReq({ Cookie: cookie }));
+  const req = (method, principal, headers = {}) => ({ method, principal, ...fakeReq({ Cookie: cookie, ...headers }) });
+
+  assert.equal(run(guard, req("GET", { role: "user", userId: "U1", via: "session" })), "next");
+  assert.equal(run(guard, req("DELETE", { role: "admin", via: "token" })), "next");
+  assert.equal(run(guard, req("PATCH", { role: "user", userId: "U1", via: "session" }, { "X-CSRF-Token": csrf })), 403);
+  assert.equal(run(guard, req("POST", { role: "admin", via: "session" })), 403);
+  assert.equal(run(guard, req("POST", { role: "admin", via: "session" }, { "X-CSRF-Token": "x" })), 403);
+  assert.equal(run(guard, req("POST", { role: "admin", via: "session" }, { "X-CSRF-Token": csrf })), "next");
+  // 換了 session 之後舊的 CSRF token 就不能用
+  assert.equal(
+    run(guard, { method: "POST", principal: { role: "admin", via: "session" }, ...fakeReq({ Cookie: "lh_session=other", "X-CSRF-Token": csrf }) }),
+    403
+  );
+});
+
+test("createLoginLimiter：錯太多次就鎖住，過了時間或登入成功就解除", () => {
+  const limiter = createLoginLimiter({ maxAttempts: 3, windowMinutes: 10 });
+  const now = Date.UTC(2026, 0, 1);
+  for (let i = 0; i < 3; i++) limiter.fail("1.2.3.4", now + i * 1000);
+  assert.equal(limiter.blockedMinutes("1.2.3.4", now + 3000), 10);
+  assert.equal(limiter.blockedMinutes("5.6.7.8", now + 3000), 0);
+  assert.equal(limiter.blockedMinutes("1.2.3.4", now + 10 * 60 * 1000 + 1000), 0);
+
+  for (let i = 0; i < 3; i++) limiter.fail("1.2.3.4", now);
+  limiter.reset("1.2.3.4");
+  assert.equal(limiter.blockedMinutes("1.2.3.4", now), 0);
+});
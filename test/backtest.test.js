@@ -0,0 +1,34 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { checkExit, touchesEntry } from "../backtest.js";
+
+const long = () => ({ direction: "long", entry: 100, stop: 98, tp1R: 102, tp1_5R: 103 });
+const bar = (low, high) => ({ open: 100, high, low, close: 100 });
+
+test("touchesEntry：掛單價有被碰到才成交", () => {
+  assert.equal(touchesEntry("long", 99, bar(98.5, 101)), true);
+  assert.equal(touchesEntry("long", 98, bar(98.5, 101)), false);
+  assert.equal(touchesEntry("short", 101, bar(99, 101)), true);
+});
+
+test("checkExit 1R / 1.5R：同一根同時碰到停損與停利當作先停損", () => {
+  assert.deepEqual(checkExit(long(), bar(97, 104), "1R"), { r: -1, exitPrice: 98, exitReason: "stop" });
+  assert.deepEqual(checkExit(long(), bar(99, 102), "1R"), { r: 1, exitPrice: 102, exitReason: "target" });
+  assert.equal(checkExit(long(), bar(99, 102), "1.5R"), null);
+  assert.deepEqual(checkExit(long(), bar(99, 103), "1.5R"), { r: 1.5, exitPrice: 103, exitReason: "target" });
+});
+
+test("checkExit split：1R 先出一半，剩下的回到進場價算 0R", () => {
+  const pos = long();
+  assert.equal(checkExit(pos, bar(99, 102), "split"), null);
+  assert.equal(pos.halfClosed, true);
+  assert.deepEqual(checkExit(pos, bar(97, 101), "split"), { r: 0, exitPrice: 98, exitReason: "stop" });
+
+  assert.deepEqual(checkExit(long(), bar(99, 103.5), "split"), { r: 1.25, exitPrice: 103, exitReason: "target" });
+});
+
+test("checkExit：做空方向相反", () => {
+  const short = { direction: "short", entry: 100, stop: 102, tp1R: 98, tp1_5R: 97 };
+  assert.deepEqual(checkExit(short, bar(97.5, 101), "1R"), { r: 1, exitPrice: 98, exitReason: "target" });
+  assert.deepEqual(checkExit({ ...short }, bar(99, 102), "1R"), { r: -1, exitPrice: 102, exitReason: "stop" });
+});
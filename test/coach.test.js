@@ -0,0 +1,80 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createCoach, LLM_ERROR_REPLIES } from "../coach.js";
+import { LLMError } from "../providers.js";
+
+// prompts：只回傳模板 id 與代入的變數，方便檢查送給模型的內容
+const prompts = {
+  render: (id, vars = {}) => ({ id, version: "v1", text: `${id}:${JSON.stringify(vars)}` }),
+};
+const noKnowledge = { search: async () => [] };
+
+function visionReplies(...replies) {
+  const calls = [];
+  return {
+    calls,
+    vision: async ({ prompt }) => {
+      calls.push(prompt);
+      const next = replies.shift();
+      if (next instanceof Error) throw next;
+      return next;
+    },
+  };
+}
+
+test("askGeminiText：帶 system 與對話紀錄，錯誤轉成給使用者的訊息", async (t) => {
+  t.mock.method(console, "error", () => {});
+  let sent = null;
+  const coach = createCoach({
+    llm: { text: { name: "fake", chat: async (args) => ((sent = args), "答案") } },
+    prompts,
+    knowledge: noKnowledge,
+  });
+  const history = [{ role: "user", text: "前一題" }];
+  assert.equal(await coach.askGeminiText("十字星怎麼進場", { history }), "答案");
+  assert.equal(sent.system, "coach:{}");
+  assert.equal(sent.prompt, "十字星怎麼進場");
+  assert.deepEqual(sent.history, history);
+
+  const failing = createCoach({
+    llm: { text: { name: "fake", chat: async () => Promise.reject(new LLMError("rate_limit", "429")) } },
+    prompts,
+    knowledge: noKnowledge,
+  });
+  assert.equal(await failing.askGeminiText("hi"), LLM_ERROR_REPLIES.rate_limit);
+});
+
+test("askGeminiText：有 PDF 段落時走 grounding 模板並附出處", async () => {
+  const hit = { chunk: { page: 3, section: "一、十字星", text: "收盤後進場" }, score: 2 };
+  let sent = null;
+  const coach = createCoach({
+    llm: { text: { name: "fake", chat: async (args) => ((sent = args), "依 [1] 進場") } },
+    prompts,
+    knowledge: { search: async () => [hit] },
+  });
+  const answer = await coach.askGeminiText("十字星怎麼進場");
+  assert.match(sent.prompt, /^grounding:/);
+  assert.match(answer, /📖 出處.*第 3 頁・一、十字星/);
+});
+
+test("analyzeImageWithGemini：格式錯誤時附上問題重問一次", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const good = JSON.stringify({ regime: "consolidation", strategyAllowed: true, direction: "long", entry: 100, stop: 98 });
+  const vision = visionReplies("不是 JSON", good);
+  const coach = createCoach({ llm: { vision }, prompts, knowledge: noKnowledge });
+
+  const res = await coach.analyzeImageWithGemini("base64");
+  assert.equal(res.ok, true);
+  assert.equal(res.retried, true);
+  assert.equal(res.data.tp1R, 102);
+  assert.equal(res.prompt.id, "vision");
+  assert.equal(vision.calls.length, 2);
+});
+
+test("analyzeImageWithGemini：provider 錯誤回傳 code，不重試", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const vision = visionReplies(new LLMError("timeout", "逾時"));
+  const coach = createCoach({ llm: { vision: { name: "fake", ...vision } }, prompts, knowledge: noKnowledge });
+  assert.deepEqual(await coach.analyzeImageWithGemini("base64"), { error: "逾時", code: "timeout" });
+  assert.equal(vision.calls.length, 1);
+});
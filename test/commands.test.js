@@ -0,0 +1,53 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { matchCommand, parsePostbackData, attachQuickReply, DEFAULT_QUICK_REPLY } from "../commands.js";
+
+const name = (text) => matchCommand(text)?.name ?? null;
+
+test("matchCommand：斜線指令與整則訊息就是中文別名", () => {
+  assert.deepEqual(matchCommand(" /stats 30 "), { name: "stats", args: ["30"] });
+  assert.equal(name("/HELP"), "help");
+  assert.equal(name("最新"), "last");
+  assert.equal(name("紀錄"), "history");
+  assert.equal(name("設定"), "settings");
+  assert.equal(name("關注"), "watch");
+  assert.deepEqual(matchCommand("/foo bar"), { name: "unknown", args: ["/foo"] });
+});
+
+test("matchCommand：中文別名後面接的是合法參數才當指令", () => {
+  assert.deepEqual(matchCommand("紀錄 10"), { name: "history", args: ["10"] });
+  assert.deepEqual(matchCommand("設定 本金 1000"), { name: "settings", args: ["本金", "1000"] });
+  assert.equal(name("設定 週期 15m"), "settings");
+  assert.deepEqual(matchCommand("關注 BTCUSDT 15m"), { name: "watch", args: ["BTCUSDT", "15m"] });
+  assert.equal(name("取消關注 全部"), "unwatch");
+  assert.equal(name("取消關注 ETHUSDT 1h"), "unwatch");
+  assert.equal(name("模擬進場 #a1b2c3"), "paper");
+});
+
+test("matchCommand：以別名開頭的一般提問交給教練", () => {
+  for (const text of [
+    "最新 BTC 走勢怎麼看？",
+    "最新的 BTC 走勢怎麼看？",
+    "紀錄 要怎麼寫比較好",
+    "設定 停損要怎麼抓？",
+    "關注 這個型態要注意什麼",
+    "取消關注 之後還會通知嗎",
+    "說明 一下十字星",
+    "help me",
+    "停損 要放哪？",
+  ]) {
+    assert.equal(matchCommand(text), null, text);
+  }
+});
+
+test("matchCommand：結單指令帶出解析結果", () => {
+  assert.deepEqual(matchCommand("停損 ab12").close, { kind: "stop", ref: "ab12", r: -1, exitPrice: null });
+  assert.equal(name("結單 ab12 +1.2R"), "close");
+});
+
+test("quick reply 掛在最後一則；postback 資料解析", () => {
+  const messages = attachQuickReply([{ type: "text", text: "a" }, { type: "text", text: "b" }]);
+  assert.equal(messages[0].quickReply, undefined);
+  assert.equal(messages[1].quickReply, DEFAULT_QUICK_REPLY);
+  assert.deepEqual(parsePostbackData("action=enter&id=abc"), { action: "enter", id: "abc" });
+});
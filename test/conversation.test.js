@@ -0,0 +1,46 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  conversationKey,
+  getHistory,
+  appendTurn,
+  setLastAnalysis,
+  clearConversation,
+  CONVERSATION_MAX_TURNS,
+  CONVERSATION_TTL_MINUTES,
+} from "../conversation.js";
+
+test("conversationKey：群組 / 聊天室優先於個人", () => {
+  assert.equal(conversationKey({ userId: "U1", groupId: "G1" }), "G1");
+  assert.equal(conversationKey({ userId: "U1", roomId: "R1" }), "R1");
+  assert.equal(conversationKey({ userId: "U1" }), "U1");
+  assert.equal(conversationKey(), null);
+});
+
+test("只保留最近幾輪，最近一次分析不會被問答擠掉", () => {
+  setLastAnalysis("k1", { prompt: "圖片分析", summary: "做多" });
+  for (let i = 1; i <= CONVERSATION_MAX_TURNS + 2; i++) appendTurn("k1", `問${i}`, `答${i}`);
+
+  const history = getHistory("k1");
+  assert.equal(history.length, 2 + CONVERSATION_MAX_TURNS * 2);
+  assert.deepEqual(history.slice(0, 3), [
+    { role: "user", text: "圖片分析" },
+    { role: "model", text: "做多" },
+    { role: "user", text: "問3" },
+  ]);
+  assert.deepEqual(history.at(-1), { role: "model", text: `答${CONVERSATION_MAX_TURNS + 2}` });
+
+  clearConversation("k1");
+  assert.deepEqual(getHistory("k1"), []);
+  appendTurn(null, "q", "a");
+  assert.deepEqual(getHistory(null), []);
+});
+
+test("閒置超過 TTL 就清空", (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: Date.UTC(2026, 0, 1) });
+  appendTurn("k2", "問", "答");
+  t.mock.timers.tick(CONVERSATION_TTL_MINUTES * 60 * 1000 - 1);
+  assert.equal(getHistory("k2").length, 2);
+  t.mock.timers.tick(2);
+  assert.deepEqual(getHistory("k2"), []);
+});
@@ -0,0 +1,42 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { computeLossStreak, evaluateCooldown, isCoolingDown, LOSS_STREAK_LIMIT, COOLDOWN_MINUTES } from "../cooldown.js";
+
+const now = new Date("2026-01-10T00:00:00Z");
+const closed = (day, r, fields = {}) => ({ userId: "U1", r, closedAt: `2026-01-0${day}T00:00:00Z`, ...fields });
+
+test("computeLossStreak：依結單時間從最新往回數，回測 / 模擬單與別人的單不算", () => {
+  const trades = [
+    closed(4, -1),
+    closed(1, 1),
+    closed(2, -1),
+    closed(3, -0.5),
+    closed(5, -1, { source: "backtest" }),
+    closed(5, -1, { source: "paper" }),
+    closed(5, -1, { userId: "U2" }),
+    { userId: "U1", r: null, closedAt: null },
+  ];
+  assert.deepEqual(computeLossStreak(trades, "U1"), { streak: 3, lastLossAt: "2026-01-04T00:00:00Z" });
+  assert.equal(computeLossStreak(trades, "U1", "2026-01-02T12:00:00Z").streak, 2);
+  assert.equal(computeLossStreak([...trades, closed(6, 0.5)], "U1").streak, 0);
+});
+
+test("evaluateCooldown：連虧到門檻進入冷卻，時間到自動解除並從那時重新計算", () => {
+  const losses = Array.from({ length: LOSS_STREAK_LIMIT }, (_, i) => closed(i + 1, -1));
+
+  const below = evaluateCooldown({}, losses.slice(1), "U1", now);
+  assert.equal(below.patch, null);
+  assert.equal(below.state.lossStreak, LOSS_STREAK_LIMIT - 1);
+
+  const { state, patch } = evaluateCooldown({}, losses, "U1", now);
+  assert.equal(patch.cooldown.streak, LOSS_STREAK_LIMIT);
+  assert.equal(new Date(patch.cooldown.until) - now, COOLDOWN_MINUTES * 60 * 1000);
+  assert.equal(isCoolingDown(state, now), true);
+  assert.equal(evaluateCooldown(state, losses, "U1", now).patch, null);
+
+  const later = new Date(new Date(patch.cooldown.until).getTime() + 1000);
+  assert.equal(isCoolingDown(state, later), false);
+  const resumed = evaluateCooldown(state, losses, "U1", later);
+  assert.deepEqual(resumed.patch, { cooldown: null, resumedAt: patch.cooldown.until });
+  assert.equal(evaluateCooldown(resumed.state, losses, "U1", later).state.lossStreak, 0);
+});
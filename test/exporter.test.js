@@ -0,0 +1,26 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { toCsv } from "../exporter.js";
+
+function cells(trade, columns) {
+  return toCsv([trade], columns).replace(/^\ufeff/, "").split("\r\n")[1];
+}
+
+test("toCsv：= + - @ 開頭的文字補 '，數字不受影響", () => {
+  assert.equal(cells({ note: "=1+1", r: -1.5 }, ["note", "r"]), "'=1+1,-1.5");
+  assert.equal(cells({ note: "@SUM(A1)" }, ["note"]), "'@SUM(A1)");
+  assert.equal(cells({ note: "-0.5" }, ["note"]), "-0.5");
+});
+
+test("toCsv：tags 陣列以 = 開頭時一樣補 '", () => {
+  assert.equal(
+    cells({ tags: ['=HYPERLINK("http://x")', "ok"] }, ["tags"]),
+    `"'=HYPERLINK(""http://x"");ok"`
+  );
+  assert.equal(cells({ tags: ["ok", "=1+1"] }, ["tags"]), "ok;=1+1");
+});
+
+test("toCsv：含逗號、引號、換行的欄位加上引號並跳脫", () => {
+  assert.equal(cells({ note: 'a,"b"\nc' }, ["note"]), '"a,""b""\nc"');
+  assert.match(toCsv([]), /^\ufeffid,source,/);
+});
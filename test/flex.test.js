@@ -0,0 +1,46 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildTradeCard, buildTradeCardAltText, CARD_ACTIONS } from "../flex.js";
+import { parsePostbackData } from "../commands.js";
+
+const record = {
+  id: "abc123",
+  symbol: "BTCUSDT",
+  timeframe: "15m",
+  regime: "consolidation",
+  strategyAllowed: true,
+  direction: "long",
+  pattern: "doji",
+  entry: 100,
+  stop: 98,
+  tp1R: 102,
+  tp1_5R: 103,
+  reason: "盤整中 OBV 收回",
+};
+
+function buttons(card) {
+  return card.contents.footer.contents.filter((c) => c.type === "button").map((b) => parsePostbackData(b.action.data));
+}
+
+test("buildTradeCard：每個按鈕的 action 都在 CARD_ACTIONS 裡，帶著紀錄 id", () => {
+  const actions = buttons(buildTradeCard(record));
+  assert.deepEqual(actions.map((a) => a.action), ["enter", "skip", "paper", "ask"]);
+  assert.deepEqual([...CARD_ACTIONS].sort(), actions.map((a) => a.action).sort());
+  assert.ok(actions.every((a) => a.id === "abc123"));
+});
+
+test("buildTradeCard：策略禁用時不給記錄進場；缺商品或價格時不給模擬進場", () => {
+  const blocked = buildTradeCard({ ...record, strategyAllowed: false, blockedBy: "cooldown" });
+  assert.deepEqual(buttons(blocked).map((a) => a.action), ["skip", "paper", "ask"]);
+  assert.equal(blocked.contents.header.contents[1].text, "⛔ 冷卻中，策略禁用");
+
+  assert.deepEqual(buttons(buildTradeCard({ ...record, symbol: null })).map((a) => a.action), ["enter", "skip", "ask"]);
+  assert.deepEqual(buttons(buildTradeCard({ ...record, entry: null })).map((a) => a.action), ["enter", "skip", "ask"]);
+});
+
+test("buildTradeCardAltText：不支援 Flex 時的純文字，最多 400 字", () => {
+  const alt = buildTradeCardAltText(record);
+  assert.match(alt, /^📊 BTCUSDT 15m\n盤勢 盤整｜策略可用｜做多\n進場 100 停損 98 1R 102 1.5R 103/);
+  assert.equal(buildTradeCardAltText({ ...record, reason: "很長".repeat(300) }).length, 400);
+  assert.equal(buildTradeCard(record).altText, alt);
+});
@@ -0,0 +1,65 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { matchAnalysis, realizedR, importTradeHistory } from "../importer.js";
+import { createMemoryTradeStore } from "../store.js";
+
+const trade = { symbol: "BTCUSDT", direction: "long", openedAt: "2026-01-01T01:00:00Z" };
+
+function analysis(fields = {}) {
+  return {
+    id: fields.source || "a1",
+    source: "image",
+    userId: "U1",
+    status: "open",
+    symbol: "BTCUSDT",
+    direction: "long",
+    createdAt: "2026-01-01T00:30:00Z",
+    ...fields,
+  };
+}
+
+test("matchAnalysis：同商品、方向不衝突、時間窗內的分析", () => {
+  assert.equal(matchAnalysis(trade, [analysis()]).id, "a1");
+  assert.equal(matchAnalysis(trade, [analysis({ direction: "short" })]), null);
+  assert.equal(matchAnalysis(trade, [analysis({ symbol: "ETHUSDT" })]), null);
+  assert.equal(matchAnalysis(trade, [analysis({ createdAt: "2025-12-30T00:00:00Z" })]), null);
+  assert.equal(matchAnalysis(trade, [analysis({ status: "closed" })]), null);
+  assert.equal(matchAnalysis(trade, [analysis()], new Set(["a1"])), null);
+});
+
+test("matchAnalysis：不對應文字提問、回測、模擬單與匯入紀錄", () => {
+  for (const source of ["text", "backtest", "paper", "import"]) {
+    assert.equal(matchAnalysis(trade, [analysis({ source })]), null, source);
+  }
+});
+
+test("realizedR：停損在錯的一側就不算 R", () => {
+  const t = { direction: "long", entry: 100, exit: 104 };
+  assert.equal(realizedR(t, { stop: 98 }), 2);
+  assert.equal(realizedR(t, { stop: 101 }), null);
+  assert.equal(realizedR(t, { stop: null }), null);
+});
+
+const CSV = [
+  "Date(UTC),Symbol,Side,Price,Quantity,Amount,Fee,Realized Profit",
+  "2026-01-01 01:00:00,BTCUSDT,BUY,100,1,100,0,0",
+  "2026-01-01 02:00:00,BTCUSDT,SELL,104,1,104,0,4",
+].join("\n");
+
+test("importTradeHistory：沒有 userId 直接回傳錯誤，不寫入也不對應", async () => {
+  const store = createMemoryTradeStore([analysis({ userId: "U2" })]);
+  const summary = await importTradeHistory(store, CSV, { owner: {}, genId: () => "new" });
+  assert.equal(summary.format, null);
+  assert.match(summary.errors[0], /userId/);
+  assert.equal((await store.list()).length, 1);
+  assert.equal((await store.get("a1")).status, "open");
+});
+
+test("importTradeHistory：只對應匯入者自己的分析", async () => {
+  const store = createMemoryTradeStore([analysis({ userId: "U2", stop: 98 })]);
+  const summary = await importTradeHistory(store, CSV, { owner: { userId: "U1" }, genId: () => "new" });
+  assert.equal(summary.matched, 0);
+  assert.equal(summary.created, 1);
+  assert.equal((await store.get("a1")).status, "open");
+  assert.equal((await store.get("new")).userId, "U1");
+});
@@ -0,0 +1,77 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseCandles,
+  candleTime,
+  calcOBV,
+  sma,
+  bollinger,
+  calcATR,
+  computeIndicators,
+  evaluateSetup,
+  evaluateSetupAt,
+  minBarsFor,
+  DEFAULT_PARAMS,
+} from "../indicators.js";
+
+const c = (close, volume = 10, time = null) => ({ time, open: close, high: close + 1, low: close - 1, close, volume });
+
+test("parseCandles：CSV 有無標題列、JSON 物件與交易所 kline 陣列", () => {
+  const expected = [{ time: "1700000000000", open: 1, high: 2, low: 0.5, close: 1.5, volume: 10 }];
+  assert.deepEqual(parseCandles("Timestamp,Open,High,Low,Close,Vol\n1700000000000,1,2,0.5,1.5,10"), expected);
+  assert.deepEqual(parseCandles("1700000000000;1;2;0.5;1.5;10\n"), expected);
+  assert.deepEqual(parseCandles('{"candles":[{"t":"1700000000000","o":1,"h":2,"l":0.5,"c":1.5,"v":10}]}'), expected);
+  assert.deepEqual(parseCandles([[1700000000000, "1", "2", "0.5", "1.5", "10", 0]]), [{ ...expected[0], time: 1700000000000 }]);
+  assert.deepEqual(parseCandles([[1, 2, 0.5, 1.5, 10]]), [{ ...expected[0], time: null }]);
+});
+
+test("parseCandles：略過壞掉的列，全部無效時丟錯", () => {
+  assert.equal(parseCandles("time,open,high,low,close\n1,1,2,0.5,1.5\n2,x,2,0.5,1.5").length, 1);
+  assert.throws(() => parseCandles("time,open\n1,2"), /找不到有效的 OHLCV/);
+  assert.throws(() => parseCandles(42), /無法辨識/);
+});
+
+test("candleTime：秒、毫秒與日期字串", () => {
+  assert.equal(candleTime(1700000000).getTime(), 1700000000000);
+  assert.equal(candleTime("1700000000000").getTime(), 1700000000000);
+  assert.equal(candleTime("2026-01-01T00:00:00Z").toISOString(), "2026-01-01T00:00:00.000Z");
+  assert.equal(candleTime(""), null);
+  assert.equal(candleTime("not a date"), null);
+});
+
+test("OBV、SMA、布林帶與 Wilder ATR", () => {
+  assert.deepEqual(calcOBV([c(10, 5), c(11, 3), c(11, 7), c(9, 2)]), [0, 3, 3, 1]);
+  assert.deepEqual(sma([1, 2, 3, 4], 2), [null, 1.5, 2.5, 3.5]);
+
+  const bb = bollinger([1, 3, 1, 3], 2, 2);
+  assert.deepEqual(bb.middle, [null, 2, 2, 2]);
+  assert.deepEqual(bb.upper, [null, 4, 4, 4]);
+  assert.deepEqual(bb.lower, [null, 0, 0, 0]);
+
+  // TR：2、3（跳空）、2 → 前兩根平均 2.5，之後 (2.5 * 1 + 2) / 2
+  const candles = [c(10), { open: 12, high: 13, low: 12, close: 12.5, volume: 1 }, c(12)];
+  assert.deepEqual(calcATR(candles, 2), [null, 2.5, 2.25]);
+});
+
+test("evaluateSetup：K 棒不足時丟錯；持續量縮下跌判斷為策略禁用", () => {
+  const need = minBarsFor();
+  assert.throws(() => evaluateSetup(Array.from({ length: need - 1 }, (_, i) => c(100 + i))), new RegExp(`至少需要 ${need} 根`));
+
+  const falling = Array.from({ length: 60 }, (_, i) => c(200 - i, 10 + i));
+  const setup = evaluateSetup(falling);
+  assert.equal(setup.regime, "trend");
+  assert.equal(setup.strategyAllowed, false);
+  assert.equal(setup.direction, "none");
+  assert.equal(setup.entry, null);
+  assert.match(setup.reason, /MA 之下/);
+});
+
+test("evaluateSetupAt：用整段算好的指標判斷第 i 根，與只拿前 i + 1 根結果相同", () => {
+  const candles = Array.from({ length: 80 }, (_, i) => c(100 + 5 * Math.sin(i / 3), 10 + (i % 7) * 3, i));
+  const series = computeIndicators(candles, DEFAULT_PARAMS);
+  for (const last of [30, 55, 79]) {
+    const full = evaluateSetupAt(candles, series, last);
+    const sliced = evaluateSetup(candles.slice(0, last + 1));
+    assert.deepEqual(full, sliced);
+  }
+});
@@ -0,0 +1,62 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parseCloseCommand, findTradeByRef, isClosable, calcRealizedR, buildClosePatch } from "../journal.js";
+
+test("parseCloseCommand：編號、R 值與出場價", () => {
+  assert.deepEqual(parseCloseCommand("結單 a1b2c3 +1.2R"), { kind: "close", ref: "a1b2c3", r: 1.2, exitPrice: null });
+  assert.deepEqual(parseCloseCommand("平倉 #A1B2C3 @ 43000"), { kind: "close", ref: "A1B2C3", r: null, exitPrice: 43000 });
+  assert.equal(parseCloseCommand("停損").r, -1);
+  assert.equal(parseCloseCommand("止盈 -1.5R").r, 1.5);
+  assert.equal(parseCloseCommand("停損 2R").r, -2);
+});
+
+test("parseCloseCommand：一般提問不當指令，結單沒給結果回傳 error", () => {
+  assert.equal(parseCloseCommand("停損 要放哪？"), null);
+  assert.equal(parseCloseCommand("結單了嗎"), null);
+  assert.ok(parseCloseCommand("結單 a1b2c3").error);
+});
+
+test("isClosable：文字提問、回測、模擬單與沒有價位的紀錄不能結單", () => {
+  assert.equal(isClosable({ source: "text", direction: "long" }), false);
+  assert.equal(isClosable({ source: "paper", direction: "long", entry: 1, stop: 0.9 }), false);
+  assert.equal(isClosable({ source: "backtest", direction: "short" }), false);
+  assert.equal(isClosable({ source: "image", direction: "unknown" }), false);
+  assert.equal(isClosable({ source: "image", direction: "long" }), true);
+  assert.equal(isClosable({ source: "candles", direction: "none", stop: 98 }), true);
+});
+
+test("findTradeByRef：沒給編號時不會結到較新的文字筆記", () => {
+  const trades = [
+    { id: "aaa111", source: "image", direction: "long", entry: 100, stop: 98, status: "open", createdAt: "2026-01-01T00:00:00Z" },
+    { id: "bbb222", source: "text", direction: "unknown", status: "open", createdAt: "2026-01-02T00:00:00Z" },
+  ];
+  assert.equal(findTradeByRef(trades.filter(isClosable), null).id, "aaa111");
+  assert.equal(findTradeByRef(trades.filter(isClosable), "bbb2"), null);
+  assert.equal(findTradeByRef(trades, "#BBB2").id, "bbb222");
+});
+
+test("findTradeByRef：略過已結單與已略過的紀錄", () => {
+  const trades = [
+    { id: "c1", direction: "long", status: "closed", r: 1, createdAt: "2026-01-03T00:00:00Z" },
+    { id: "c2", direction: "short", status: "skipped", createdAt: "2026-01-02T00:00:00Z" },
+    { id: "c3", direction: "short", status: "open", createdAt: "2026-01-01T00:00:00Z" },
+  ];
+  assert.equal(findTradeByRef(trades, null).id, "c3");
+});
+
+test("calcRealizedR / buildClosePatch：用出場價換算 R", () => {
+  const t = { direction: "long", entry: 100, stop: 98, tp1R: 102 };
+  assert.equal(calcRealizedR(t, 103), 1.5);
+  assert.equal(calcRealizedR({ direction: "short", entry: 100, stop: 102 }, 104), -2);
+  assert.equal(calcRealizedR({ direction: "long", entry: 100 }, 103), null);
+
+  const now = new Date("2026-01-01T00:00:00Z");
+  assert.deepEqual(buildClosePatch(t, { kind: "target", r: 1, exitPrice: null }, now), {
+    status: "closed",
+    outcome: "win",
+    exitPrice: 102,
+    r: 1,
+    closedAt: now.toISOString(),
+  });
+  assert.ok(buildClosePatch({ direction: "long" }, { kind: "close", r: null, exitPrice: 5 }).error);
+});
@@ -0,0 +1,70 @@
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { tokenize, chunkPages, buildKnowledgeIndex, createKnowledgeBase, formatSources } from "../knowledge.js";
+
+test("tokenize：中文切 bigram 並略過虛詞，英文數字整個字", () => {
+  assert.deepEqual(tokenize("十字星怎麼進場"), ["十字", "字星", "星怎", "麼進", "進場"]);
+  assert.deepEqual(tokenize("OBV 1.5R"), ["obv", "1.5", "r"]);
+});
+
+test("chunkPages：依章節標題切段，段落不跨頁並記下章節", () => {
+  const pages = [
+    { page: 1, text: "前言\n第一章 盤整\n盤整時 OBV 在均線上下震盪。\n1. 這是條列不是標題" },
+    { page: 2, text: "布林帶來回碰觸。\n【風險控管】\n連虧三單就停止。" },
+  ];
+  const chunks = chunkPages(pages);
+  assert.deepEqual(
+    chunks.map((c) => [c.page, c.section]),
+    [
+      [1, null],
+      [1, "第一章 盤整"],
+      [2, "第一章 盤整"],
+      [2, "【風險控管】"],
+    ]
+  );
+  assert.ok(chunks[1].text.includes("1. 這是條列不是標題"));
+});
+
+test("chunkPages：超過長度就切，下一段帶上前一段最後一行", () => {
+  const text = Array.from({ length: 6 }, (_, i) => `第${i}行`.padEnd(20, "字")).join("\n");
+  const chunks = chunkPages([{ page: 1, text }], { size: 40 });
+  assert.ok(chunks.length > 1);
+  const firstLines = chunks[0].text.split("\n");
+  assert.equal(chunks[1].text.split("\n")[0], firstLines[firstLines.length - 1]);
+});
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), "knowledge-"));
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+const indexPath = path.join(dir, "knowledge-index.json");
+await fs.writeFile(
+  indexPath,
+  JSON.stringify(
+    buildKnowledgeIndex([
+      { page: 3, text: "一、十字星\n十字星收盤後，下一根突破高點進場，停損放在十字星低點。" },
+      { page: 5, text: "二、吞沒\n實體吞沒在斐波那契 0.5 掛單進場。" },
+      { page: 9, text: "【風險控管】\n連續虧損三單就停止交易，冷卻後再回來。" },
+    ])
+  )
+);
+const book = createKnowledgeBase({ indexPath });
+
+test("search：BM25 找到相關段落", async () => {
+  assert.equal((await book.search("十字星怎麼進場", { minScore: 0 }))[0].chunk.page, 3);
+  assert.equal((await book.search("連虧三單要停止嗎", { minScore: 0 }))[0].chunk.page, 9);
+});
+
+test("search：無關問題不附段落，沒有 index 檔回傳空陣列", async () => {
+  assert.deepEqual(await book.search("今天天氣如何"), []);
+  assert.deepEqual(await book.search(""), []);
+  assert.deepEqual(await createKnowledgeBase({ indexPath: path.join(dir, "missing.json") }).search("十字星"), []);
+});
+
+test("formatSources：只列出回覆有引用的段落", async () => {
+  const hits = await book.search("十字星進場停損", { minScore: 0, k: 3 });
+  assert.match(formatSources("根據 [1]…", hits), /出處.*第 3 頁・一、十字星/);
+  assert.match(formatSources("沒有標註", hits), /參考段落/);
+});
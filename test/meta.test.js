@@ -0,0 +1,80 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  normalizeSymbol,
+  normalizeTimeframe,
+  normalizeExchange,
+  parseMetaTokens,
+  resolveImageMeta,
+  parseDefaultMetaSetting,
+  rememberCaption,
+  takeRecentCaption,
+  rememberImage,
+  takeRecentImage,
+  setPendingMeta,
+  peekPendingMeta,
+  takePendingMeta,
+  CAPTION_WINDOW_SECONDS,
+} from "../meta.js";
+
+test("正規化商品、週期與交易所", () => {
+  assert.equal(normalizeSymbol("btc/usdt"), "BTCUSDT");
+  assert.equal(normalizeSymbol("BINANCE:ETHUSDT.P"), "ETHUSDT");
+  assert.equal(normalizeSymbol("SOLUSDTPERP"), "SOLUSDT");
+  assert.equal(normalizeSymbol("BTC/XYZ"), null);
+  assert.equal(normalizeTimeframe("1H"), "1h");
+  assert.equal(normalizeTimeframe("15 分鐘"), "15m");
+  assert.equal(normalizeTimeframe("4小時"), "4h");
+  assert.equal(normalizeTimeframe("0m"), null);
+  assert.equal(normalizeExchange("幣安"), "Binance");
+  assert.equal(normalizeExchange("ftx"), null);
+});
+
+test("parseMetaTokens：整段都是商品 / 週期才算說明，其他字留在 rest", () => {
+  assert.deepEqual(parseMetaTokens("btcusdt, 15m 幣安"), { symbol: "BTCUSDT", timeframe: "15m", exchange: "Binance", rest: [] });
+  assert.deepEqual(parseMetaTokens("BTC 15m 能進場嗎").rest, ["能進場嗎"]);
+  assert.equal(parseMetaTokens("1000 15m").symbol, null);
+});
+
+test("resolveImageMeta：圖片說明 > 圖上讀到的 > 使用者預設", () => {
+  const meta = resolveImageMeta({
+    caption: { symbol: "ETHUSDT" },
+    vision: { symbol: "BTCUSDT", exchange: "Bybit" },
+    defaults: { symbol: "SOLUSDT", timeframe: "1h" },
+  });
+  assert.equal(meta.symbol, "ETHUSDT");
+  assert.equal(meta.timeframe, "1h");
+  assert.equal(meta.exchange, "Bybit");
+  assert.deepEqual(meta.metaSource, { symbol: "caption", timeframe: "default" });
+  assert.deepEqual(resolveImageMeta().missing, ["symbol", "timeframe"]);
+});
+
+test("parseDefaultMetaSetting：商品 / 週期以外的設定回傳 null", () => {
+  assert.deepEqual(parseDefaultMetaSetting(["商品", "eth/usdt"]), { patch: { symbol: "ETHUSDT" } });
+  assert.deepEqual(parseDefaultMetaSetting(["週期", "清除"]), { patch: { timeframe: null } });
+  assert.match(parseDefaultMetaSetting(["週期", "很久"]).error, /格式不對/);
+  assert.equal(parseDefaultMetaSetting(["本金", "1000"]), null);
+});
+
+test("圖片說明與圖片紀錄只在時間窗內有效、只用一次", () => {
+  const now = Date.UTC(2026, 0, 1);
+  const window = CAPTION_WINDOW_SECONDS * 1000;
+
+  rememberCaption("c1", { symbol: "BTCUSDT", timeframe: "15m" }, now);
+  assert.equal(takeRecentCaption("c1", now + window).symbol, "BTCUSDT");
+  assert.equal(takeRecentCaption("c1", now + window), null);
+  rememberCaption("c1", { symbol: "BTCUSDT", timeframe: "15m" }, now);
+  assert.equal(takeRecentCaption("c1", now + window + 1), null);
+
+  rememberImage("c1", "r1", now);
+  assert.equal(takeRecentImage("c1", now + 1000), "r1");
+  assert.equal(takeRecentImage("c1", now + 1000), null);
+});
+
+test("待補資料：指定 recordId 時只取出同一筆", () => {
+  setPendingMeta("c2", { record: { id: "r1" }, missing: ["timeframe"] });
+  assert.equal(takePendingMeta("c2", "r2"), null);
+  assert.deepEqual(peekPendingMeta("c2").missing, ["timeframe"]);
+  assert.equal(takePendingMeta("c2", "r1").record.id, "r1");
+  assert.equal(peekPendingMeta("c2"), null);
+});
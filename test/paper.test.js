@@ -0,0 +1,110 @@
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { buildPaperTrade, advancePaperTrade, createPaperMonitor, paperResultPatch } from "../paper.js";
+import { createFileFeed } from "../feeds.js";
+import { createMemoryTradeStore } from "../store.js";
+
+const T0 = Date.UTC(2026, 0, 1);
+const MIN15 = 15 * 60 * 1000;
+const bar = (i, low, high) => ({ time: T0 + i * MIN15, open: 100, high, low, close: 100, volume: 1 });
+
+const analysis = {
+  id: "a1",
+  source: "image",
+  symbol: "BTCUSDT",
+  timeframe: "15m",
+  direction: "long",
+  pattern: "body_engulfing",
+  entry: 100,
+  stop: 98,
+};
+
+function paperTrade(fields = {}, exit = "1R") {
+  let n = 0;
+  const { record } = buildPaperTrade({ ...analysis, ...fields }, {
+    owner: { userId: "U1" },
+    genId: () => `p${++n}`,
+    startBarTime: new Date(T0).toISOString(),
+    exit,
+  });
+  return record;
+}
+
+test("buildPaperTrade：依停損判斷方向、補上 1R / 1.5R，資料不足時回傳 error", () => {
+  const t = paperTrade({ direction: "none" });
+  assert.equal(t.direction, "long");
+  assert.equal(t.status, "pending");
+  assert.equal(t.tp1R, 102);
+  assert.equal(t.tp1_5R, 103);
+  assert.equal(paperTrade({ pattern: "doji" }).status, "open");
+
+  const opts = { owner: {}, genId: () => "x", startBarTime: null };
+  assert.ok(buildPaperTrade({ ...analysis, stop: 101 }, opts).error);
+  assert.ok(buildPaperTrade({ ...analysis, symbol: null }, opts).error);
+});
+
+test("advancePaperTrade：掛單成交後停利，只看 startBarTime 之後的 K 棒", () => {
+  const t = paperTrade();
+  const { patch, events } = advancePaperTrade(t, [bar(0, 90, 110), bar(1, 101, 101.5), bar(2, 99.5, 101), bar(3, 100, 102.5)]);
+  assert.deepEqual(events, ["filled", "closed"]);
+  assert.equal(patch.status, "closed");
+  assert.equal(patch.r, 1);
+  assert.equal(patch.enteredAt, new Date(T0 + 2 * MIN15).toISOString());
+  assert.equal(patch.paper.lastBarTime, new Date(T0 + 3 * MIN15).toISOString());
+
+  assert.deepEqual(advancePaperTrade({ ...t, ...patch }, [bar(3, 100, 102.5)]), { patch: null, events: [] });
+});
+
+test("advancePaperTrade：掛單太久沒成交就取消", () => {
+  const { patch, events } = advancePaperTrade(paperTrade(), [1, 2, 3].map((i) => bar(i, 101, 102)), { orderBars: 3 });
+  assert.deepEqual(events, ["expired"]);
+  assert.equal(patch.status, "skipped");
+});
+
+test("paperResultPatch：結束後的結果寫回分析，進行中不寫", () => {
+  assert.equal(paperResultPatch({ status: "open" }), null);
+  assert.deepEqual(paperResultPatch({ id: "p1", status: "closed", r: -1, outcome: "loss", closedAt: "t" }), {
+    paperId: "p1",
+    paperR: -1,
+    paperOutcome: "loss",
+    paperClosedAt: "t",
+  });
+  assert.equal(paperResultPatch({ id: "p1", status: "skipped", skippedAt: "t" }).paperOutcome, "expired");
+});
+
+test("createPaperMonitor：模擬單出場後原本的分析拿到 paperR，實盤 r 不變", async () => {
+  const store = createMemoryTradeStore([{ ...analysis, status: "open", r: null }, paperTrade()]);
+  const events = [];
+  const monitor = createPaperMonitor({
+    store,
+    feed: { fetchCandles: async () => [bar(1, 99, 101), bar(2, 97, 101)] },
+    onEvent: async (t, e) => events.push(...e),
+  });
+  await monitor.tick();
+
+  assert.deepEqual(events, ["filled", "closed"]);
+  const updated = await store.get("a1");
+  assert.equal(updated.paperR, -1);
+  assert.equal(updated.paperOutcome, "loss");
+  assert.equal(updated.paperId, "p1");
+  assert.equal(updated.r, null);
+  assert.equal(updated.status, "open");
+});
+
+test("file feed：peek 不會讓重播前進", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "feed-"));
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+  const rows = Array.from({ length: 5 }, (_, i) => [T0 + i * MIN15, 100, 101, 99, 100, 1].join(","));
+  await fs.writeFile(path.join(dir, "BTCUSDT-15m.csv"), ["time,open,high,low,close,volume", ...rows].join("\n"));
+
+  const feed = createFileFeed({ dir, replay: true, startBars: 2 });
+  const last = async (opts) => Number((await feed.fetchCandles("BTCUSDT", "15m", opts)).at(-1).time);
+  assert.equal(await last({ limit: 1, peek: true }), T0);
+  assert.equal(await last({ limit: 1, peek: true }), T0);
+  assert.equal(await last(), T0 + MIN15);
+  assert.equal(await last({ limit: 1, peek: true }), T0 + MIN15);
+  assert.equal(await last(), T0 + 2 * MIN15);
+});
@@ -0,0 +1,52 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { detectPattern, normalizePattern, extractCandlesFromText } from "../patterns.js";
+
+const k = (open, high, low, close) => ({ open, high, low, close, volume: 1 });
+const prev = k(100, 102, 98, 101);
+
+test("detectPattern：十字星市價進場，方向跟著 OBV 訊號", () => {
+  const doji = k(100, 101, 99, 100.01);
+  const res = detectPattern([prev, doji], { direction: "short" });
+  assert.equal(res.pattern, "doji");
+  assert.equal(res.entryMethod, "market");
+  assert.equal(res.entryPrice, 100.01);
+  assert.equal(res.bias, "short");
+});
+
+test("detectPattern：實體吞沒掛在實體 0.5，方向不合就不算", () => {
+  const engulf = k(99.5, 104, 99, 103.5);
+  const res = detectPattern([prev, engulf]);
+  assert.equal(res.pattern, "body_engulfing");
+  assert.equal(res.entryMethod, "fib_0.5");
+  assert.equal(res.entryPrice, 101.5);
+  assert.equal(res.bias, "long");
+  assert.equal(detectPattern([prev, engulf], { direction: "short" }).pattern, "wick_engulfing");
+});
+
+test("detectPattern：影線吞沒用前一根實體邊緣或自訂 SNR 當進場價", () => {
+  const sweep = k(100.5, 101.5, 97, 100.8);
+  const res = detectPattern([prev, sweep], { direction: "long" });
+  assert.equal(res.pattern, "wick_engulfing");
+  assert.equal(res.entryPrice, 100);
+  assert.equal(detectPattern([prev, sweep], { direction: "long", snrLevel: 99.5 }).entryPrice, 99.5);
+  assert.equal(detectPattern([prev, sweep], { direction: "short" }).pattern, "none");
+});
+
+test("detectPattern：略過未收盤的最後一根；少於兩根回傳 none", () => {
+  const engulf = k(99.5, 104, 99, 103.5);
+  assert.equal(detectPattern([prev, engulf, { ...k(100, 110, 90, 100), closed: false }]).pattern, "body_engulfing");
+  assert.equal(detectPattern([prev]).pattern, "none");
+});
+
+test("normalizePattern 與 extractCandlesFromText", () => {
+  assert.equal(normalizePattern(" 實體吞沒 "), "body_engulfing");
+  assert.equal(normalizePattern("Shadow_Engulfing"), "wick_engulfing");
+  assert.equal(normalizePattern("hammer"), null);
+
+  assert.deepEqual(extractCandlesFromText("100 102 98 101\n開 100.5 高 104 低 100 收 103.5 量 20\n亂寫 1 2"), [
+    { ...k(100, 102, 98, 101), volume: 0 },
+    { open: 100.5, high: 104, low: 100, close: 103.5, volume: 20 },
+  ]);
+  assert.equal(extractCandlesFromText("100 102 98 101"), null);
+});
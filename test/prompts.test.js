@@ -0,0 +1,68 @@
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { createPromptRegistry, parsePromptFile, renderTemplate } from "../prompts.js";
+
+const root = await fs.mkdtemp(path.join(os.tmpdir(), "prompts-"));
+after(() => fs.rm(root, { recursive: true, force: true }));
+
+let n = 0;
+async function promptDir(files) {
+  const dir = path.join(root, `p${++n}`);
+  await fs.mkdir(dir);
+  for (const [name, text] of Object.entries(files)) await fs.writeFile(path.join(dir, name), text);
+  return dir;
+}
+
+const files = {
+  "coach.v1.md": "---\ndescription: 第一版\n---\n連虧 {{lossStreakLimit}} 次暫停",
+  "coach.v2.md": "第二版 {{setup}}",
+  "active.json": JSON.stringify({ coach: "v1" }),
+};
+
+test("parsePromptFile / renderTemplate：front matter 與變數", () => {
+  const p = parsePromptFile(files["coach.v1.md"]);
+  assert.equal(p.description, "第一版");
+  assert.deepEqual(p.variables, ["lossStreakLimit"]);
+  assert.throws(() => renderTemplate("{{a}} {{b}}", { a: 1 }), /缺少變數：b/);
+  assert.deepEqual(renderTemplate("{{a}} {{b}}", { a: 1 }, { strict: false }), { text: "1 {{b}}", missing: ["b"] });
+});
+
+test("registry：預設用 active.json 的版本，切換後寫進 statePath、重新載入仍有效", async () => {
+  const dir = await promptDir(files);
+  const statePath = path.join(dir, "prompt-versions.json");
+  const registry = createPromptRegistry({ dir, statePath, vars: { lossStreakLimit: 3 } });
+  await registry.init();
+  assert.deepEqual(registry.render("coach"), { id: "coach", version: "v1", text: "連虧 3 次暫停" });
+
+  assert.equal((await registry.setActive("coach", "v2")).prompt.active, "v2");
+  assert.deepEqual(JSON.parse(await fs.readFile(statePath, "utf8")), { coach: "v2" });
+  assert.equal(registry.render("coach", { setup: "多" }).text, "第二版 多");
+  assert.throws(() => registry.render("coach"), /coach@v2 缺少變數：setup/);
+
+  const reloaded = createPromptRegistry({ dir, statePath, vars: {} });
+  await reloaded.init();
+  assert.equal(reloaded.preview("coach").version, "v2");
+
+  await registry.setActive("coach", null);
+  assert.deepEqual(JSON.parse(await fs.readFile(statePath, "utf8")), {});
+  assert.equal((await fs.readdir(dir)).some((name) => name.endsWith(".tmp")), false);
+});
+
+test("registry：不存在的 prompt 或版本回傳 error，不寫檔", async () => {
+  const dir = await promptDir(files);
+  const statePath = path.join(dir, "prompt-versions.json");
+  const registry = createPromptRegistry({ dir, statePath, vars: {} });
+  await registry.init();
+  assert.match((await registry.setActive("nope", "v1")).error, /找不到/);
+  assert.match((await registry.setActive("coach", "v9")).error, /沒有 v9/);
+  await assert.rejects(fs.access(statePath));
+});
+
+test("registry：檔名不對或 active.json 指到不存在的版本時 init 丟錯", async () => {
+  await assert.rejects(createPromptRegistry({ dir: await promptDir({ "Coach.md": "x" }) }).init(), /檔名格式不正確/);
+  const dir = await promptDir({ "coach.v1.md": "x", "active.json": JSON.stringify({ coach: "v3" }) });
+  await assert.rejects(createPromptRegistry({ dir }).init(), /coach@v3 不存在/);
+});
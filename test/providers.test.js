@@ -0,0 +1,90 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import axios from "axios";
+import {
+  LLMError,
+  createGeminiProvider,
+  createOpenAICompatibleProvider,
+  createMockProvider,
+  createRecordingProvider,
+  createReplayProvider,
+  createProvidersFromEnv,
+} from "../providers.js";
+
+function httpError(status, code) {
+  return Object.assign(new Error("request failed"), { code, response: status ? { status, data: { status } } : undefined });
+}
+
+test("HTTP 錯誤轉成 LLMError 的 code", async (t) => {
+  const gemini = createGeminiProvider({ apiKey: "k", model: "m" });
+  const cases = [
+    [httpError(401), "auth"],
+    [httpError(429), "rate_limit"],
+    [httpError(404), "bad_request"],
+    [httpError(503), "unavailable"],
+    [httpError(null, "ECONNABORTED"), "timeout"],
+  ];
+  for (const [err, code] of cases) {
+    t.mock.method(axios, "post", async () => Promise.reject(err));
+    await assert.rejects(gemini.chat({ prompt: "hi" }), (e) => e instanceof LLMError && e.code === code && e.provider === "gemini");
+    t.mock.restoreAll();
+  }
+  await assert.rejects(createGeminiProvider({ apiKey: "", model: "m" }).chat({ prompt: "hi" }), { code: "config" });
+  await assert.rejects(createOpenAICompatibleProvider({ baseUrl: "", model: "m" }).chat({ prompt: "hi" }), { code: "config" });
+});
+
+test("Gemini：送出 systemInstruction 與對話紀錄；沒有文字時丟 empty", async (t) => {
+  let body = null;
+  t.mock.method(axios, "post", async (url, b) => {
+    body = b;
+    return { data: { candidates: [{ content: { parts: [{ text: "a" }, { text: "b" }] } }] } };
+  });
+  const gemini = createGeminiProvider({ apiKey: "k", model: "m" });
+  assert.equal(await gemini.chat({ system: "s", history: [{ role: "model", text: "前" }], prompt: "問" }), "ab");
+  assert.deepEqual(body.systemInstruction, { parts: [{ text: "s" }] });
+  assert.deepEqual(body.contents.map((c) => c.role), ["model", "user"]);
+
+  t.mock.method(axios, "post", async () => ({ data: { promptFeedback: { blockReason: "SAFETY" } } }));
+  await assert.rejects(gemini.chat({ prompt: "問" }), { code: "empty", detail: "SAFETY" });
+});
+
+test("OpenAI 相容：model 角色改成 assistant，content 陣列接成文字", async (t) => {
+  let sent = null;
+  t.mock.method(axios, "post", async (url, b, opts) => {
+    sent = { url, b, opts };
+    return { data: { choices: [{ message: { content: [{ type: "text", text: "x" }, { type: "text", text: "y" }] } }] } };
+  });
+  const openai = createOpenAICompatibleProvider({ baseUrl: "http://llm/v1/", apiKey: "k", model: "m" });
+  assert.equal(await openai.chat({ system: "s", history: [{ role: "model", text: "前" }], prompt: "問" }), "xy");
+  assert.equal(sent.url, "http://llm/v1/chat/completions");
+  assert.deepEqual(sent.b.messages.map((m) => m.role), ["system", "assistant", "user"]);
+  assert.equal(sent.opts.headers.Authorization, "Bearer k");
+});
+
+test("mock：同樣的輸入永遠回同樣的輸出，vision 回傳合法 JSON", async () => {
+  const mock = createMockProvider();
+  assert.equal(await mock.chat({ prompt: "hi" }), await mock.chat({ prompt: "hi" }));
+  const data = JSON.parse(await mock.vision({ imageBase64: "abc" }));
+  assert.equal(data.strategyAllowed, data.regime === "consolidation");
+});
+
+test("錄製後重播得到同樣的回覆，沒錄過的請求丟 unavailable", async () => {
+  const recordings = {};
+  const recorder = createRecordingProvider(createMockProvider(), recordings);
+  const args = { system: "s", history: [], prompt: "十字星" };
+  const text = await recorder.chat(args);
+  assert.equal(Object.values(recordings)[0].provider, "mock");
+
+  const replay = createReplayProvider(recordings);
+  assert.equal(await replay.chat(args), text);
+  await assert.rejects(replay.chat({ ...args, prompt: "別的" }), { code: "unavailable", provider: "replay" });
+  await assert.rejects(replay.vision(args), { code: "unavailable" });
+});
+
+test("createProvidersFromEnv：圖片沒指定時跟著文字，未知的 provider 丟錯", () => {
+  const llm = createProvidersFromEnv({ LLM_TEXT_PROVIDER: "Mock", LLM_VISION_MODEL: "v" });
+  assert.equal(llm.text.name, "mock");
+  assert.equal(llm.vision.model, "v");
+  assert.equal(createProvidersFromEnv({ LLM_TEXT_PROVIDER: "deepseek", LLM_VISION_PROVIDER: "gemini" }).vision.name, "gemini");
+  assert.throws(() => createProvidersFromEnv({ LLM_TEXT_PROVIDER: "claude" }), /未知的 LLM provider/);
+});
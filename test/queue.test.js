@@ -0,0 +1,67 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createJobQueue } from "../queue.js";
+
+// 可以從外面決定何時結束的工作
+function deferred() {
+  let resolve;
+  const promise = new Promise((r) => (resolve = r));
+  return { promise, resolve };
+}
+
+const tick = () => new Promise((r) => setImmediate(r));
+
+test("同一個 key 依序執行，不同 key 可以同時跑，不超過 concurrency", async () => {
+  const queue = createJobQueue({ concurrency: 2 });
+  const order = [];
+  const gates = { a1: deferred(), b1: deferred(), c1: deferred() };
+  const job = (id) => async () => {
+    order.push(`start ${id}`);
+    await gates[id]?.promise;
+    order.push(`end ${id}`);
+  };
+
+  const done = [
+    queue.push(job("a1"), { key: "A" }),
+    queue.push(job("a2"), { key: "A" }),
+    queue.push(job("b1"), { key: "B" }),
+    queue.push(job("c1"), { key: "C" }),
+  ];
+  await tick();
+  assert.deepEqual(order, ["start a1", "start b1"]);
+  assert.equal(queue.running, 2);
+  assert.equal(queue.size, 2);
+
+  gates.a1.resolve();
+  await tick();
+  // a1 結束後 a2 不用等 c1：同 key 的下一個工作排在前面
+  assert.deepEqual(order.slice(2), ["end a1", "start a2", "end a2", "start c1"]);
+
+  gates.b1.resolve();
+  gates.c1.resolve();
+  await Promise.all(done);
+  assert.equal(queue.running, 0);
+});
+
+test("工作丟錯時 reject 並記 log，不影響後面的工作", async (t) => {
+  const errors = t.mock.method(console, "error", () => {});
+  const queue = createJobQueue({ concurrency: 1, name: "test" });
+  const failed = queue.push(async () => {
+    throw new Error("boom");
+  });
+  await assert.rejects(failed, /boom/);
+  assert.equal(await queue.push(async () => "ok"), "ok");
+  assert.match(errors.mock.calls[0].arguments[0], /\[test\]/);
+});
+
+test("佇列滿了就丟掉新工作", async (t) => {
+  t.mock.method(console, "warn", () => {});
+  const queue = createJobQueue({ concurrency: 1, maxPending: 1 });
+  const gate = deferred();
+  const first = queue.push(() => gate.promise);
+  const second = queue.push(async () => "second");
+  await assert.rejects(queue.push(async () => "third"), /queue full/);
+  gate.resolve();
+  await first;
+  assert.equal(await second, "second");
+});
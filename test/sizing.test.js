@@ -0,0 +1,48 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { calcPositionSize, parseAccountSetting, formatAccount, hasAccount, MAX_RISK_PERCENT } from "../sizing.js";
+
+const account = { balance: 1000, risk: 1, riskType: "percent", maxLeverage: 20 };
+
+test("calcPositionSize：由停損距離反推數量，每單虧損固定", () => {
+  const pos = calcPositionSize({ entry: 100, stop: 98, account });
+  assert.equal(pos.riskAmount, 10);
+  assert.equal(pos.quantity, 5);
+  assert.equal(pos.notional, 500);
+  assert.equal(pos.leverage, 0.5);
+  assert.equal(pos.stopPercent, 2);
+  assert.deepEqual(pos.warnings, []);
+
+  // 做空：停損在上方，一樣用距離計算；固定金額風險
+  const short = calcPositionSize({ entry: 100, stop: 104, account: { ...account, risk: 20, riskType: "amount" } });
+  assert.equal(short.quantity, 5);
+  assert.equal(short.riskPercent, 2);
+});
+
+test("calcPositionSize：槓桿超過上限或風險太大時給警示", () => {
+  const tight = calcPositionSize({ entry: 100, stop: 99.99, account });
+  assert.equal(tight.leverage, 100);
+  assert.match(tight.warnings[0], /超過上限 20x.*上限內最多 200（風險 2）/);
+
+  const risky = calcPositionSize({ entry: 100, stop: 90, account: { ...account, risk: MAX_RISK_PERCENT + 1 } });
+  assert.match(risky.warnings.at(-1), /超過本金的/);
+});
+
+test("calcPositionSize：沒設定帳戶或價格不合理時回傳 null", () => {
+  assert.equal(calcPositionSize({ entry: 100, stop: 98, account: {} }), null);
+  assert.equal(calcPositionSize({ entry: 100, stop: 100, account }), null);
+  assert.equal(calcPositionSize({ entry: null, stop: 98, account }), null);
+  assert.equal(hasAccount({ balance: 1000 }), false);
+  assert.match(formatAccount(null), /尚未設定/);
+  assert.equal(formatAccount(account), "本金 1000｜單筆風險 1%｜槓桿上限 20x");
+});
+
+test("parseAccountSetting：百分比或金額風險、槓桿，格式錯誤回傳 error", () => {
+  assert.deepEqual(parseAccountSetting(["本金", "1000"]), { patch: { balance: 1000 } });
+  assert.deepEqual(parseAccountSetting(["風險", "1.5%"]), { patch: { risk: 1.5, riskType: "percent" } });
+  assert.deepEqual(parseAccountSetting(["risk", "10"]), { patch: { risk: 10, riskType: "amount" } });
+  assert.deepEqual(parseAccountSetting(["槓桿", "20x"]), { patch: { maxLeverage: 20 } });
+  assert.match(parseAccountSetting(["風險", "150%"]).error, /不能超過 100%/);
+  assert.match(parseAccountSetting(["本金", "-1"]).error, /正數/);
+  assert.match(parseAccountSetting(["保證金", "1"]).error, /不認得/);
+});
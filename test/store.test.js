@@ -0,0 +1,101 @@
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { createJsonlTradeStore, SCHEMA_VERSION } from "../store.js";
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), "store-"));
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+let n = 0;
+const tmpFile = () => path.join(dir, `trades-${++n}.jsonl`);
+
+// 讓 FileHandle 的 writeFile 只寫進一半就失敗（模擬磁碟滿）
+async function fileHandleProto() {
+  const handle = await fs.open(path.join(dir, "probe"), "w");
+  await handle.close();
+  return Object.getPrototypeOf(handle);
+}
+
+function tornWrite(t, proto) {
+  const writeFile = proto.writeFile;
+  t.mock.method(proto, "writeFile", async function (data) {
+    await writeFile.call(this, data.slice(0, 10));
+    throw new Error("ENOSPC");
+  });
+}
+
+test("寫入、更新、刪除後重新載入結果一致", async () => {
+  const filePath = tmpFile();
+  const store = createJsonlTradeStore({ filePath });
+  await store.insert({ id: "a", r: null });
+  await store.update("a", (current) => ({ r: current.r ?? 1 }));
+  await store.insert({ id: "b" });
+  await store.remove("b");
+
+  const reloaded = createJsonlTradeStore({ filePath });
+  assert.deepEqual(await reloaded.list(), [{ id: "a", r: 1 }]);
+});
+
+test("append 寫到一半失敗時截回原本長度，不留半行", async (t) => {
+  const filePath = tmpFile();
+  const store = createJsonlTradeStore({ filePath });
+  await store.insert({ id: "a" });
+  const before = await fs.readFile(filePath, "utf8");
+
+  tornWrite(t, await fileHandleProto());
+  await assert.rejects(store.insert({ id: "b" }), /ENOSPC/);
+  t.mock.restoreAll();
+
+  assert.equal(await fs.readFile(filePath, "utf8"), before);
+  await store.insert({ id: "c" });
+  const reloaded = createJsonlTradeStore({ filePath });
+  assert.deepEqual((await reloaded.list()).map((r) => r.id), ["a", "c"]);
+});
+
+test("連截斷都失敗時，下一次寫入前先 compact 把半行清掉", async (t) => {
+  const filePath = tmpFile();
+  const store = createJsonlTradeStore({ filePath });
+  await store.insert({ id: "a" });
+
+  const proto = await fileHandleProto();
+  tornWrite(t, proto);
+  t.mock.method(proto, "truncate", async () => {
+    throw new Error("EIO");
+  });
+  await assert.rejects(store.insert({ id: "b" }), /ENOSPC/);
+  t.mock.restoreAll();
+
+  await store.insert({ id: "c" });
+  const reloaded = createJsonlTradeStore({ filePath });
+  assert.deepEqual((await reloaded.list()).map((r) => r.id), ["a", "c"]);
+});
+
+test("載入：只容許最後一行損毀，中間損毀直接丟錯", async () => {
+  const meta = JSON.stringify({ op: "meta", schemaVersion: SCHEMA_VERSION });
+  const put = (id) => JSON.stringify({ op: "put", record: { id } });
+
+  const tornTail = tmpFile();
+  await fs.writeFile(tornTail, [meta, put("a"), '{"op":"pu'].join("\n"));
+  assert.deepEqual(await createJsonlTradeStore({ filePath: tornTail }).list(), [{ id: "a" }]);
+
+  const tornMiddle = tmpFile();
+  await fs.writeFile(tornMiddle, [meta, '{"op":"pu', put("a")].join("\n") + "\n");
+  await assert.rejects(createJsonlTradeStore({ filePath: tornMiddle }).init(), /第 2 行損毀/);
+});
+
+test("migration v1：圖片分析尚未結單的 r 改放 plannedR", async () => {
+  const filePath = tmpFile();
+  await fs.writeFile(
+    filePath,
+    [
+      JSON.stringify({ op: "meta", schemaVersion: 1 }),
+      JSON.stringify({ op: "put", record: { id: "open", source: "image", status: "open", r: 2 } }),
+      JSON.stringify({ op: "put", record: { id: "closed", source: "image", status: "closed", r: -1 } }),
+    ].join("\n") + "\n"
+  );
+  const store = createJsonlTradeStore({ filePath });
+  assert.deepEqual(await store.get("open"), { id: "open", source: "image", status: "open", r: null, plannedR: 2 });
+  assert.equal((await store.get("closed")).r, -1);
+});
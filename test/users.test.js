@@ -0,0 +1,45 @@
+import test, { after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), "users-"));
+after(() => fs.rm(dir, { recursive: true, force: true }));
+
+// users.js 在載入時決定檔案位置
+process.env.USERS_PATH = path.join(dir, "users.json");
+const { loadUsers, getUserState, updateUserState } = await import("../users.js");
+
+test("同時更新同一位使用者不會互相蓋掉", async () => {
+  await Promise.all(
+    Array.from({ length: 20 }, () => updateUserState("U1", (current) => ({ count: (current.count || 0) + 1 })))
+  );
+  await Promise.all([updateUserState("U1", { a: 1 }), updateUserState("U2", { b: 2 })]);
+  assert.deepEqual(await loadUsers(), { U1: { count: 20, a: 1 }, U2: { b: 2 } });
+});
+
+test("patch 函式回傳 null 時不寫入；沒有 userId 時不動檔案", async () => {
+  const before = await fs.readFile(process.env.USERS_PATH, "utf8");
+  assert.deepEqual(await updateUserState("U2", () => null), { b: 2 });
+  assert.deepEqual(await updateUserState(null, { x: 1 }), {});
+  assert.equal(await fs.readFile(process.env.USERS_PATH, "utf8"), before);
+});
+
+test("users.json 損毀時丟錯，而不是當成空的再覆寫", async () => {
+  await fs.writeFile(process.env.USERS_PATH, '{"U1": {"count": 2', "utf8");
+  await assert.rejects(loadUsers(), /損毀/);
+  await assert.rejects(getUserState("U1"), /損毀/);
+  await assert.rejects(updateUserState("U1", { a: 2 }), /損毀/);
+  assert.equal(await fs.readFile(process.env.USERS_PATH, "utf8"), '{"U1": {"count": 2');
+
+  await fs.writeFile(process.env.USERS_PATH, "[]", "utf8");
+  await assert.rejects(loadUsers(), /格式不正確/);
+});
+
+test("檔案不存在或是空的時當作沒有使用者", async () => {
+  await fs.rm(process.env.USERS_PATH);
+  assert.deepEqual(await loadUsers(), {});
+  await fs.writeFile(process.env.USERS_PATH, "", "utf8");
+  assert.deepEqual(await getUserState("U1"), {});
+});
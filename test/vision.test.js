@@ -0,0 +1,33 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { extractJson, validateVisionData, repairVisionData } from "../vision.js";
+
+const base = { regime: "consolidation", strategyAllowed: true, direction: "long", entry: 100, stop: 98 };
+
+test("extractJson：接受 code fence 與前後多餘文字", () => {
+  assert.deepEqual(extractJson('好的：\n```json\n{"a":1}\n```').data, { a: 1 });
+  assert.ok(extractJson("沒有 JSON").error);
+});
+
+test("validateVisionData：模型給的 r 存成 plannedR，不會變成實現 R", () => {
+  const { data, errors } = validateVisionData({ ...base, r: "1.5" });
+  assert.deepEqual(errors, []);
+  assert.equal(data.plannedR, 1.5);
+  assert.equal("r" in data, false);
+});
+
+test("validateVisionData：列舉別名、趨勢盤禁用、停損在錯的一側", () => {
+  const alias = validateVisionData({ ...base, direction: "做多", regime: "trend" });
+  assert.equal(alias.data.direction, "long");
+  assert.equal(alias.data.strategyAllowed, false);
+
+  const wrongSide = validateVisionData({ ...base, stop: 101 });
+  assert.ok(wrongSide.errors.some((e) => e.includes("停損")));
+  assert.ok(validateVisionData({ ...base, entry: "abc" }).errors.length);
+});
+
+test("repairVisionData：依進場 / 停損重算 1R、1.5R", () => {
+  const { data } = repairVisionData(validateVisionData({ ...base, tp1R: 999, tp1_5R: 999 }));
+  assert.equal(data.tp1R, 102);
+  assert.equal(data.tp1_5R, 103);
+});
@@ -0,0 +1,55 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createWatchScheduler, parseWatchArgs, addWatch, removeWatch } from "../watchlist.js";
+import { barOpenTime } from "../feeds.js";
+
+test("barOpenTime：週 K 從星期一 00:00 UTC 開始", () => {
+  const wed = Date.UTC(2026, 9, 21, 12); // 2026-10-21（三）
+  assert.equal(barOpenTime("1w", wed), Date.UTC(2026, 9, 19));
+  assert.equal(barOpenTime("1w", Date.UTC(2026, 9, 19)), Date.UTC(2026, 9, 19));
+  assert.equal(barOpenTime("1w", Date.UTC(2026, 9, 18, 23, 59)), Date.UTC(2026, 9, 12));
+  assert.equal(barOpenTime("15m", Date.UTC(2026, 0, 1, 0, 14, 59)), Date.UTC(2026, 0, 1));
+  assert.equal(barOpenTime("1M", wed), null);
+});
+
+test("關注清單：新增、重複、移除", () => {
+  const item = parseWatchArgs(["btcusdt", "15M"]).item;
+  const added = addWatch([], item);
+  assert.equal(added.list.length, 1);
+  assert.ok(addWatch(added.list, item).error);
+  assert.deepEqual(removeWatch(added.list, item).list, []);
+  assert.ok(removeWatch([], item).error);
+});
+
+function scheduler(feed) {
+  return createWatchScheduler({
+    feed: { replay: false, ...feed },
+    loadWatchers: async () => [{ userId: "U1", symbol: "BTCUSDT", timeframe: "15m" }],
+    onAlert: () => {},
+    closeDelaySeconds: 0,
+  });
+}
+
+test("排程：抓取失敗的 K 棒下一輪會重試，成功後同一根不再抓", async (t) => {
+  t.mock.method(console, "error", () => {});
+  let calls = 0;
+  let fail = true;
+  const s = scheduler({
+    async fetchCandles() {
+      calls++;
+      if (fail) throw new Error("timeout");
+      return [];
+    },
+  });
+
+  const close = Date.UTC(2026, 0, 1, 0, 15);
+  await s.tick(close + 1000);
+  assert.equal(calls, 1);
+  fail = false;
+  await s.tick(close + 16000);
+  assert.equal(calls, 2);
+  await s.tick(close + 31000);
+  assert.equal(calls, 2);
+  await s.tick(close + 15 * 60 * 1000);
+  assert.equal(calls, 3);
+});
@@ -0,0 +1,67 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { isValidLineSignature, createSignatureVerifier, createEventDeduper } from "../webhook.js";
+
+const body = Buffer.from('{"events":[{"webhookEventId":"e1"}]}');
+const sign = (secret, raw) => crypto.createHmac("sha256", secret).update(raw).digest("base64");
+
+test("isValidLineSignature：用原始 bytes 比對，內容或 secret 不同都無效", () => {
+  assert.equal(isValidLineSignature("s", body, sign("s", body)), true);
+  assert.equal(isValidLineSignature("s", Buffer.from(body.toString().replace("e1", "e2")), sign("s", body)), false);
+  assert.equal(isValidLineSignature("other", body, sign("s", body)), false);
+  assert.equal(isValidLineSignature("s", body, "短"), false);
+  assert.equal(isValidLineSignature("s", undefined, sign("s", body)), false);
+});
+
+function run(verifier, req) {
+  let result = null;
+  const res = {
+    status(code) {
+      return { send: () => (result = code) };
+    },
+  };
+  verifier(req, res, () => (result = "next"));
+  return result;
+}
+
+const req = (rawBody, signature) => ({ rawBody, get: (name) => (name === "x-line-signature" ? signature : undefined) });
+
+test("createSignatureVerifier：fail-closed，沒設 secret 只有 allowUnsigned 才放行", (t) => {
+  t.mock.method(console, "warn", () => {});
+  t.mock.method(console, "error", () => {});
+  const verify = createSignatureVerifier("s");
+  assert.equal(run(verify, req(body, sign("s", body))), "next");
+  assert.equal(run(verify, req(body, sign("x", body))), 401);
+  assert.equal(run(verify, req(body, undefined)), 401);
+  const broken = {
+    rawBody: body,
+    get() {
+      throw new Error("boom");
+    },
+  };
+  assert.equal(run(verify, broken), 401);
+
+  assert.equal(run(createSignatureVerifier(""), req(body, "")), 500);
+  assert.equal(run(createSignatureVerifier("", { allowUnsigned: true }), req(body, "")), "next");
+});
+
+test("createEventDeduper：同一事件只處理一次，release 後可重試，超過上限或過期就忘記", (t) => {
+  const dedupe = createEventDeduper({ max: 2, ttlMs: 1000 });
+  assert.equal(dedupe.claim("e1"), true);
+  assert.equal(dedupe.claim("e1"), false);
+  assert.equal(dedupe.claim(null), true);
+  assert.equal(dedupe.claim(null), true);
+
+  dedupe.release("e1");
+  assert.equal(dedupe.claim("e1"), true);
+
+  dedupe.claim("e2");
+  dedupe.claim("e3");
+  assert.equal(dedupe.claim("e1"), true, "超過上限時最舊的先被丟掉");
+
+  t.mock.timers.enable({ apis: ["Date"], now: Date.now() });
+  dedupe.claim("e4");
+  t.mock.timers.tick(1000);
+  assert.equal(dedupe.claim("e4"), true);
+});
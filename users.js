@@ -0,0 +1,57 @@
+// users.js
+// 每位 LINE 使用者的狀態（連虧冷卻、帳戶、預設商品、關注清單等），以 userId 為 key 存在 users.json
+// 和 store.js 一樣：所有寫入排進同一條佇列（讀改寫不會互相蓋掉），用「暫存檔 → rename」原子寫入，
+// 檔案損毀時直接丟錯，絕不當成空的（否則下一次寫入會把所有人的設定洗掉）。
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createQueue, writeFileAtomic } from "./store.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+// USERS_PATH：使用者狀態檔位置（預設與 index.js 同目錄的 users.json）
+const USERS_PATH = process.env.USERS_PATH || path.join(__dirname, "users.json");
+
+const enqueue = createQueue();
+
+export async function loadUsers() {
+  let raw;
+  try {
+    raw = await fs.readFile(USERS_PATH, "utf8");
+  } catch (e) {
+    if (e.code === "ENOENT") return {};
+    throw e;
+  }
+  if (!raw.trim()) return {};
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`${path.basename(USERS_PATH)} 損毀：${e.message}`);
+  }
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error(`${path.basename(USERS_PATH)} 格式不正確（應為物件）`);
+  }
+  return data;
+}
+
+export async function getUserState(userId) {
+  if (!userId) return {};
+  const users = await loadUsers();
+  return users[userId] || {};
+}
+
+// patch 可以是物件，或 (current) => patch 的函式（在佇列裡執行，拿到的是最新狀態）；
+// 函式回傳 null 代表不更新。回傳更新後的狀態
+export function updateUserState(userId, patch) {
+  if (!userId) return Promise.resolve({});
+  return enqueue(async () => {
+    const users = await loadUsers();
+    const current = users[userId] || {};
+    const p = typeof patch === "function" ? patch(structuredClone(current)) : patch;
+    if (!p) return current;
+    users[userId] = { ...current, ...p };
+    await writeFileAtomic(USERS_PATH, JSON.stringify(users, null, 2));
+    return users[userId];
+  });
+}
@@ -0,0 +1,196 @@
+// vision.js
+// 圖片分析回傳 JSON 的驗證與修復。模型輸出不可盡信：
+// - regime / direction 只接受固定列舉（常見的中文寫法會轉成列舉值）
+// - 數字欄位會把 "43,000"、"43000 USDT" 這類字串轉成數字
+// - 進場 / 停損要與方向一致（做多停損在下、做空停損在上）
+// - 1R / 1.5R 一律由進場與停損重算，不採用模型自己算的值
+// - 商品 / 週期 / 交易所讀不懂就當作沒讀到（null），之後再問使用者
+// 嚴重錯誤（errors）代表值得請模型重答一次；warnings 只記錄修正過的地方。
+
+import { normalizeSymbol, normalizeTimeframe, normalizeExchange } from "./meta.js";
+
+export const REGIMES = ["consolidation", "trend", "unknown"];
+export const DIRECTIONS = ["long", "short", "none", "unknown"];
+
+const REGIME_ALIASES = { 盤整: "consolidation", 震盪: "consolidation", 趨勢: "trend", range: "consolidation" };
+const DIRECTION_ALIASES = {
+  做多: "long",
+  多: "long",
+  buy: "long",
+  做空: "short",
+  空: "short",
+  sell: "short",
+  觀望: "none",
+  neutral: "none",
+};
+
+const PRICE_FIELDS = ["entry", "stop", "tp1R", "tp1_5R"];
+
+// 抓出回應裡的第一個 JSON 物件（模型常會包在 ```json ... ``` 裡）
+export function extractJson(text = "") {
+  const match = String(text).match(/\{[\s\S]*\}/);
+  if (!match) return { error: "無法從回應中找到 JSON" };
+  try {
+    const obj = JSON.parse(match[0]);
+    if (!obj || typeof obj !== "object" || Array.isArray(obj)) return { error: "回應不是 JSON 物件" };
+    return { data: obj };
+  } catch (e) {
+    return { error: `JSON 解析失敗：${e.message}` };
+  }
+}
+
+function toNumber(v) {
+  if (typeof v === "number") return Number.isFinite(v) ? v : NaN;
+  if (typeof v !== "string") return NaN;
+  const cleaned = v.replace(/,/g, "").trim().match(/^-?\d+(?:\.\d+)?/);
+  return cleaned ? Number(cleaned[0]) : NaN;
+}
+
+function toEnum(v, values, aliases) {
+  if (typeof v !== "string") return null;
+  const key = v.trim().toLowerCase();
+  if (values.includes(key)) return key;
+  return aliases[key] || aliases[v.trim()] || null;
+}
+
+function round(v) {
+  return Number(v.toFixed(8));
+}
+
+function coerceCandles(list) {
+  if (!Array.isArray(list)) return null;
+  const rows = list.map((c) => {
+    if (!c || typeof c !== "object") return null;
+    const row = {};
+    for (const k of ["open", "high", "low", "close"]) {
+      row[k] = toNumber(c[k]);
+      if (!(row[k] > 0)) return null;
+    }
+    return row;
+  });
+  return rows.every(Boolean) ? rows : null;
+}
+
+// 回傳 { data, errors, warnings }；data 是修正後可以直接寫進紀錄的欄位
+export function validateVisionData(raw = {}) {
+  const errors = [];
+  const warnings = [];
+  const data = { ...raw };
+
+  // ------- 列舉 --------
+  const regime = toEnum(raw.regime, REGIMES, REGIME_ALIASES);
+  if (!regime) errors.push(`regime 不是 ${REGIMES.join(" / ")}（收到 ${JSON.stringify(raw.regime)}）`);
+  else if (regime !== raw.regime) warnings.push(`regime「${raw.regime}」視為 ${regime}`);
+  data.regime = regime || "unknown";
+
+  const direction = toEnum(raw.direction, DIRECTIONS, DIRECTION_ALIASES);
+  if (!direction) errors.push(`direction 不是 ${DIRECTIONS.join(" / ")}（收到 ${JSON.stringify(raw.direction)}）`);
+  else if (direction !== raw.direction) warnings.push(`direction「${raw.direction}」視為 ${direction}`);
+  data.direction = direction || "unknown";
+
+  if (typeof raw.strategyAllowed === "boolean") data.strategyAllowed = raw.strategyAllowed;
+  else if (raw.strategyAllowed === "true" || raw.strategyAllowed === "false") {
+    data.strategyAllowed = raw.strategyAllowed === "true";
+    warnings.push("strategyAllowed 是字串，已轉成布林值");
+  } else {
+    data.strategyAllowed = null;
+    if (raw.strategyAllowed !== null && raw.strategyAllowed !== undefined) {
+      errors.push(`strategyAllowed 不是布林值（收到 ${JSON.stringify(raw.strategyAllowed)}）`);
+    }
+  }
+  if (data.regime === "trend" && data.strategyAllowed === true) {
+    data.strategyAllowed = false;
+    warnings.push("趨勢盤不適用獵影策略，strategyAllowed 改為 false");
+  }
+
+  // ------- 數字 --------
+  for (const key of ["r", ...PRICE_FIELDS]) {
+    if (raw[key] === null || raw[key] === undefined || raw[key] === "") {
+      data[key] = null;
+      continue;
+    }
+    const n = toNumber(raw[key]);
+    if (Number.isNaN(n) || (PRICE_FIELDS.includes(key) && n <= 0)) {
+      errors.push(`${key} 不是有效數字（收到 ${JSON.stringify(raw[key])}）`);
+      data[key] = null;
+    } else {
+      if (typeof raw[key] !== "number") warnings.push(`${key}「${raw[key]}」已轉成數字 ${n}`);
+      data[key] = n;
+    }
+  }
+
+  // 模型給的 r 是預估的風險報酬，不是實現 R：改存成 plannedR，
+  // 否則紀錄一建立就帶著數字 r，會被當成已結單、也會算進連虧與績效
+  data.plannedR = data.r;
+  delete data.r;
+
+  data.lastCandles = coerceCandles(raw.lastCandles);
+  if (raw.lastCandles && !data.lastCandles) warnings.push("lastCandles 格式不正確，已忽略");
+  data.pattern = typeof raw.pattern === "string" ? raw.pattern : null;
+
+  for (const [key, normalize] of [
+    ["symbol", normalizeSymbol],
+    ["timeframe", normalizeTimeframe],
+    ["exchange", normalizeExchange],
+  ]) {
+    data[key] = raw[key] ? normalize(raw[key]) : null;
+    if (raw[key] && !data[key]) warnings.push(`${key}「${raw[key]}」無法辨識，已忽略`);
+  }
+  data.reason = typeof raw.reason === "string" ? raw.reason.trim().slice(0, 200) : null;
+
+  // ------- 進場 / 停損 / 方向一致性 --------
+  const { entry, stop } = data;
+  if ((entry === null) !== (stop === null)) {
+    warnings.push("只有進場或停損其中一個，無法計算 1R / 1.5R");
+  } else if (entry !== null) {
+    if (entry === stop) {
+      errors.push("進場價等於停損價");
+    } else if (data.direction === "long" && stop > entry) {
+      errors.push(`做多但停損 ${stop} 在進場 ${entry} 之上`);
+    } else if (data.direction === "short" && stop < entry) {
+      errors.push(`做空但停損 ${stop} 在進場 ${entry} 之下`);
+    } else if (data.direction !== "long" && data.direction !== "short") {
+      warnings.push(`direction 為 ${data.direction}，依停損位置視為${stop < entry ? "做多" : "做空"}計算目標價`);
+    }
+  }
+
+  return { data, errors, warnings };
+}
+
+// 依進場 / 停損重算 1R、1.5R；資料有錯就把價位清空，避免矛盾的數字寫進日誌
+export function repairVisionData({ data, errors, warnings }) {
+  const out = { ...data };
+  const notes = [...warnings];
+
+  const priceError = errors.some((e) => /進場|停損/.test(e));
+  if (priceError && out.entry !== null) {
+    for (const key of PRICE_FIELDS) out[key] = null;
+    notes.push("進場 / 停損與方向矛盾，已清除價位");
+  }
+
+  if (out.entry !== null && out.stop !== null && out.entry !== out.stop) {
+    const risk = out.entry - out.stop; // 做多為正、做空為負
+    const tp1R = round(out.entry + risk);
+    const tp1_5R = round(out.entry + risk * 1.5);
+    for (const [key, value] of [["tp1R", tp1R], ["tp1_5R", tp1_5R]]) {
+      if (out[key] !== null && Math.abs(out[key] - value) > Math.abs(risk) * 0.01) {
+        notes.push(`${key} 已依進場 / 停損重算（模型給 ${out[key]}，應為 ${value}）`);
+      }
+      out[key] = value;
+    }
+  } else {
+    out.tp1R = null;
+    out.tp1_5R = null;
+  }
+
+  return { data: out, warnings: [...notes, ...errors.filter((e) => !/進場|停損/.test(e))] };
+}
+
+// 給重問模型用的提示
+export function formatRetryPrompt(problems) {
+  return [
+    "你上一次的輸出有以下問題：",
+    ...problems.map((p) => `- ${p}`),
+    "請重新檢查圖表後，只輸出修正後的「純 JSON」（格式與欄位同上，不要加任何文字）。",
+  ].join("\n");
+}
@@ -0,0 +1,136 @@
+// watchlist.js
+// 關注清單：「關注 BTCUSDT 15m」存在使用者狀態（users.json 的 watchlist），
+// 排程器在每根 K 棒收盤後向 price feed（見 feeds.js）拿資料，用 indicators.js 的同一套規則判斷，
+// 出現可進場的訊號就通知關注的使用者。同一根 K 棒對同一位使用者只通知一次
+// （記在記憶體，重啟後最後一根可能再通知一次）。
+
+import { DEFAULT_PARAMS, evaluateSetup, minBarsFor } from "./indicators.js";
+import { barOpenTime } from "./feeds.js";
+import { parseMetaTokens } from "./meta.js";
+
+export const WATCHLIST_MAX = Number(process.env.WATCHLIST_MAX) || 10;
+export const WATCH_POLL_SECONDS = Number(process.env.WATCH_POLL_SECONDS) || 15;
+// 收盤後等幾秒再抓，讓交易所把最後一根寫完
+export const WATCH_CLOSE_DELAY_SECONDS = Number(process.env.WATCH_CLOSE_DELAY_SECONDS) || 5;
+
+// ------- 指令參數 --------
+// 回傳 { item: { symbol, timeframe } } 或 { error }
+export function parseWatchArgs(args = []) {
+  const meta = parseMetaTokens(args.join(" "));
+  if (!meta.symbol || !meta.timeframe || meta.rest.length) {
+    return { error: "格式：「關注 BTCUSDT 15m」（商品 + 週期）" };
+  }
+  return { item: { symbol: meta.symbol, timeframe: meta.timeframe } };
+}
+
+function sameItem(a, b) {
+  return a.symbol === b.symbol && a.timeframe === b.timeframe;
+}
+
+// 回傳 { list } 或 { error }
+export function addWatch(list = [], item, now = new Date()) {
+  if (list.some((w) => sameItem(w, item))) return { error: `${item.symbol} ${item.timeframe} 已經在關注清單裡` };
+  if (list.length >= WATCHLIST_MAX) return { error: `關注清單最多 ${WATCHLIST_MAX} 個，請先取消關注其他商品` };
+  return { list: [...list, { ...item, addedAt: now.toISOString() }] };
+}
+
+export function removeWatch(list = [], item) {
+  const next = list.filter((w) => !sameItem(w, item));
+  return next.length === list.length ? { error: `${item.symbol} ${item.timeframe} 不在關注清單裡` } : { list: next };
+}
+
+export function formatWatchlist(list = []) {
+  if (!list.length) return "👀 關注清單是空的。傳「關注 BTCUSDT 15m」開始關注，K 棒收盤出現訊號時會通知你。";
+  return [
+    `👀 關注清單（${list.length}/${WATCHLIST_MAX}）`,
+    ...list.map((w) => `・${w.symbol} ${w.timeframe}`),
+    "",
+    "取消：「取消關注 BTCUSDT 15m」或「取消關注 全部」",
+  ].join("\n");
+}
+
+// ------- 排程器 --------
+// loadWatchers() → [{ userId, symbol, timeframe }]
+// onAlert({ userIds, symbol, timeframe, setup, barTime }) 由呼叫端負責推播
+export function createWatchScheduler({
+  feed,
+  loadWatchers,
+  onAlert,
+  pollSeconds = WATCH_POLL_SECONDS,
+  closeDelaySeconds = WATCH_CLOSE_DELAY_SECONDS,
+  params = DEFAULT_PARAMS,
+  limit = 200,
+}) {
+  const polledBars = new Map(); // 商品 週期 → 上次處理的收盤時間點
+  const alerted = new Map(); // userId|商品 週期 → 上次通知的 K 棒時間
+  const lastErrors = new Map(); // 商品 週期 → 上次的錯誤訊息（同樣的錯誤只記一次 log）
+  let timer = null;
+  let running = false;
+
+  function groupSeries(watchers) {
+    const series = new Map();
+    for (const { userId, symbol, timeframe } of watchers) {
+      const key = `${symbol} ${timeframe}`;
+      if (!series.has(key)) series.set(key, { symbol, timeframe, userIds: [] });
+      series.get(key).userIds.push(userId);
+    }
+    return series;
+  }
+
+  // 重播模式每次都抓；即時模式只在跨過新的收盤時間點後抓一次。
+  // 回傳這次要處理的收盤時間點，不需要抓時回傳 null；成功處理後才記進 polledBars（失敗下一輪重試）
+  function dueBar(key, timeframe, now) {
+    if (feed.replay) return now;
+    const lastClose = barOpenTime(timeframe, now - closeDelaySeconds * 1000);
+    if (lastClose === null || polledBars.get(key) === lastClose) return null;
+    return lastClose;
+  }
+
+  async function checkSeries(key, { symbol, timeframe, userIds }) {
+    const candles = await feed.fetchCandles(symbol, timeframe, { limit });
+    if (candles.length < minBarsFor(params)) return;
+    const setup = evaluateSetup(candles, params);
+    if (!setup.strategyAllowed || setup.entry === null) return;
+
+    const barTime = String(candles[candles.length - 1].time);
+    const fresh = userIds.filter((u) => alerted.get(`${u}|${key}`) !== barTime);
+    if (!fresh.length) return;
+    for (const u of fresh) alerted.set(`${u}|${key}`, barTime);
+    await onAlert({ userIds: fresh, symbol, timeframe, setup, barTime });
+  }
+
+  async function tick(now = Date.now()) {
+    if (running) return; // 上一輪還沒跑完（feed 很慢）就跳過
+    running = true;
+    try {
+      const series = groupSeries(await loadWatchers());
+      for (const [key, s] of series) {
+        const bar = dueBar(key, s.timeframe, now);
+        if (bar === null) continue;
+        try {
+          await checkSeries(key, s);
+          polledBars.set(key, bar);
+          lastErrors.delete(key);
+        } catch (e) {
+          if (lastErrors.get(key) !== e.message) console.error(`[watch] ${key} 檢查失敗：`, e.message);
+          lastErrors.set(key, e.message);
+        }
+      }
+    } finally {
+      running = false;
+    }
+  }
+
+  return {
+    tick,
+    start() {
+      if (timer) return;
+      timer = setInterval(() => tick().catch((e) => console.error("[watch] tick error:", e.message)), pollSeconds * 1000);
+      tick().catch((e) => console.error("[watch] tick error:", e.message));
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+}
@@ -0,0 +1,69 @@
+// webhook.js
+// LINE webhook 的完整性檢查：
+// - 簽章用「原始 request bytes」算 HMAC-SHA256，常數時間比對，任何例外一律拒絕（fail-closed）
+// - 依 webhookEventId 去重，同一事件（含 LINE 重送）只會處理一次
+
+import crypto from "crypto";
+
+// 給 express.json({ verify }) 用：把原始 body 留在 req.rawBody
+export function captureRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+export function isValidLineSignature(secret, rawBody, signature) {
+  if (!secret || !rawBody || !signature) return false;
+  const expected = crypto.createHmac("sha256", secret).update(rawBody).digest();
+  const given = Buffer.from(signature, "base64");
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// allowUnsigned：沒設定 secret 時是否放行（只給本機開發用，正式環境請勿開啟）
+export function createSignatureVerifier(secret, { allowUnsigned = false } = {}) {
+  return function verifyLineSignature(req, res, next) {
+    try {
+      if (!secret) {
+        if (allowUnsigned) return next();
+        console.error("LINE_CHANNEL_SECRET 未設定，拒絕 webhook 請求");
+        return res.status(500).send("Webhook secret not configured");
+      }
+
+      const signature = req.get("x-line-signature") || "";
+      if (!isValidLineSignature(secret, req.rawBody, signature)) {
+        console.warn("Invalid LINE signature");
+        return res.status(401).send("Invalid signature");
+      }
+      next();
+    } catch (e) {
+      console.error("verifyLineSignature error:", e.message);
+      res.status(401).send("Invalid signature");
+    }
+  };
+}
+
+// ------- 事件去重 --------
+// 記住最近處理過的 webhookEventId（有上限與有效期），程序重啟後則靠紀錄上的 webhookEventId 判斷
+export function createEventDeduper({ max = 5000, ttlMs = 60 * 60 * 1000 } = {}) {
+  const seen = new Map(); // eventId → 時間
+
+  function prune(now) {
+    for (const [id, at] of seen) {
+      if (seen.size <= max && now - at < ttlMs) break;
+      seen.delete(id);
+    }
+  }
+
+  return {
+    // 第一次看到回傳 true（並記住），重複回傳 false；沒有 eventId 的事件一律放行
+    claim(eventId) {
+      if (!eventId) return true;
+      const now = Date.now();
+      prune(now);
+      if (seen.has(eventId)) return false;
+      seen.set(eventId, now);
+      return true;
+    },
+    release(eventId) {
+      seen.delete(eventId);
+    },
+  };
+}